@@ -27,6 +27,32 @@ interface AdFilter {
      */
     val customFilter: CustomFilter
 
+    /**
+     * Match rules without applying them: requests are not blocked, element hiding and scriptlets
+     * don't touch the page. Blocking rules stay in [FilterResult.rule], cosmetic rules and
+     * scriptlets are reported to [reportListener].
+     */
+    var observeOnly: Boolean
+
+    /**
+     * Count the elements matched by each cosmetic selector after load and on DOM mutations,
+     * and report the hit counts to [reportListener] while the rules are applied.
+     * Always on in [observeOnly] mode.
+     */
+    var cosmeticMatchReporting: Boolean
+
+    /**
+     * Receives the cosmetic rules and scriptlets matched while [observeOnly] is on,
+     * the cosmetic hit counts while [cosmeticMatchReporting] is on,
+     * and the outcome of every scriptlet run otherwise.
+     */
+    var reportListener: FilterReportListener?
+
+    /**
+     * @return the scriptlets reported for the latest load of [documentUrl]
+     */
+    fun getScriptletReports(documentUrl: String): List<FilterReport>
+
     fun setEnabled(enable: Boolean)
     /**
      * Call this function when [WebViewClient.shouldInterceptRequest],
@@ -0,0 +1,43 @@
+package io.github.edsuns.adfilter
+
+/**
+ * A cosmetic rule or scriptlet that matched a document, reported to [FilterReportListener].
+ *
+ * @param rule the element hiding selector, or the scriptlet name and args as a JSON array
+ * @param matchCount number of elements matched by the selector, always 0 for scriptlets
+ * @param applied whether the rule was applied to the page
+ * @param status outcome of running the scriptlet, null if it wasn't run
+ * @param durationMs time spent invoking and running the scriptlet
+ * @param error the exception thrown by the scriptlet
+ */
+data class FilterReport(
+    val type: Type,
+    val documentUrl: String,
+    val rule: String,
+    val matchCount: Int,
+    val applied: Boolean,
+    val name: String? = null,
+    val args: List<String> = emptyList(),
+    val status: Status? = null,
+    val durationMs: Double? = null,
+    val error: String? = null
+) {
+    enum class Type {
+        ELEMENT_HIDING,
+        EXTENDED_CSS,
+        SCRIPTLET
+    }
+
+    enum class Status {
+        SUCCESS,
+        INVALID,
+        EXCEPTION
+    }
+}
+
+fun interface FilterReportListener {
+    /**
+     * Called with the matches of a single document. May be called from a thread other than the UI thread.
+     */
+    fun onFilterReport(documentUrl: String, reports: List<FilterReport>)
+}
@@ -4,6 +4,8 @@ import android.webkit.WebResourceResponse
 
 /**
  * Created by Edsuns@qq.com on 2021/1/24.
+ *
+ * In [AdFilter.observeOnly] mode [rule] is kept for matched requests while [shouldBlock] is false.
  */
 data class FilterResult(
     val rule: String?,
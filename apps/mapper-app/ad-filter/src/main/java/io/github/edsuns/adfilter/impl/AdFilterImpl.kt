@@ -36,8 +36,9 @@ internal class AdFilterImpl(appContext: Context) : AdFilter {
         BinaryDataStore(File(appContext.filesDir, FILE_STORE_DIR))
     private val filterDataLoader: FilterDataLoader = FilterDataLoader(detector, binaryDataStore)
 
-    private val elementHiding: ElementHiding = ElementHiding(detector)
-    private val scriptlet: Scriptlet = Scriptlet(detector)
+    private val reporter: FilterReporter = FilterReporter()
+    private val elementHiding: ElementHiding = ElementHiding(detector, reporter)
+    private val scriptlet: Scriptlet = Scriptlet(detector, reporter)
 
     override val customFilter = filterDataLoader.getCustomFilter()
 
@@ -46,6 +47,24 @@ internal class AdFilterImpl(appContext: Context) : AdFilter {
     override val hasInstallation: Boolean
         get() = viewModel.sharedPreferences.hasInstallation
 
+    override var observeOnly: Boolean
+        get() = reporter.observeOnly
+        set(value) {
+            reporter.observeOnly = value
+        }
+
+    override var cosmeticMatchReporting: Boolean
+        get() = reporter.matchReporting
+        set(value) {
+            reporter.matchReporting = value
+        }
+
+    override var reportListener: FilterReportListener?
+        get() = reporter.listener
+        set(value) {
+            reporter.listener = value
+        }
+
     init {
         GlobalScope.launch {
             viewModel.workInfo.collect { list -> processWorkInfo(list) }
@@ -53,6 +72,9 @@ internal class AdFilterImpl(appContext: Context) : AdFilter {
 
     }
 
+    override fun getScriptletReports(documentUrl: String): List<FilterReport> =
+        reporter.scriptletReports(documentUrl)
+
     override fun setEnabled(enable: Boolean) {
         if (enable) {
             viewModel.filters.value.values.forEach {
@@ -220,7 +242,9 @@ internal class AdFilterImpl(appContext: Context) : AdFilter {
         val type = resourceType ?: ResourceType.from(Uri.parse(url)) ?: ResourceType.UNKNOWN
         val rule = detector.shouldBlock(url, documentUrl, type)
 
-        return if (rule != null) {
+        return if (rule != null && reporter.observeOnly) {
+            FilterResult(rule, url, null, shouldBlock = false)
+        } else if (rule != null) {
             FilterResult(rule, url, WebResourceResponse(null, null, null))
         } else {
             FilterResult(null, url, null)
@@ -238,5 +262,8 @@ internal class AdFilterImpl(appContext: Context) : AdFilter {
     override fun performScript(webView: WebView?, url: String?) {
         elementHiding.perform(webView, url)
         //scriptlet.perform(webView, url)
+        if (reporter.observeOnly) {
+            scriptlet.report(url)
+        }
     }
 }
\ No newline at end of file
@@ -0,0 +1,53 @@
+package io.github.edsuns.adfilter.impl
+
+import io.github.edsuns.adfilter.FilterReport
+import io.github.edsuns.adfilter.FilterReportListener
+import timber.log.Timber
+
+/**
+ * Holds the observe-only and match reporting switches shared by the scripts,
+ * and forwards their matches to the listener.
+ */
+internal class FilterReporter {
+
+    @Volatile
+    var observeOnly: Boolean = false
+
+    @Volatile
+    var matchReporting: Boolean = false
+
+    @Volatile
+    var listener: FilterReportListener? = null
+
+    // latest scriptlet reports by document url, oldest document first
+    private val scriptletReports = LinkedHashMap<String, List<FilterReport>>()
+
+    fun report(documentUrl: String, reports: List<FilterReport>) {
+        if (reports.isEmpty()) {
+            return
+        }
+        val scriptlets = reports.filter { it.type == FilterReport.Type.SCRIPTLET }
+        if (scriptlets.isNotEmpty()) {
+            synchronized(scriptletReports) {
+                scriptletReports.remove(documentUrl)
+                scriptletReports[documentUrl] = scriptlets
+                if (scriptletReports.size > MAX_SCRIPTLET_DOCUMENTS) {
+                    scriptletReports.remove(scriptletReports.keys.first())
+                }
+            }
+        }
+        val listener = listener ?: return
+        try {
+            listener.onFilterReport(documentUrl, reports)
+        } catch (e: Exception) {
+            Timber.w(e, "Failed to report ${reports.size} filter matches for $documentUrl")
+        }
+    }
+
+    fun scriptletReports(documentUrl: String): List<FilterReport> =
+        synchronized(scriptletReports) { scriptletReports[documentUrl].orEmpty() }
+
+    companion object {
+        private const val MAX_SCRIPTLET_DOCUMENTS = 32
+    }
+}
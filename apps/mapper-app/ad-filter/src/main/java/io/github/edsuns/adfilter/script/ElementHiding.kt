@@ -4,7 +4,11 @@ import android.webkit.JavascriptInterface
 import android.webkit.WebView
 import com.anthonycr.mezzanine.FileStream
 import com.anthonycr.mezzanine.MezzanineGenerator
+import io.github.edsuns.adfilter.FilterReport
 import io.github.edsuns.adfilter.impl.Detector
+import io.github.edsuns.adfilter.impl.FilterReporter
+import org.json.JSONArray
+import org.json.JSONException
 import timber.log.Timber
 import java.net.MalformedURLException
 import java.net.URL
@@ -12,7 +16,10 @@ import java.net.URL
 /**
  * Created by Edsuns@qq.com on 2021/1/22.
  */
-internal class ElementHiding constructor(private val detector: Detector) {
+internal class ElementHiding constructor(
+    private val detector: Detector,
+    private val reporter: FilterReporter
+) {
 
     @FileStream("src/main/js/elemhide_blocked.js")
     interface ElemhideBlockedInjection {
@@ -71,7 +78,7 @@ internal class ElementHiding constructor(private val detector: Detector) {
             scriptBuilder.append("\", \"")
             scriptBuilder.append(escapeJavaScriptString(selectorBuilder.toString()))// 2nd argument
 
-            scriptBuilder.append("\", 0)")// attempt #0
+            scriptBuilder.append("\")")
 
             webView.evaluateJavascript(scriptBuilder.toString(), null)
         }
@@ -119,6 +126,46 @@ internal class ElementHiding constructor(private val detector: Detector) {
         return ""
     }
 
+    @JavascriptInterface
+    fun isObserveOnly(): Boolean = reporter.observeOnly
+
+    @JavascriptInterface
+    fun isMatchReporting(): Boolean = reporter.observeOnly || reporter.matchReporting
+
+    /**
+     * @param matchesJson array of `{selector, extended, count}` for the selectors matching any element
+     * @param applied whether the stylesheet and ExtendedCss rules were applied to the page
+     */
+    @JavascriptInterface
+    fun reportCosmeticMatches(documentUrl: String, matchesJson: String, applied: Boolean) {
+        val matches = try {
+            JSONArray(matchesJson)
+        } catch (e: JSONException) {
+            Timber.w(e, "Malformed cosmetic matches from $documentUrl")
+            return
+        }
+        val reports = ArrayList<FilterReport>(matches.length())
+        for (i in 0 until matches.length()) {
+            try {
+                val match = matches.getJSONObject(i)
+                reports.add(
+                    FilterReport(
+                        type = if (match.optBoolean("extended")) FilterReport.Type.EXTENDED_CSS
+                        else FilterReport.Type.ELEMENT_HIDING,
+                        documentUrl = documentUrl,
+                        rule = match.getString("selector"),
+                        matchCount = match.optInt("count"),
+                        applied = applied
+                    )
+                )
+            } catch (e: JSONException) {
+                Timber.w(e, "Skipping malformed cosmetic match $i from $documentUrl")
+            }
+        }
+        Timber.v("observed ${reports.size} matched selectors on $documentUrl")
+        reporter.report(documentUrl, reports)
+    }
+
     /**
      * Extract path with query from URL
      * @param urlString URL
@@ -4,13 +4,20 @@ import android.webkit.JavascriptInterface
 import android.webkit.WebView
 import com.anthonycr.mezzanine.FileStream
 import com.anthonycr.mezzanine.MezzanineGenerator
+import io.github.edsuns.adfilter.FilterReport
 import io.github.edsuns.adfilter.impl.Detector
+import io.github.edsuns.adfilter.impl.FilterReporter
+import org.json.JSONArray
+import org.json.JSONException
 import timber.log.Timber
 
 /**
  * Created by Edsuns@qq.com on 2021/4/3.
  */
-internal class Scriptlet constructor(private val detector: Detector) {
+internal class Scriptlet constructor(
+    private val detector: Detector,
+    private val reporter: FilterReporter
+) {
 
     @FileStream("src/main/js/scriptlets.min.js")
     interface Scriptlets {
@@ -33,6 +40,81 @@ internal class Scriptlet constructor(private val detector: Detector) {
         Timber.v("Evaluated Scriptlets Javascript for $url")
     }
 
+    /**
+     * Report the scriptlets matching [url] without injecting them.
+     */
+    fun report(url: String?) {
+        if (url == null) {
+            return
+        }
+        val reports = detector.getScriptlets(url).mapNotNull {
+            val item = try {
+                JSONArray("[${it.replace('\'', '"')}]")
+            } catch (e: JSONException) {
+                Timber.w(e, "Skipping malformed scriptlet `$it` on $url")
+                return@mapNotNull null
+            }
+            FilterReport(
+                type = FilterReport.Type.SCRIPTLET,
+                documentUrl = url,
+                rule = item.toString(),
+                matchCount = 0,
+                applied = false,
+                name = item.optString(0),
+                args = (1 until item.length()).map { i -> item.optString(i) }
+            )
+        }
+        reporter.report(url, reports)
+    }
+
+    /**
+     * @param resultsJson array of `{name, args, status, durationMs, error}`, one per scriptlet
+     */
+    @JavascriptInterface
+    fun reportScriptletResults(documentUrl: String, resultsJson: String) {
+        val results = try {
+            JSONArray(resultsJson)
+        } catch (e: JSONException) {
+            Timber.w(e, "Malformed scriptlet results from $documentUrl")
+            return
+        }
+        val reports = ArrayList<FilterReport>(results.length())
+        for (i in 0 until results.length()) {
+            try {
+                val result = results.getJSONObject(i)
+                val name = result.getString("name")
+                val argsArray = result.optJSONArray("args") ?: JSONArray()
+                val args = (0 until argsArray.length()).map { argsArray.optString(it) }
+                val status = when (result.optString("status")) {
+                    "success" -> FilterReport.Status.SUCCESS
+                    "invalid" -> FilterReport.Status.INVALID
+                    else -> FilterReport.Status.EXCEPTION
+                }
+                reports.add(
+                    FilterReport(
+                        type = FilterReport.Type.SCRIPTLET,
+                        documentUrl = documentUrl,
+                        rule = JSONArray(listOf(name) + args).toString(),
+                        matchCount = 0,
+                        applied = status == FilterReport.Status.SUCCESS,
+                        name = name,
+                        args = args,
+                        status = status,
+                        durationMs = result.optDouble("durationMs").takeUnless { it.isNaN() },
+                        error = if (result.isNull("error")) null else result.optString("error")
+                    )
+                )
+            } catch (e: JSONException) {
+                Timber.w(e, "Skipping malformed scriptlet result $i from $documentUrl")
+            }
+        }
+        Timber.v("scriptlet results: $resultsJson")
+        reporter.report(documentUrl, reports)
+    }
+
+    @JavascriptInterface
+    fun isObserveOnly(): Boolean = reporter.observeOnly
+
     @JavascriptInterface
     fun getScriptlets(documentUrl: String): String {
         val list = detector.getScriptlets(documentUrl)
@@ -1,6 +1,123 @@
 (function () {
     {{DEBUG}} console.log('element hiding started on ' + document.location.href);
 
+    var observeOnly = {{BRIDGE}}.isObserveOnly();
+
+    // count the elements matched by each selector after load and on DOM mutations, and report the hit counts
+    // (`script()` of inject.js may run more than once per document)
+    if ({{BRIDGE}}.isMatchReporting() && !window['{{BRIDGE}}Counting']) {
+        window['{{BRIDGE}}Counting'] = true;
+        var MUTATION_DELAY_MS = 1000;
+        var MAX_MUTATION_PASSES = 30;
+
+        // split a selector list at top-level commas, `a:not(.b, .c), d` gives `a:not(.b, .c)` and `d`
+        var splitSelectors = function (text) {
+            var selectors = [];
+            var depth = 0, quote = null, start = 0;
+            for (var i = 0; i < text.length; i++) {
+                var c = text[i];
+                if (quote) {
+                    if (c == '\\') i++;
+                    else if (c == quote) quote = null;
+                } else if (c == '"' || c == "'") {
+                    quote = c;
+                } else if (c == '(' || c == '[') {
+                    depth++;
+                } else if (c == ')' || c == ']') {
+                    depth--;
+                } else if (c == ',' && depth == 0) {
+                    selectors.push(text.slice(start, i).trim());
+                    start = i + 1;
+                }
+            }
+            selectors.push(text.slice(start).trim());
+            return selectors.filter(function (selector) { return selector.length > 0; });
+        };
+        var cssSelectors = function (styleSheet) {
+            var sheet;
+            try {
+                sheet = new CSSStyleSheet();
+                sheet.replaceSync(styleSheet);
+            } catch (err) {
+                // parse in an inert document, so nothing is applied to the page
+                var doc = document.implementation.createHTMLDocument('');
+                var style = doc.createElement('style');
+                style.textContent = styleSheet;
+                doc.head.appendChild(style);
+                sheet = style.sheet;
+            }
+            var selectors = [];
+            for (const rule of sheet.cssRules) {
+                if (rule.selectorText) {
+                    selectors = selectors.concat(splitSelectors(rule.selectorText));
+                }
+            }
+            return selectors;
+        };
+        var selectors = null;
+        var lastReport = null;
+        var countTimer = null;
+        var mutationPasses = 0;
+        var loadSelectors = function () {
+            selectors = [];
+            var styleSheet = {{BRIDGE}}.getStyleSheet(document.location.href);
+            if (styleSheet.length) {
+                for (const selector of cssSelectors(styleSheet)) selectors.push({ selector: selector, extended: false });
+            }
+            var css = {{BRIDGE}}.getExtendedCssStyleSheet(document.location.href);
+            if (css.length > 0) {
+                for (const selector of splitSelectors(css.slice(0, css.lastIndexOf('{')))) selectors.push({ selector: selector, extended: true });
+            }
+        };
+        var reportMatches = function () {
+            if (selectors == null) loadSelectors();
+            var matches = [];
+            for (const item of selectors) {
+                if (item.invalid) continue;
+                try {
+                    var found = item.extended ? ExtendedCss.query(item.selector, true) : document.querySelectorAll(item.selector);
+                    if (found.length > 0) {
+                        matches.push({ selector: item.selector, extended: item.extended, count: found.length });
+                    }
+                } catch (err) {
+                    item.invalid = true;
+                    {{DEBUG}} console.log(`invalid selector '${item.selector}': ${err}`);
+                }
+            }
+            // report only when the hit counts have changed
+            var report = JSON.stringify(matches);
+            if (report != lastReport) {
+                lastReport = report;
+                {{BRIDGE}}.reportCosmeticMatches(document.location.href, report, !observeOnly);
+            }
+            {{DEBUG}} console.log(`element hiding counted ${matches.length} matched selectors`);
+        };
+        // batch the mutations, counting every selector on each change would be too expensive
+        var observer = new MutationObserver(function () {
+            if (countTimer) return;
+            countTimer = setTimeout(function () {
+                countTimer = null;
+                reportMatches();
+                if (++mutationPasses >= MAX_MUTATION_PASSES) observer.disconnect();
+            }, MUTATION_DELAY_MS);
+        });
+        var startCounting = function () {
+            reportMatches();
+            observer.observe(document.documentElement, { childList: true, subtree: true });
+        };
+        if (document.readyState == 'complete') {
+            startCounting();
+        } else {
+            window.addEventListener('load', startCounting);
+        }
+    }
+
+    // observe only: the rules are matched and reported, don't touch the page
+    if (observeOnly) {
+        {{DEBUG}} console.log('element hiding is observing only');
+        return;
+    }
+
     // hide by injecting CSS
     var styleSheet = {{BRIDGE}}.getStyleSheet(document.location.href);
     if (styleSheet.length) {
@@ -15,6 +132,115 @@
         {{DEBUG}} console.log('stylesheet is empty, skipped');
     }
 
+    // The stylesheet above only reaches the top document: adopt it in open shadow roots and inject it into
+    // same-origin frames too, following shadow roots and frames attached later. ExtendedCss rules don't reach them.
+    if (styleSheet.length && !window['{{BRIDGE}}Covering']) {
+        window['{{BRIDGE}}Covering'] = true;
+        // document -> its injected style element and constructed stylesheet
+        var coveredDocuments = new WeakMap();
+        var coveredRoots = new WeakSet();
+        // elements added since the last animation frame, covered together once per frame
+        var pendingCover = [];
+        var pendingCoverFrame = 0;
+        var coverObserver = new MutationObserver(function (mutationsList) {
+            for (const mutation of mutationsList) {
+                for (const node of mutation.addedNodes) {
+                    if (node.nodeType == Node.ELEMENT_NODE) pendingCover.push(node);
+                }
+            }
+            if (pendingCover.length && !pendingCoverFrame) {
+                pendingCoverFrame = requestAnimationFrame(flushCover);
+            }
+        });
+        var flushCover = function () {
+            pendingCoverFrame = 0;
+            for (const element of pendingCover.splice(0)) {
+                if (element.isConnected) coverElement(element);
+            }
+        };
+        var coverNode = function (element) {
+            if (element.shadowRoot) adoptStyleSheet(element.shadowRoot);
+            if (element.localName == 'iframe' || element.localName == 'frame') coverFrame(element);
+        };
+        // only shadow hosts and frames need covering, the walker skips every other element
+        var coverFilter = function (element) {
+            return element.shadowRoot || element.localName == 'iframe' || element.localName == 'frame' ?
+                NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+        };
+        var coverTree = function (root) {
+            var walker = (root.ownerDocument || root).createTreeWalker(root, NodeFilter.SHOW_ELEMENT, coverFilter);
+            while (walker.nextNode()) coverNode(walker.currentNode);
+        };
+        var coverElement = function (element) {
+            coverNode(element);
+            coverTree(element);
+        };
+        var adoptStyleSheet = function (shadowRoot) {
+            if (coveredRoots.has(shadowRoot)) return;
+            coveredRoots.add(shadowRoot);
+            var covered = coverDocument(shadowRoot.ownerDocument);
+            try {
+                // a constructed stylesheet can only be adopted within the document that constructed it
+                shadowRoot.adoptedStyleSheets = shadowRoot.adoptedStyleSheets.concat([covered.sheet]);
+            } catch (err) {
+                var shadowStyle = shadowRoot.ownerDocument.createElement('style');
+                shadowStyle.textContent = styleSheet;
+                shadowRoot.appendChild(shadowStyle);
+            }
+            // mutations inside a shadow tree aren't seen by the observer of its document
+            coverObserver.observe(shadowRoot, { childList: true, subtree: true });
+            coverTree(shadowRoot);
+        };
+        var coverFrame = function (frame) {
+            var doc = null;
+            try {
+                doc = frame.contentDocument;
+            } catch (err) {
+            }
+            // cross-origin frames have no contentDocument, they load their own element hiding
+            if (doc) coverDocument(doc);
+        };
+        var followShadowRoots = function (view) {
+            var attachShadow = view.Element.prototype.attachShadow;
+            if (typeof attachShadow !== 'function') return;
+            view.Element.prototype.attachShadow = function (init) {
+                var shadowRoot = attachShadow.apply(this, arguments);
+                if (init && init.mode == 'open') adoptStyleSheet(shadowRoot);
+                return shadowRoot;
+            };
+        };
+        var coverDocument = function (doc) {
+            var covered = coveredDocuments.get(doc);
+            if (!covered) {
+                covered = { style: doc == document ? style : doc.createElement('style'), sheet: null };
+                covered.style.textContent = styleSheet;
+                try {
+                    covered.sheet = new doc.defaultView.CSSStyleSheet();
+                    covered.sheet.replaceSync(styleSheet);
+                } catch (err) {
+                    {{DEBUG}} console.log('constructable stylesheets unavailable: ' + err);
+                }
+                coveredDocuments.set(doc, covered);
+                if (doc.defaultView) followShadowRoots(doc.defaultView);
+                coverObserver.observe(doc, { childList: true, subtree: true });
+                // load events of frames don't bubble, so listen in the capture phase
+                doc.addEventListener('load', function (event) {
+                    var target = event.target;
+                    if (target.localName == 'iframe' || target.localName == 'frame') coverFrame(target);
+                }, true);
+            }
+            // a frame document rewritten by document.open() has dropped the style element
+            if (!covered.style.isConnected && doc.documentElement) {
+                doc.documentElement.appendChild(covered.style);
+                coverTree(doc);
+            }
+            return covered;
+        };
+        coverDocument(document);
+        coverTree(document);
+        {{DEBUG}} console.log('finished covering shadow roots and frames');
+    }
+
     // hide by ExtendedCss
     try {
         var css = {{BRIDGE}}.getExtendedCssStyleSheet(document.location.href);
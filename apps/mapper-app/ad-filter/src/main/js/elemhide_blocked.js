@@ -2,69 +2,164 @@
 The script is called for every blocked element that should be element hidden, eg. images.
 Excluding redefinition of the functions here for performance reason
 (assuming functions code is not changed between invocations).
+
+Selectors of blocked resources whose elements aren't in the DOM yet wait in a pending index and
+are queried again once per animation frame after the DOM has changed. The document is only observed
+while selectors are pending, and a timer expires stale ones when the DOM stays quiet. Hidden elements
+share a second MutationObserver that watches them for `style` and `src` changes.
 */
 if (typeof (hideElement) !== typeof (Function)) {
+  // pending blocked resources by url and selector, waiting for their elements to appear
+  var elemhidePending = new Map();
+  // hidden element -> how it was hidden and its original style
+  var elemhideHidden = new WeakMap();
+  var elemhideFrame = 0;
+  var elemhideTimer = 0;
+  // watches hidden elements
+  var elemhideObserver = null;
+  // watches the document while selectors are pending
+  var elemhideDocumentObserver = null;
+  var elemhideDocumentObserved = false;
+
+  function doHide(element, hidden) {
+    if (element.style.getPropertyValue(hidden.propertyName) != hidden.propertyValue ||
+      element.style.getPropertyPriority(hidden.propertyName) != "important") {
+      element.style.setProperty(hidden.propertyName, hidden.propertyValue, "important");
+    }
+  }
+
+  function restore(element, hidden) {
+    element.style.setProperty(hidden.propertyName, hidden.originalValue, hidden.originalPriority);
+  }
+
   function hideElement(element, url) {
-    let propertyName = "display";
-    let propertyValue = "none";
+    if (elemhideHidden.has(element)) {
+      return;
+    }
+    let hidden = {
+      url: url,
+      propertyName: "display",
+      propertyValue: "none"
+    };
     if (element.localName == "frame") {
-      propertyName = "visibility";
-      propertyValue = "hidden";
+      hidden.propertyName = "visibility";
+      hidden.propertyValue = "hidden";
     }
-    let originalPriority = element.style.getPropertyValue(propertyName);
-    let originalValue = element.style.getPropertyPriority(propertyName);
+    hidden.originalValue = element.style.getPropertyValue(hidden.propertyName);
+    hidden.originalPriority = element.style.getPropertyPriority(hidden.propertyName);
+    elemhideHidden.set(element, hidden);
 
-    function doHide() {
-      if (element.style.getPropertyValue(propertyName) != propertyValue ||
-        element.style.getPropertyPriority(propertyName) != "important") {
-        element.style.setProperty(propertyName, propertyValue, "important");
-      }
-    }
+    doHide(element, hidden);
 
-    function restore() {
-      element.style.setProperty(propertyName, originalValue, originalPriority);
+    if (elemhideObserver == null) {
+      elemhideObserver = new MutationObserver(elemhideCallback);
     }
+    elemhideObserver.observe(element,
+      {
+        attributes: true,
+        attributeFilter: ["style", "src"]
+      });
+  }
 
-    doHide();
-
-    function callback(mutationsList, observer) {
-      for (const mutation of mutationsList) {
-        if (mutation.attributeName == "src" && mutation.target.src != url) {
-          observer.disconnect();// disconnect before restore
-          restore();
-          return;
-        }
+  function elemhideCallback(mutationsList) {
+    let restored = new Set();
+    for (const mutation of mutationsList) {
+      let hidden = elemhideHidden.get(mutation.target);
+      if (hidden && mutation.attributeName == "src" && mutation.target.src != hidden.url) {
+        elemhideHidden.delete(mutation.target);// forget before restore
+        restore(mutation.target, hidden);
+        restored.add(mutation.target);
       }
-      doHide();// do hide only when src isn't changed
     }
+    for (const mutation of mutationsList) {
+      let hidden = elemhideHidden.get(mutation.target);
+      if (hidden && !restored.has(mutation.target)) {
+        doHide(mutation.target, hidden);// do hide only when src isn't changed
+      }
+    }
+  }
 
-    new MutationObserver(callback).observe(element,
+  function elemhideDocumentCallback() {
+    if (elemhidePending.size > 0) {
+      elemhideSchedule();
+    }
+  }
+
+  function elemhideObserveDocument() {
+    if (elemhideDocumentObserved) {
+      return;
+    }
+    if (elemhideDocumentObserver == null) {
+      elemhideDocumentObserver = new MutationObserver(elemhideDocumentCallback);
+    }
+    elemhideDocumentObserver.observe(document,
       {
+        childList: true,
+        subtree: true,
         attributes: true,
-        attributeFilter: ["style", "src"]
+        attributeFilter: ["src", "srcset"]
       });
+    elemhideDocumentObserved = true;
   }
 
-  function elemhideForSelector(url, selector, attempt) {
-    if (attempt == 50) { // time-out = 50 attempts with 100 ms delay = 5 seconds
-      {{DEBUG}} console.log("Too many attempts for selector " + selector + " with url " + url + ", exiting");
+  // stops observing the document once nothing is pending, otherwise wakes up at the earliest deadline
+  function elemhideSettle() {
+    clearTimeout(elemhideTimer);
+    elemhideTimer = 0;
+    if (elemhidePending.size == 0) {
+      if (elemhideDocumentObserved) {
+        elemhideDocumentObserver.disconnect();
+        elemhideDocumentObserved = false;
+      }
       return;
     }
+    let deadline = Infinity;
+    elemhidePending.forEach(function (pending) {
+      deadline = Math.min(deadline, pending.deadline);
+    });
+    elemhideTimer = setTimeout(function () {
+      elemhideTimer = 0;
+      elemhideSchedule();
+    }, Math.max(0, deadline - Date.now()) + 1);
+  }
 
-    let elements = document.querySelectorAll(selector);
+  function elemhideSchedule() {
+    if (!elemhideFrame) {
+      elemhideFrame = requestAnimationFrame(elemhideFlush);
+    }
+  }
 
-    // for some reason it can happen that no elements are found by selectors (DOM not ready?)
-    // so the idea is to retry with some delay
-    if (elements.length > 0) {
-      for (let element of elements) {
-        if (element.src == url) {
-          hideElement(element, url);
+  function elemhideFlush() {
+    elemhideFrame = 0;
+    let now = Date.now();
+    elemhidePending.forEach(function (pending, key) {
+      let elements = document.querySelectorAll(pending.selector);
+
+      // for some reason it can happen that no elements are found by selectors (DOM not ready?)
+      // so the selector stays pending until the DOM changes or it times out
+      if (elements.length > 0) {
+        for (let element of elements) {
+          if (element.src == pending.url) {
+            hideElement(element, pending.url);
+          }
         }
+        elemhidePending.delete(key);
+        {{DEBUG}} console.log("Elemhide executed for blocked resource " + pending.url);
+      } else if (now > pending.deadline) {
+        elemhidePending.delete(key);
+        {{DEBUG}} console.log("Timed out for selector " + pending.selector + " with url " + pending.url + ", exiting");
       }
-      {{DEBUG}} console.log("Elemhide executed for blocked resource " + url);
-    } else {
-      {{DEBUG}} if (attempt == 0) console.log("Nothing found for blocked resource " + url + ", retrying elemhide every 100 millis");
-      setTimeout(elemhideForSelector, 100, url, selector, attempt + 1);
-    }
+    });
+    elemhideSettle();
+  }
+
+  function elemhideForSelector(url, selector) {
+    elemhideObserveDocument();
+    elemhidePending.set(url + "\n" + selector, {
+      url: url,
+      selector: selector,
+      deadline: Date.now() + 5000 // time-out = 5 seconds
+    });
+    elemhideSchedule();
   }
-}
\ No newline at end of file
+}
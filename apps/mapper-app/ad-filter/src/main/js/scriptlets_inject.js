@@ -1,18 +1,39 @@
 (function () {
+    // observe only: the matched scriptlets are reported by the bridge, don't run them
+    if ({{BRIDGE}}.isObserveOnly()) {
+        {{DEBUG}} console.log(`scriptlets skipped for ${document.location.href}`);
+        return;
+    }
+    // keep references, scriptlets may override these globals
+    var now = performance.now.bind(performance);
+    var stringify = JSON.stringify;
     var scriptletArray = JSON.parse({{BRIDGE}}.getScriptlets(document.location.href));
+    var results = [];
     for (let item of scriptletArray) {
-        let script = scriptlets.invoke({
-            name: item[0],
-            args: item.slice(1)
-        });
-        {{DEBUG}} !script && console.log(`invalid scriptlets: ${JSON.stringify(item)}`);
+        let result = { name: item[0], args: item.slice(1), status: 'success', durationMs: 0, error: null };
+        let start = now();
         try {
-            // don't use eval() here, it may be blocked by scriptlets
-            new Function(script)();
+            let script = scriptlets.invoke({
+                name: item[0],
+                args: item.slice(1)
+            });
+            if (script) {
+                // don't use eval() here, it may be blocked by scriptlets
+                new Function(script)();
+            } else {
+                result.status = 'invalid';
+                {{DEBUG}} console.log(`invalid scriptlets: ${stringify(item)}`);
+            }
         } catch (err) {
+            result.status = 'exception';
+            result.error = String(err);
             {{DEBUG}} console.log('scriptlets went wrong: ' + err);
-            throw err;
         }
+        result.durationMs = Math.round((now() - start) * 100) / 100;
+        results.push(result);
+    }
+    if (results.length > 0) {
+        {{BRIDGE}}.reportScriptletResults(document.location.href, stringify(results));
     }
     {{DEBUG}} console.log(`applied ${scriptletArray.length} scriptlets for ${document.location.href}`);
-})();
\ No newline at end of file
+})();
@@ -0,0 +1,247 @@
+(function() {
+  try {
+    if (!window.androidApp || typeof window.androidApp.runtimeToolkitFieldPickEvent !== 'function') { return; }
+    var fieldName = String(window.__mapperToolkitPickField || '').trim();
+    if (!fieldName) { return; }
+    if (window.__mapperToolkitFieldPick) {
+      window.__mapperToolkitFieldPick.setField(fieldName);
+      return;
+    }
+    var MAX_SELECTOR_DEPTH = 6;
+    var MAX_CLASS_TOKENS = 2;
+    var MAX_TEXT_PREVIEW_CHARS = 200;
+    var STABLE_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'itemprop', 'data-field', 'name', 'aria-label'];
+
+    function cssEscape(value) {
+      if (window.CSS && typeof window.CSS.escape === 'function') { return window.CSS.escape(value); }
+      return String(value).replace(/[^A-Za-z0-9_-]/g, function(ch) { return '\\' + ch; });
+    }
+    function looksGenerated(token) {
+      return /\d{3,}/.test(token) ||
+        /^[a-f0-9-]{12,}$/i.test(token) ||
+        /^(css|sc|jsx|emotion|styled)-/i.test(token) ||
+        /^(ember|react|radix|headlessui|mui)[-_:]/i.test(token) ||
+        /__[A-Za-z0-9]{5,}$/.test(token);
+    }
+    function tagOf(element) {
+      return String(element.tagName || '').toLowerCase();
+    }
+    function countMatches(selector) {
+      try { return document.querySelectorAll(selector).length; } catch (_ignored) { return 0; }
+    }
+    function stableClasses(element) {
+      var raw = typeof element.className === 'string' ? element.className : (element.getAttribute && element.getAttribute('class')) || '';
+      return raw.split(/\s+/).filter(function(token) {
+        return token && !looksGenerated(token) && token.indexOf(':') < 0;
+      }).slice(0, MAX_CLASS_TOKENS);
+    }
+    function attributeToken(element) {
+      for (var i = 0; i < STABLE_ATTRIBUTES.length; i++) {
+        var value = element.getAttribute && element.getAttribute(STABLE_ATTRIBUTES[i]);
+        if (value && value.length <= 64 && !looksGenerated(value)) {
+          return '[' + STABLE_ATTRIBUTES[i] + '="' + String(value).replace(/"/g, '\\"') + '"]';
+        }
+      }
+      return '';
+    }
+    function nthOfType(element) {
+      var index = 1;
+      var sibling = element.previousElementSibling;
+      while (sibling) {
+        if (sibling.tagName === element.tagName) { index += 1; }
+        sibling = sibling.previousElementSibling;
+      }
+      return index;
+    }
+    // Tag plus stable attributes/classes: shared by siblings rendered from the same template.
+    function genericToken(element) {
+      var attribute = attributeToken(element);
+      if (attribute && attribute.indexOf('[name=') !== 0 && attribute.indexOf('[aria-label=') !== 0) {
+        return tagOf(element) + attribute;
+      }
+      var classes = stableClasses(element);
+      return tagOf(element) + classes.map(function(token) { return '.' + cssEscape(token); }).join('');
+    }
+    function uniqueToken(element) {
+      if (element.id && !looksGenerated(element.id)) { return '#' + cssEscape(element.id); }
+      return '';
+    }
+    function robustSelector(element) {
+      var own = uniqueToken(element);
+      if (own && countMatches(own) === 1) { return own; }
+      var parts = [];
+      var node = element;
+      while (node && node.nodeType === 1 && parts.length < MAX_SELECTOR_DEPTH) {
+        var id = uniqueToken(node);
+        if (id && countMatches(id) === 1) {
+          parts.unshift(id);
+          return parts.join(' > ');
+        }
+        var token = genericToken(node);
+        var attribute = attributeToken(node);
+        if (attribute && token.indexOf(attribute) < 0) { token += attribute; }
+        parts.unshift(token);
+        var matches = countMatches(parts.join(' > '));
+        if (matches === 1) { return parts.join(' > '); }
+        parts[0] = token + ':nth-of-type(' + nthOfType(node) + ')';
+        var positionalMatches = countMatches(parts.join(' > '));
+        if (positionalMatches === 1) { return parts.join(' > '); }
+        if (positionalMatches >= matches) { parts[0] = token; }
+        if (tagOf(node) === 'body') { break; }
+        node = node.parentElement;
+      }
+      return parts.join(' > ');
+    }
+    function xpath(element) {
+      var parts = [];
+      var node = element;
+      while (node && node.nodeType === 1) {
+        parts.unshift(tagOf(node) + '[' + nthOfType(node) + ']');
+        node = node.parentElement;
+      }
+      return '/' + parts.join('/');
+    }
+    function similarSiblingCount(element) {
+      var parent = element.parentElement;
+      if (!parent) { return 0; }
+      var token = genericToken(element);
+      var count = 0;
+      for (var child = parent.firstElementChild; child; child = child.nextElementSibling) {
+        if (genericToken(child) === token) { count += 1; }
+      }
+      return count;
+    }
+    // Generalize over siblings: find the closest ancestor repeated by its parent, then address the
+    // picked element relative to that repeated item.
+    function listSelector(element) {
+      var node = element;
+      var relative = [];
+      while (node && node.nodeType === 1 && tagOf(node) !== 'body' && relative.length < MAX_SELECTOR_DEPTH) {
+        if (similarSiblingCount(node) >= 2) {
+          var itemSelector = robustSelector(node.parentElement) + ' > ' + genericToken(node);
+          var selector = relative.length ? itemSelector + ' ' + relative.join(' > ') : itemSelector;
+          var matchCount = countMatches(selector);
+          if (matchCount >= 2) {
+            return {
+              selector: selector,
+              itemSelector: itemSelector,
+              relativeSelector: relative.length ? relative.join(' > ') : null,
+              matchCount: matchCount
+            };
+          }
+        }
+        relative.unshift(genericToken(node));
+        node = node.parentElement;
+      }
+      return null;
+    }
+    function valueSource(element) {
+      var tag = tagOf(element);
+      if (tag === 'img') { return { attribute: 'src', value: element.currentSrc || element.src || element.getAttribute('src') }; }
+      if (tag === 'video') { return { attribute: 'poster', value: element.poster || element.getAttribute('poster') }; }
+      if (tag === 'a') { return { attribute: 'href', value: element.href || element.getAttribute('href') }; }
+      if (tag === 'meta') { return { attribute: 'content', value: element.getAttribute('content') }; }
+      var image = element.querySelector && element.querySelector('img');
+      if (image && !String(element.innerText || '').trim()) {
+        return { attribute: 'src', value: image.currentSrc || image.src || image.getAttribute('src'), nested: 'img' };
+      }
+      return { attribute: null, value: element.innerText || element.textContent || '' };
+    }
+
+    var highlight = document.createElement('div');
+    highlight.style.cssText = 'position:fixed;pointer-events:none;z-index:2147483646;border:2px solid #e65100;background:rgba(230,81,0,0.15);display:none;';
+    var banner = document.createElement('div');
+    banner.style.cssText = 'position:fixed;left:0;right:0;top:0;z-index:2147483647;padding:8px 12px;font:14px sans-serif;color:#fff;background:#e65100;';
+    var current = null;
+    var state = {
+      fieldName: fieldName,
+      setField: function(name) {
+        state.fieldName = name;
+        banner.textContent = 'Pick "' + name + '" — tap an element, tap here to cancel';
+      }
+    };
+    state.setField(fieldName);
+
+    function showHighlight(element) {
+      if (!element || element === highlight || element === banner) { return; }
+      current = element;
+      var rect = element.getBoundingClientRect();
+      highlight.style.left = rect.left + 'px';
+      highlight.style.top = rect.top + 'px';
+      highlight.style.width = rect.width + 'px';
+      highlight.style.height = rect.height + 'px';
+      highlight.style.display = 'block';
+    }
+    function elementAtTouch(e) {
+      var touch = e.touches && e.touches[0];
+      if (!touch) { return e.target; }
+      return document.elementFromPoint(touch.clientX, touch.clientY);
+    }
+    function onTouch(e) {
+      try { showHighlight(elementAtTouch(e)); } catch (_ignored) {}
+    }
+    function onMouseOver(e) {
+      try { showHighlight(e.target); } catch (_ignored) {}
+    }
+    function teardown() {
+      document.removeEventListener('touchstart', onTouch, true);
+      document.removeEventListener('touchmove', onTouch, true);
+      document.removeEventListener('mouseover', onMouseOver, true);
+      document.removeEventListener('click', onClick, true);
+      if (highlight.parentNode) { highlight.parentNode.removeChild(highlight); }
+      if (banner.parentNode) { banner.parentNode.removeChild(banner); }
+      window.__mapperToolkitFieldPick = null;
+    }
+    function emitPick(element) {
+      var source = valueSource(element);
+      var list = listSelector(element);
+      var selector = robustSelector(element);
+      var event = {
+        fieldName: state.fieldName,
+        selector: selector,
+        selectorMatchCount: countMatches(selector),
+        xpath: xpath(element),
+        listSelector: list ? list.selector : null,
+        listItemSelector: list ? list.itemSelector : null,
+        listRelativeSelector: list ? list.relativeSelector : null,
+        listMatchCount: list ? list.matchCount : 0,
+        tagName: tagOf(element),
+        valueAttribute: source.attribute,
+        valueNested: source.nested || null,
+        valuePreview: String(source.value || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_PREVIEW_CHARS),
+        pageUrl: String(window.location.href),
+        hookVersion: window.__mapperToolkitHookVersion || null,
+        timestamp: Date.now()
+      };
+      window.androidApp.runtimeToolkitFieldPickEvent(JSON.stringify(event));
+    }
+    function onClick(e) {
+      try {
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.target === banner) {
+          teardown();
+          window.androidApp.runtimeToolkitFieldPickEvent(JSON.stringify({
+            fieldName: state.fieldName,
+            cancelled: true,
+            pageUrl: String(window.location.href),
+            timestamp: Date.now()
+          }));
+          return;
+        }
+        var element = e.target && e.target.nodeType === 1 ? e.target : current;
+        if (!element) { return; }
+        teardown();
+        emitPick(element);
+      } catch (_ignored) {}
+    }
+
+    document.addEventListener('touchstart', onTouch, true);
+    document.addEventListener('touchmove', onTouch, true);
+    document.addEventListener('mouseover', onMouseOver, true);
+    document.addEventListener('click', onClick, true);
+    (document.body || document.documentElement).appendChild(highlight);
+    (document.body || document.documentElement).appendChild(banner);
+    window.__mapperToolkitFieldPick = state;
+  } catch (_ignoredTop) {}
+})();
@@ -0,0 +1,145 @@
+(function() {
+  try {
+    if (window.__mapperToolkitPerformanceTimingInstalled) { return; }
+    if (!window.androidApp || typeof window.androidApp.runtimeToolkitPerformanceEvent !== 'function') { return; }
+    if (typeof window.PerformanceObserver !== 'function') { return; }
+    window.__mapperToolkitPerformanceTimingInstalled = true;
+    var ENTRY_TYPES = ['resource', 'navigation', 'longtask', 'largest-contentful-paint', 'paint'];
+    var MAX_BATCH_ENTRIES = 50;
+    var MAX_QUEUED_ENTRIES = 500;
+    var MAX_URL_CHARS = 2048;
+    var FLUSH_DELAY_MS = 2000;
+    var queue = [];
+    var droppedCount = 0;
+    var flushTimer = null;
+
+    function round(value) {
+      return typeof value === 'number' && isFinite(value) ? Math.round(value * 10) / 10 : null;
+    }
+    function span(start, end) {
+      return (typeof start === 'number' && typeof end === 'number' && start > 0 && end >= start) ? round(end - start) : null;
+    }
+    function size(value) {
+      return typeof value === 'number' && isFinite(value) ? value : null;
+    }
+    // Resource names are reduced to origin and path: endpoints are matched by host and path, and
+    // query strings of signed or tokenized URLs never reach the bridge.
+    function resourceUrl(name) {
+      var text = String(name || '');
+      if (!text || text.indexOf('data:') === 0 || text.indexOf('blob:') === 0) { return null; }
+      try {
+        var url = new URL(text, window.location.href);
+        return String(url.origin + url.pathname).slice(0, MAX_URL_CHARS);
+      } catch (_ignored) {}
+      return text.split(/[?#]/)[0].slice(0, MAX_URL_CHARS);
+    }
+    function timingPhases(entry, out) {
+      out.initiatorType = entry.initiatorType || null;
+      out.nextHopProtocol = entry.nextHopProtocol || null;
+      out.transferSize = size(entry.transferSize);
+      out.encodedBodySize = size(entry.encodedBodySize);
+      out.decodedBodySize = size(entry.decodedBodySize);
+      out.responseStatus = size(entry.responseStatus);
+      out.redirectMs = span(entry.redirectStart, entry.redirectEnd);
+      out.dnsMs = span(entry.domainLookupStart, entry.domainLookupEnd);
+      out.connectMs = span(entry.connectStart, entry.connectEnd);
+      out.tlsMs = span(entry.secureConnectionStart, entry.connectEnd);
+      out.ttfbMs = span(entry.requestStart, entry.responseStart);
+      out.downloadMs = span(entry.responseStart, entry.responseEnd);
+      // Cross-origin resources without Timing-Allow-Origin report zeroed phases and sizes.
+      out.timingAllowed = entry.requestStart > 0 || entry.responseStart > 0;
+      return out;
+    }
+    function describeEntry(entry) {
+      var out = {
+        entryType: entry.entryType,
+        startTime: round(entry.startTime),
+        duration: round(entry.duration)
+      };
+      if (entry.entryType === 'resource') {
+        out.url = resourceUrl(entry.name);
+        if (!out.url) { return null; }
+        return timingPhases(entry, out);
+      }
+      if (entry.entryType === 'navigation') {
+        out.url = resourceUrl(entry.name);
+        out.navigationType = entry.type || null;
+        out.domInteractiveMs = round(entry.domInteractive);
+        out.domContentLoadedMs = round(entry.domContentLoadedEventEnd);
+        out.loadEventMs = round(entry.loadEventEnd);
+        return timingPhases(entry, out);
+      }
+      if (entry.entryType === 'paint') {
+        out.name = entry.name;
+        return out;
+      }
+      if (entry.entryType === 'largest-contentful-paint') {
+        out.startTime = round(entry.renderTime || entry.loadTime || entry.startTime);
+        out.size = size(entry.size);
+        out.url = resourceUrl(entry.url);
+        out.tagName = entry.element ? String(entry.element.tagName || '').toLowerCase() : null;
+        return out;
+      }
+      if (entry.entryType === 'longtask') {
+        var attribution = entry.attribution && entry.attribution[0];
+        out.name = entry.name || null;
+        out.containerType = attribution ? (attribution.containerType || null) : null;
+        out.containerSrc = attribution ? resourceUrl(attribution.containerSrc) : null;
+        return out;
+      }
+      return null;
+    }
+    function flush(trigger) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+      while (queue.length) {
+        var batch = {
+          entries: queue.splice(0, MAX_BATCH_ENTRIES),
+          droppedCount: droppedCount,
+          trigger: trigger,
+          pageUrl: resourceUrl(window.location.href),
+          hookVersion: window.__mapperToolkitHookVersion || null,
+          timestamp: Date.now()
+        };
+        droppedCount = 0;
+        try { window.androidApp.runtimeToolkitPerformanceEvent(JSON.stringify(batch)); } catch (_ignored) {}
+      }
+    }
+    function enqueue(list) {
+      list.getEntries().forEach(function(entry) {
+        var described = null;
+        try { described = describeEntry(entry); } catch (_ignored) {}
+        if (!described) { return; }
+        if (queue.length >= MAX_QUEUED_ENTRIES) {
+          droppedCount += 1;
+          return;
+        }
+        queue.push(described);
+      });
+      if (queue.length >= MAX_BATCH_ENTRIES) {
+        flush('batch_full');
+      } else if (queue.length && !flushTimer) {
+        flushTimer = setTimeout(function() {
+          try { flush('timer'); } catch (_ignored) {}
+        }, FLUSH_DELAY_MS);
+      }
+    }
+
+    var supported = Array.isArray(window.PerformanceObserver.supportedEntryTypes)
+      ? window.PerformanceObserver.supportedEntryTypes
+      : ENTRY_TYPES;
+    ENTRY_TYPES.forEach(function(type) {
+      if (supported.indexOf(type) < 0) { return; }
+      try {
+        new window.PerformanceObserver(function(list) {
+          try { enqueue(list); } catch (_ignored) {}
+        }).observe({ type: type, buffered: true });
+      } catch (_ignored) {}
+    });
+    // Entries still queued when the page goes away would otherwise be lost.
+    window.addEventListener('pagehide', function() { flush('pagehide'); });
+    document.addEventListener('visibilitychange', function() {
+      if (document.visibilityState === 'hidden') { flush('hidden'); }
+    });
+  } catch (_ignoredTop) {}
+})();
@@ -0,0 +1,281 @@
+(function() {
+  try {
+    if (window.__mapperToolkitPlayerDetectInstalled) { return; }
+    if (!window.androidApp || typeof window.androidApp.runtimeToolkitPlayerDetectEvent !== 'function') { return; }
+    // manifest and media URLs carry tokens, so the script only runs with the runtime hook's redaction
+    var redact = window.__mapperToolkitRedact;
+    if (typeof redact !== 'function') { return; }
+    window.__mapperToolkitPlayerDetectInstalled = true;
+    var MAX_MEDIA_ELEMENTS = 8;
+    var MAX_MANIFESTS = 16;
+    var MAX_URL_CHARS = 2048;
+    var MAX_WINDOW_KEYS = 400;
+    var LOAD_SETTLE_MS = 1000;
+    var MEDIA_SETTLE_MS = 400;
+    var NAVIGATION_SETTLE_MS = 1500;
+    var DRM_KEY_SYSTEMS = {
+      'com.widevine.alpha': 'widevine',
+      widevine: 'widevine',
+      'com.microsoft.playready': 'playready',
+      playready: 'playready',
+      'com.apple.fps': 'fairplay',
+      'com.apple.fps.1_0': 'fairplay',
+      fairplay: 'fairplay',
+      'org.w3.clearkey': 'clearkey',
+      clearkey: 'clearkey'
+    };
+    // Manifests reported by wrapped player load calls, keyed by URL.
+    var loadedManifests = {};
+    var lastSignature = null;
+    var scanTimer = null;
+
+    function absoluteUrl(value) {
+      if (typeof value !== 'string' || !value) { return null; }
+      try { return String(new URL(value, window.location.href).href).slice(0, MAX_URL_CHARS); } catch (_ignored) {}
+      return value.slice(0, MAX_URL_CHARS);
+    }
+    function manifestKind(url, mimeType) {
+      var mime = String(mimeType || '').toLowerCase();
+      if (mime.indexOf('mpegurl') >= 0) { return 'hls'; }
+      if (mime.indexOf('dash+xml') >= 0) { return 'dash'; }
+      var path = String(url || '').toLowerCase().split(/[?#]/)[0];
+      if (path.indexOf('blob:') === 0) { return 'media_source'; }
+      if (/\.m3u8$/.test(path)) { return 'hls'; }
+      if (/\.mpd$/.test(path)) { return 'dash'; }
+      if (/\.ism[lc]?(\/manifest)?$/.test(path)) { return 'smooth'; }
+      if (/\.(mp4|m4v|webm|mov|mp3|m4a|aac|ogg)$/.test(path)) { return 'progressive'; }
+      return 'unknown';
+    }
+    function addManifest(out, library, url, mimeType, source) {
+      var absolute = absoluteUrl(url);
+      if (!absolute || out.length >= MAX_MANIFESTS) { return; }
+      for (var i = 0; i < out.length; i++) {
+        if (out[i].url === absolute) { return; }
+      }
+      out.push({ url: absolute, kind: manifestKind(absolute, mimeType), library: library, source: source });
+    }
+    function addDrm(out, keySystem) {
+      var name = DRM_KEY_SYSTEMS[String(keySystem || '').toLowerCase()];
+      if (name && out.indexOf(name) < 0) { out.push(name); }
+    }
+    function addDrmKeys(out, config) {
+      if (!config || typeof config !== 'object') { return; }
+      Object.keys(config).forEach(function(key) { addDrm(out, key); });
+    }
+    function callQuietly(target, method) {
+      try {
+        if (target && typeof target[method] === 'function') { return target[method](); }
+      } catch (_ignored) {}
+      return undefined;
+    }
+    function rememberLoad(library, url, mimeType) {
+      var absolute = absoluteUrl(url);
+      if (!absolute) { return; }
+      loadedManifests[absolute] = { library: library, mimeType: mimeType || null };
+      scheduleScan('player_load', MEDIA_SETTLE_MS);
+    }
+    // Wrap load entry points so manifests are captured even when the player instance is not reachable
+    // from window. Wrapping is idempotent per prototype.
+    function wrapLoad(owner, method, library, urlOf) {
+      if (!owner || typeof owner[method] !== 'function' || owner[method].__mapperToolkitWrapped) { return; }
+      var original = owner[method];
+      var wrapped = function() {
+        try { rememberLoad(library, urlOf(arguments)); } catch (_ignored) {}
+        return original.apply(this, arguments);
+      };
+      wrapped.__mapperToolkitWrapped = true;
+      owner[method] = wrapped;
+    }
+    function wrapKnownPlayers() {
+      if (typeof window.Hls === 'function' && window.Hls.prototype) {
+        wrapLoad(window.Hls.prototype, 'loadSource', 'hls.js', function(args) { return args[0]; });
+      }
+      if (window.shaka && window.shaka.Player && window.shaka.Player.prototype) {
+        wrapLoad(window.shaka.Player.prototype, 'load', 'shaka', function(args) { return args[0]; });
+      }
+      var bitmovinPlayer = window.bitmovin && window.bitmovin.player && window.bitmovin.player.Player;
+      if (bitmovinPlayer && bitmovinPlayer.prototype) {
+        wrapLoad(bitmovinPlayer.prototype, 'load', 'bitmovin', function(args) {
+          var source = args[0] || {};
+          return source.hls || source.dash || source.smooth || source.progressive;
+        });
+      }
+    }
+    function detectLibraries() {
+      var libraries = [];
+      if (typeof window.Hls === 'function') {
+        libraries.push({ name: 'hls.js', version: window.Hls.version || null });
+      }
+      if (window.dashjs && typeof window.dashjs.MediaPlayer === 'function') {
+        libraries.push({ name: 'dash.js', version: window.dashjs.Version || null });
+      }
+      if (window.shaka && window.shaka.Player) {
+        libraries.push({ name: 'shaka', version: window.shaka.Player.version || null });
+      }
+      if (typeof window.videojs === 'function') {
+        libraries.push({ name: 'video.js', version: window.videojs.VERSION || null });
+      }
+      if (typeof window.jwplayer === 'function') {
+        libraries.push({ name: 'jwplayer', version: window.jwplayer.version || null });
+      }
+      if (window.bitmovin && window.bitmovin.player) {
+        libraries.push({ name: 'bitmovin', version: window.bitmovin.player.version || null });
+      }
+      return libraries;
+    }
+    // Player instances are usually kept in closures; check a bounded set of window globals against the
+    // supported player constructors. Arbitrary objects are never probed, so no page method runs on them.
+    // dash.js players are factory objects without a constructor to check; their manifests come from the
+    // network capture.
+    function playerConstructors() {
+      var constructors = [];
+      if (typeof window.Hls === 'function') { constructors.push({ library: 'hls.js', type: window.Hls }); }
+      if (window.shaka && typeof window.shaka.Player === 'function') {
+        constructors.push({ library: 'shaka', type: window.shaka.Player });
+      }
+      var bitmovinPlayer = window.bitmovin && window.bitmovin.player && window.bitmovin.player.Player;
+      if (typeof bitmovinPlayer === 'function') { constructors.push({ library: 'bitmovin', type: bitmovinPlayer }); }
+      return constructors;
+    }
+    function scanWindowInstances(manifests, drm) {
+      var constructors = playerConstructors();
+      if (!constructors.length) { return; }
+      var keys = [];
+      try { keys = Object.keys(window).slice(0, MAX_WINDOW_KEYS); } catch (_ignored) {}
+      keys.forEach(function(key) {
+        var value = null;
+        try { value = window[key]; } catch (_ignored) { return; }
+        if (!value || typeof value !== 'object') { return; }
+        var library = null;
+        for (var i = 0; i < constructors.length && !library; i++) {
+          try { if (value instanceof constructors[i].type) { library = constructors[i].library; } } catch (_ignored) {}
+        }
+        if (!library) { return; }
+        try {
+          if (library === 'hls.js') {
+            addManifest(manifests, library, typeof value.url === 'string' ? value.url : null, null, 'window.' + key);
+          } else if (library === 'shaka') {
+            addManifest(manifests, library, callQuietly(value, 'getAssetUri') || callQuietly(value, 'getManifestUri'), null, 'window.' + key);
+            var shakaConfig = callQuietly(value, 'getConfiguration');
+            if (shakaConfig && shakaConfig.drm) { addDrmKeys(drm, shakaConfig.drm.servers); }
+          } else {
+            var bitmovinSource = callQuietly(value, 'getSource') || {};
+            addManifest(manifests, library, bitmovinSource.hls || bitmovinSource.dash || bitmovinSource.smooth || bitmovinSource.progressive, null, 'window.' + key);
+            addDrmKeys(drm, bitmovinSource.drm);
+          }
+        } catch (_ignored) {}
+      });
+    }
+    function scanVideoJs(manifests) {
+      if (typeof window.videojs !== 'function' || typeof window.videojs.getPlayers !== 'function') { return; }
+      var players = window.videojs.getPlayers() || {};
+      Object.keys(players).forEach(function(id) {
+        var player = players[id];
+        if (!player) { return; }
+        addManifest(manifests, 'video.js', callQuietly(player, 'currentSrc'), callQuietly(player, 'currentType'), 'videojs:' + id);
+      });
+    }
+    function scanJwPlayer(manifests, drm) {
+      if (typeof window.jwplayer !== 'function') { return; }
+      var player = null;
+      try { player = window.jwplayer(); } catch (_ignored) { return; }
+      if (!player || typeof player.getPlaylistItem !== 'function') { return; }
+      var item = callQuietly(player, 'getPlaylistItem') || {};
+      var sources = Array.isArray(item.sources) && item.sources.length ? item.sources : [item];
+      sources.forEach(function(source) {
+        if (!source) { return; }
+        addManifest(manifests, 'jwplayer', source.file, source.type, 'jwplayer:playlist_item');
+        addDrmKeys(drm, source.drm);
+      });
+    }
+    function scanMediaElements(manifests) {
+      var media = [];
+      var elements = document.querySelectorAll('video,audio');
+      for (var i = 0; i < elements.length && media.length < MAX_MEDIA_ELEMENTS; i++) {
+        var element = elements[i];
+        var src = String(element.currentSrc || element.src || '');
+        var sourceTags = element.querySelectorAll ? element.querySelectorAll('source[src]') : [];
+        for (var j = 0; j < sourceTags.length; j++) {
+          addManifest(manifests, null, sourceTags[j].getAttribute('src'), sourceTags[j].getAttribute('type'), 'source_element');
+        }
+        if (!src) { continue; }
+        var mediaSourceBacked = src.indexOf('blob:') === 0;
+        if (!mediaSourceBacked) { addManifest(manifests, null, src, null, 'media_element'); }
+        media.push({
+          tagName: String(element.tagName || '').toLowerCase(),
+          currentSrc: src.slice(0, MAX_URL_CHARS),
+          mediaSourceBacked: mediaSourceBacked,
+          readyState: typeof element.readyState === 'number' ? element.readyState : null,
+          paused: !!element.paused
+        });
+      }
+      return media;
+    }
+    function scan(trigger) {
+      wrapKnownPlayers();
+      var manifests = [];
+      var drm = [];
+      Object.keys(loadedManifests).forEach(function(url) {
+        addManifest(manifests, loadedManifests[url].library, url, loadedManifests[url].mimeType, 'player_load');
+      });
+      [scanVideoJs, scanJwPlayer, scanWindowInstances].forEach(function(collect) {
+        try { collect(manifests, drm); } catch (_ignored) {}
+      });
+      var media = [];
+      try { media = scanMediaElements(manifests); } catch (_ignored) {}
+      var libraries = detectLibraries();
+      if (!libraries.length && !manifests.length && !media.length) { return; }
+      var signature = JSON.stringify([libraries, manifests, media.map(function(item) { return item.currentSrc; }), drm]);
+      if (signature === lastSignature) { return; }
+      lastSignature = signature;
+      var event = {
+        libraries: libraries,
+        manifests: manifests,
+        media: media,
+        drmHints: drm,
+        trigger: trigger,
+        pageUrl: String(window.location.href),
+        hookVersion: window.__mapperToolkitHookVersion || null,
+        timestamp: Date.now()
+      };
+      var redacted = [];
+      manifests.forEach(function(manifest) { manifest.url = redactNestedUrl(manifest.url, 'manifests', redacted); });
+      media.forEach(function(item) { item.currentSrc = redactNestedUrl(item.currentSrc, 'media', redacted); });
+      if (redacted.length) { event.redactedFields = redacted; }
+      try { window.androidApp.runtimeToolkitPlayerDetectEvent(JSON.stringify(redact(event))); } catch (_ignored) {}
+    }
+    // Redacts a URL nested in the event through the hook's top-level url rules, recording the
+    // redaction under the owning list's name.
+    function redactNestedUrl(value, field, redacted) {
+      if (typeof value !== 'string') { return value; }
+      var probe = redact({ url: value });
+      (Array.isArray(probe.redactedFields) ? probe.redactedFields : []).forEach(function(name) {
+        var renamed = String(name).replace(/^url(?=\.|$)/, field);
+        if (redacted.indexOf(renamed) < 0) { redacted.push(renamed); }
+      });
+      return probe.url;
+    }
+    function scheduleScan(trigger, delayMs) {
+      clearTimeout(scanTimer);
+      scanTimer = setTimeout(function() {
+        try { scan(trigger); } catch (_ignored) {}
+      }, delayMs);
+    }
+
+    wrapKnownPlayers();
+    if (document.readyState === 'complete') {
+      scheduleScan('load', LOAD_SETTLE_MS);
+    } else {
+      window.addEventListener('load', function() { scheduleScan('load', LOAD_SETTLE_MS); });
+    }
+    // Media events do not bubble, so listen in the capture phase.
+    ['loadedmetadata', 'play'].forEach(function(type) {
+      document.addEventListener(type, function() { scheduleScan(type, MEDIA_SETTLE_MS); }, true);
+    });
+    // route changes are dispatched by the runtime hook's history hook
+    window.addEventListener('__mapperToolkitNavigation', function(event) {
+      var detail = event && event.detail;
+      scheduleScan(detail && detail.navigationType ? String(detail.navigationType) : 'navigation', NAVIGATION_SETTLE_MS);
+    });
+  } catch (_ignoredTop) {}
+})();
@@ -0,0 +1,2291 @@
+(function() {
+  try {
+    if (window.__mapperToolkitNetworkHookInstalled) { return; }
+    if (!window.androidApp || typeof window.androidApp.runtimeToolkitNetworkEvent !== 'function') { return; }
+    window.__mapperToolkitNetworkHookInstalled = true;
+    var HOOK_VERSION = '2026.10.3';
+    window.__mapperToolkitHookVersion = HOOK_VERSION;
+    var __mapperToolkitReqSeq = 0;
+    function makeRequestId() {
+      __mapperToolkitReqSeq += 1;
+      return "jsreq_" + Date.now().toString(36) + "_" + __mapperToolkitReqSeq.toString(36);
+    }
+    function truncate(value, maxLen) {
+      if (value == null) { return null; }
+      var text = String(value);
+      if (text.length <= maxLen) { return text; }
+      return text.slice(0, maxLen);
+    }
+    function safeHeaders(headers) {
+      var out = {};
+      if (!headers) { return out; }
+      try {
+        if (typeof headers.forEach === 'function') {
+          headers.forEach(function(value, key) {
+            out[String(key)] = truncate(value, 512);
+          });
+          return out;
+        }
+      } catch (_ignored) {}
+      try {
+        if (Array.isArray(headers)) {
+          headers.forEach(function(item) {
+            if (Array.isArray(item) && item.length >= 2) {
+              out[String(item[0])] = truncate(item[1], 512);
+            }
+          });
+          return out;
+        }
+      } catch (_ignored2) {}
+      try {
+        Object.keys(headers).forEach(function(key) {
+          out[String(key)] = truncate(headers[key], 512);
+        });
+      } catch (_ignored3) {}
+      return out;
+    }
+    function parseRawHeaders(raw) {
+      var out = {};
+      if (!raw) { return out; }
+      raw.trim().split(/[\r\n]+/).forEach(function(line) {
+        var idx = line.indexOf(':');
+        if (idx <= 0) { return; }
+        var key = line.slice(0, idx).trim();
+        var value = line.slice(idx + 1).trim();
+        if (key) { out[key] = truncate(value, 512); }
+      });
+      return out;
+    }
+    function shouldCaptureBody(url, mimeType) {
+      var mime = (mimeType || '').toLowerCase();
+      var lowerUrl = (url || '').toLowerCase();
+      return mime.indexOf('json') >= 0 ||
+        mime.indexOf('text/') === 0 ||
+        mime.indexOf('xml') >= 0 ||
+        mime.indexOf('javascript') >= 0 ||
+        mime.indexOf('html') >= 0 ||
+        lowerUrl.endsWith('.m3u8') ||
+        lowerUrl.endsWith('.mpd');
+    }
+    function shouldCaptureBinaryBody(url, mimeType) {
+      var mime = (mimeType || '').toLowerCase();
+      var lowerUrl = (url || '').toLowerCase();
+      if (mime.indexOf('video/') === 0 || mime.indexOf('audio/') === 0) { return false; }
+      return mime.indexOf('protobuf') >= 0 ||
+        mime.indexOf('grpc') >= 0 ||
+        mime.indexOf('octet-stream') >= 0 ||
+        mime.indexOf('cbor') >= 0 ||
+        mime.indexOf('msgpack') >= 0;
+    }
+    // License responses carry key material: their bodies are never captured, even when EME didn't see the request.
+    function isLicenseExchange(url, method, mimeType) {
+      var target = String(url || '');
+      if (/licen[cs]e|widevine|playready/i.test(target)) { return true; }
+      return String(method || '').toUpperCase() === 'POST' &&
+        String(mimeType || '').toLowerCase().indexOf('application/octet-stream') >= 0 &&
+        /fairplay|drm|\/acquire/i.test(target);
+    }
+    function binaryBodyPayload(buffer) {
+      var bytes = new Uint8Array(buffer || new ArrayBuffer(0));
+      var limit = Math.min(bytes.length, 16777216);
+      var encoded = '';
+      for (var offset = 0; offset < limit; offset += 24576) {
+        var chunk = bytes.subarray(offset, Math.min(offset + 24576, limit));
+        encoded += btoa(String.fromCharCode.apply(null, chunk));
+      }
+      return {
+        bodyPreview: encoded,
+        bodyPreviewTruncated: limit < bytes.length,
+        bodyOriginalLength: bytes.length,
+        bodyEncoding: 'base64'
+      };
+    }
+    var __mapperToolkitConnSeq = 0;
+    function makeConnectionId(prefix) {
+      __mapperToolkitConnSeq += 1;
+      return prefix + "_" + Date.now().toString(36) + "_" + __mapperToolkitConnSeq.toString(36);
+    }
+    function inferFrameMimeType(text) {
+      var probe = (text || '').replace(/^\s+/, '').charAt(0);
+      if (probe === '{' || probe === '[') { return 'application/json'; }
+      if (probe === '<') { return 'application/xml'; }
+      return 'text/plain';
+    }
+    function binaryFrameSize(data) {
+      try {
+        if (data == null) { return 0; }
+        if (typeof ArrayBuffer !== 'undefined') {
+          if (data instanceof ArrayBuffer) { return data.byteLength; }
+          if (ArrayBuffer.isView && ArrayBuffer.isView(data)) { return data.byteLength; }
+        }
+        if (typeof Blob !== 'undefined' && data instanceof Blob) { return data.size; }
+      } catch (_ignored) {}
+      return 0;
+    }
+    function framePayload(url, data) {
+      if (typeof data === 'string') {
+        var mimeType = inferFrameMimeType(data);
+        var capture = shouldCaptureBody(url, mimeType);
+        var preview = capture ? truncate(data, 16777216) : null;
+        return {
+          frameType: 'text',
+          mimeType: mimeType,
+          bodyPreview: preview,
+          bodyPreviewTruncated: preview != null && preview.length < data.length,
+          bodyOriginalLength: data.length
+        };
+      }
+      return {
+        frameType: 'binary',
+        mimeType: 'application/octet-stream',
+        bodyPreview: null,
+        bodyPreviewTruncated: false,
+        bodyOriginalLength: binaryFrameSize(data)
+      };
+    }
+    function payloadSize(data) {
+      try {
+        if (data == null) { return 0; }
+        if (typeof data === 'string') { return data.length; }
+        if (typeof URLSearchParams !== 'undefined' && data instanceof URLSearchParams) {
+          return data.toString().length;
+        }
+        if (typeof FormData !== 'undefined' && data instanceof FormData) {
+          var total = 0;
+          data.forEach(function(value, key) {
+            total += String(key).length + ((typeof value === 'string') ? value.length : (value && value.size) || 0);
+          });
+          return total;
+        }
+      } catch (_ignored) {}
+      return binaryFrameSize(data);
+    }
+    function requestBodyPreview(body) {
+      var out = {
+        requestBody: null,
+        requestBodyKind: 'none',
+        requestBodyType: null,
+        requestBodyLength: 0,
+        requestBodyTruncated: false
+      };
+      if (body == null) { return out; }
+      var text = null;
+      try {
+        if (typeof body === 'string') {
+          var probe = body.replace(/^\s+/, '').charAt(0);
+          out.requestBodyKind = (probe === '{' || probe === '[') ? 'json' : 'text';
+          text = body;
+        } else if (typeof URLSearchParams !== 'undefined' && body instanceof URLSearchParams) {
+          out.requestBodyKind = 'urlencoded';
+          out.requestBodyType = 'application/x-www-form-urlencoded';
+          text = body.toString();
+        } else if (typeof FormData !== 'undefined' && body instanceof FormData) {
+          var fields = {};
+          body.forEach(function(value, key) {
+            fields[String(key)] = (typeof value === 'string')
+              ? value
+              : '[file ' + ((value && value.type) || 'application/octet-stream') + ' ' + ((value && value.size) || 0) + ' bytes]';
+          });
+          out.requestBodyKind = 'form_data';
+          out.requestBodyType = 'multipart/form-data';
+          text = JSON.stringify(fields);
+        } else if (typeof Blob !== 'undefined' && body instanceof Blob) {
+          out.requestBodyKind = 'blob';
+          out.requestBodyType = body.type || null;
+          out.requestBodyLength = body.size;
+          return out;
+        } else if (binaryFrameSize(body) > 0) {
+          out.requestBodyKind = 'binary';
+          out.requestBodyLength = binaryFrameSize(body);
+          return out;
+        } else {
+          out.requestBodyKind = 'other';
+          return out;
+        }
+      } catch (_ignored) {
+        return out;
+      }
+      out.requestBodyLength = text.length;
+      out.requestBody = truncate(text, 16384);
+      out.requestBodyTruncated = out.requestBody.length < text.length;
+      return out;
+    }
+    function withRequestBody(event, body) {
+      var preview = requestBodyPreview(body);
+      Object.keys(preview).forEach(function(key) { event[key] = preview[key]; });
+      return event;
+    }
+    function initiatorScript() {
+      var stack = '';
+      try { stack = String(new Error().stack || ''); } catch (_ignored) { return null; }
+      var lines = stack.split('\n');
+      for (var i = 0; i < lines.length; i++) {
+        var match = /(https?:\/\/[^\s()]+):(\d+):\d+/.exec(lines[i]);
+        if (!match) { continue; }
+        var scriptUrl = match[1].split('#')[0].split('?')[0];
+        return truncate(scriptUrl, 2048) + ':' + match[2];
+      }
+      return null;
+    }
+    var DEFAULT_REDACTION_RULES = {
+      headerNames: [
+        'authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-auth', 'api-auth',
+        'x-auth-token', 'x-access-token', 'x-csrf-token', 'x-xsrf-token'
+      ],
+      fieldNames: [
+        'pass', 'password', 'passwd', 'pwd', 'passwort', 'kennwort', 'pin', 'otp', 'secret', 'clientsecret',
+        'token', 'accesstoken', 'refreshtoken', 'idtoken', 'authtoken', 'csrftoken', 'xsrftoken',
+        'sessionid', 'sessid', 'sid', 'credential', 'credentials', 'apikey', 'key'
+      ],
+      // matched anywhere inside a normalized name, e.g. PHPSESSID or csrfTokenValue
+      fieldStems: ['sessid', 'sessionid', 'token', 'secret'],
+      valuePatterns: [
+        { name: 'jwt', pattern: 'eyJ[A-Za-z0-9_-]{8,}\\.[A-Za-z0-9_-]{8,}\\.[A-Za-z0-9_-]*' },
+        { name: 'auth_scheme', pattern: '\\b(?:Bearer|Basic)\\s+[A-Za-z0-9._~+/=-]{8,}' }
+      ]
+    };
+    var MAX_REDACTION_PARSE_CHARS = 2097152;
+    var compiledRedaction = null;
+    var compiledRedactionSource;
+    function normalizeFieldName(name) {
+      return String(name == null ? '' : name).toLowerCase().replace(/[\s._-]/g, '');
+    }
+    function fieldNameTokens(name) {
+      return String(name == null ? '' : name).replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase().split(/[^a-z0-9]+/);
+    }
+    function redactionRules() {
+      var pushed = window.__mapperToolkitRedactionRules;
+      if (compiledRedaction && compiledRedactionSource === pushed) { return compiledRedaction; }
+      var rules = (pushed && typeof pushed === 'object') ? pushed : {};
+      var keepDefaults = rules.replaceDefaults !== true;
+      var headerNames = {};
+      var fieldNames = {};
+      var fieldStems = [];
+      var valuePatterns = [];
+      (keepDefaults ? DEFAULT_REDACTION_RULES.headerNames : []).concat(rules.headerNames || []).forEach(function(name) {
+        headerNames[String(name).toLowerCase()] = true;
+      });
+      (keepDefaults ? DEFAULT_REDACTION_RULES.fieldNames : []).concat(rules.fieldNames || []).forEach(function(name) {
+        var normalized = normalizeFieldName(name);
+        if (normalized) { fieldNames[normalized] = true; }
+      });
+      (keepDefaults ? DEFAULT_REDACTION_RULES.fieldStems : []).concat(rules.fieldStems || []).forEach(function(stem) {
+        var normalized = normalizeFieldName(stem);
+        if (normalized && fieldStems.indexOf(normalized) < 0) { fieldStems.push(normalized); }
+      });
+      (keepDefaults ? DEFAULT_REDACTION_RULES.valuePatterns : []).concat(rules.valuePatterns || []).forEach(function(rule, index) {
+        var source = (rule && typeof rule === 'object') ? rule.pattern : rule;
+        var name = (rule && typeof rule === 'object' && rule.name) ? String(rule.name) : ('pattern_' + index);
+        try { valuePatterns.push({ name: name, regex: new RegExp(String(source), 'g') }); } catch (_ignored) {}
+      });
+      compiledRedaction = {
+        enabled: rules.enabled !== false,
+        headerNames: headerNames,
+        fieldNames: fieldNames,
+        fieldStems: fieldStems,
+        valuePatterns: valuePatterns
+      };
+      compiledRedactionSource = pushed;
+      return compiledRedaction;
+    }
+    function isSecretFieldName(rules, name) {
+      var normalized = normalizeFieldName(name);
+      if (!normalized) { return false; }
+      if (rules.fieldNames[normalized]) { return true; }
+      for (var candidate in rules.fieldNames) {
+        if (candidate.length >= 8 && normalized.length > candidate.length &&
+            normalized.slice(normalized.length - candidate.length) === candidate) {
+          return true;
+        }
+      }
+      for (var i = 0; i < rules.fieldStems.length; i++) {
+        if (normalized.indexOf(rules.fieldStems[i]) >= 0) { return true; }
+      }
+      // short rule names such as key, pin or sid only match as a whole word, so keyword or monkey stay clear
+      var tokens = fieldNameTokens(name);
+      for (var j = 0; j < tokens.length; j++) {
+        if (tokens[j] && rules.fieldNames[tokens[j]]) { return true; }
+      }
+      return false;
+    }
+    function utf8Bytes(text) {
+      var utf8;
+      try {
+        utf8 = unescape(encodeURIComponent(String(text)));
+      } catch (_ignored) {
+        utf8 = unescape(encodeURIComponent(String(text).replace(/[\uD800-\uDFFF]/g, '?')));
+      }
+      var bytes = [];
+      for (var i = 0; i < utf8.length; i++) { bytes.push(utf8.charCodeAt(i)); }
+      return bytes;
+    }
+    function hexBytes(bytes) {
+      var hex = '';
+      for (var i = 0; i < bytes.length; i++) { hex += ('0' + bytes[i].toString(16)).slice(-2); }
+      return hex;
+    }
+    function sha256Bytes(message) {
+      var k = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+      ];
+      var h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+      var bytes = message.slice();
+      var bitLength = bytes.length * 8;
+      bytes.push(0x80);
+      while ((bytes.length % 64) !== 56) { bytes.push(0); }
+      var high = Math.floor(bitLength / 0x100000000);
+      bytes.push((high >>> 24) & 0xff, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff);
+      bytes.push((bitLength >>> 24) & 0xff, (bitLength >>> 16) & 0xff, (bitLength >>> 8) & 0xff, bitLength & 0xff);
+      var w = new Array(64);
+      for (var offset = 0; offset < bytes.length; offset += 64) {
+        for (var t = 0; t < 16; t++) {
+          var j = offset + t * 4;
+          w[t] = ((bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3]) | 0;
+        }
+        for (t = 16; t < 64; t++) {
+          var x = w[t - 15];
+          var y = w[t - 2];
+          var s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+          var s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+          w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+        }
+        var a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+        for (t = 0; t < 64; t++) {
+          var S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+          var ch = (e & f) ^ (~e & g);
+          var temp1 = (hh + S1 + ch + k[t] + w[t]) | 0;
+          var S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+          var maj = (a & b) ^ (a & c) ^ (b & c);
+          var temp2 = (S0 + maj) | 0;
+          hh = g; g = f; f = e; e = (d + temp1) | 0;
+          d = c; c = b; b = a; a = (temp1 + temp2) | 0;
+        }
+        h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0; h[2] = (h[2] + c) | 0; h[3] = (h[3] + d) | 0;
+        h[4] = (h[4] + e) | 0; h[5] = (h[5] + f) | 0; h[6] = (h[6] + g) | 0; h[7] = (h[7] + hh) | 0;
+      }
+      var digest = [];
+      for (var i = 0; i < 8; i++) { digest.push((h[i] >>> 24) & 0xff, (h[i] >>> 16) & 0xff, (h[i] >>> 8) & 0xff, h[i] & 0xff); }
+      return digest;
+    }
+    function sha256Hex(text) {
+      return hexBytes(sha256Bytes(utf8Bytes(text)));
+    }
+    var redactionKeyBytes = null;
+    var redactionKeySource;
+    function redactionKey() {
+      var pushed = window.__mapperToolkitRedactionKey;
+      if (typeof pushed === 'string' && pushed && pushed !== redactionKeySource) {
+        redactionKeySource = pushed;
+        redactionKeyBytes = utf8Bytes(pushed);
+        if (redactionKeyBytes.length > 64) { redactionKeyBytes = sha256Bytes(redactionKeyBytes); }
+      }
+      if (!redactionKeyBytes) {
+        // no session key pushed: a page-local random key still keeps the hashes from being brute-forced
+        var random = new Uint8Array(32);
+        try { window.crypto.getRandomValues(random); } catch (_ignored) {
+          for (var r = 0; r < random.length; r++) { random[r] = Math.floor(Math.random() * 256); }
+        }
+        redactionKeyBytes = Array.prototype.slice.call(random);
+      }
+      return redactionKeyBytes;
+    }
+    function hmacSha256Hex(text) {
+      var key = redactionKey();
+      var inner = [];
+      var outer = [];
+      for (var i = 0; i < 64; i++) {
+        var keyByte = i < key.length ? key[i] : 0;
+        inner.push(keyByte ^ 0x36);
+        outer.push(keyByte ^ 0x5c);
+      }
+      return hexBytes(sha256Bytes(outer.concat(sha256Bytes(inner.concat(utf8Bytes(text))))));
+    }
+    // issued tokens and credential headers keep the plain hash the native capture correlates them by,
+    // user-chosen secrets (passwords, PINs, OTPs, secret-named fields) are keyed so they can't be brute-forced
+    function secretHash(value) {
+      return 'sha256:' + sha256Hex(value);
+    }
+    function userSecretHash(value) {
+      return 'hmac:' + hmacSha256Hex(value);
+    }
+    var passwordValuesCache = null;
+    function refreshPasswordFieldValues() {
+      var values = [];
+      try {
+        var inputs = document.querySelectorAll('input[type="password"]');
+        for (var i = 0; i < inputs.length; i++) {
+          var value = inputs[i].value;
+          if (value && values.indexOf(value) < 0) { values.push(value); }
+        }
+      } catch (_ignored) {}
+      passwordValuesCache = values;
+    }
+    function passwordFieldValues() {
+      if (passwordValuesCache === null) {
+        refreshPasswordFieldValues();
+        // only typing into a password field changes the values, so the DOM isn't queried per redaction
+        try {
+          ['input', 'change'].forEach(function(type) {
+            document.addEventListener(type, function(event) {
+              var target = event.target;
+              if (target && target.type === 'password') { refreshPasswordFieldValues(); }
+            }, true);
+          });
+        } catch (_ignored) {}
+      }
+      return passwordValuesCache;
+    }
+    function redactPatterns(rules, text, field, redacted) {
+      var out = text;
+      rules.valuePatterns.forEach(function(pattern) {
+        pattern.regex.lastIndex = 0;
+        out = out.replace(pattern.regex, function(match) {
+          if (match.indexOf('sha256:') === 0) { return match; }
+          redacted.push(field + '[' + pattern.name + ']');
+          return secretHash(match);
+        });
+      });
+      return out;
+    }
+    function redactJsonValue(rules, value, path, field, passwords, redacted) {
+      if (Array.isArray(value)) {
+        return value.map(function(item, index) {
+          return redactJsonValue(rules, item, path + '[' + index + ']', field, passwords, redacted);
+        });
+      }
+      if (value && typeof value === 'object') {
+        var out = {};
+        Object.keys(value).forEach(function(key) {
+          var childPath = path ? path + '.' + key : key;
+          var child = value[key];
+          if ((typeof child === 'string' || typeof child === 'number') && String(child) !== '' &&
+              (isSecretFieldName(rules, key) || passwords.indexOf(String(child)) >= 0)) {
+            redacted.push(field + '.' + childPath);
+            out[key] = userSecretHash(String(child));
+          } else {
+            out[key] = redactJsonValue(rules, child, childPath, field, passwords, redacted);
+          }
+        });
+        return out;
+      }
+      if (typeof value === 'string') {
+        return redactPatterns(rules, value, field + '.' + path, redacted);
+      }
+      return value;
+    }
+    function redactText(rules, text, field, redacted) {
+      if (typeof text !== 'string' || !text) { return text; }
+      var passwords = passwordFieldValues();
+      var before = redacted.length;
+      var probe = text.replace(/^\s+/, '').charAt(0);
+      if ((probe === '{' || probe === '[') && text.length <= MAX_REDACTION_PARSE_CHARS) {
+        try {
+          var parsed = JSON.parse(text);
+          var redactedJson = redactJsonValue(rules, parsed, '', field, passwords, redacted);
+          return redacted.length > before ? JSON.stringify(redactedJson) : text;
+        } catch (_ignored) {}
+      }
+      var out = text.replace(/"([^"\\]{1,128})"(\s*:\s*)"((?:[^"\\]|\\.)*)"/g, function(match, key, separator, value) {
+        if (!value || !isSecretFieldName(rules, key)) { return match; }
+        redacted.push(field + '.' + key);
+        return '"' + key + '"' + separator + '"' + userSecretHash(value) + '"';
+      });
+      if (/^[^\s{}\[\]<>"]+=[^\s]*$/.test(out)) {
+        out = out.split('&').map(function(pair) {
+          var eq = pair.indexOf('=');
+          if (eq <= 0) { return pair; }
+          var key = pair.slice(0, eq);
+          var value = pair.slice(eq + 1);
+          var decodedKey = key;
+          var decodedValue = value;
+          try {
+            decodedKey = decodeURIComponent(key.replace(/\+/g, ' '));
+            decodedValue = decodeURIComponent(value.replace(/\+/g, ' '));
+          } catch (_ignored) {}
+          if (!value || !(isSecretFieldName(rules, decodedKey) || passwords.indexOf(decodedValue) >= 0)) { return pair; }
+          redacted.push(field + '.' + decodedKey);
+          return key + '=' + encodeURIComponent(userSecretHash(decodedValue));
+        }).join('&');
+      }
+      passwords.forEach(function(password) {
+        if (password.length < 4 || out.indexOf(password) < 0) { return; }
+        redacted.push(field + '[password_field]');
+        out = out.split(password).join(userSecretHash(password));
+      });
+      return redactPatterns(rules, out, field, redacted);
+    }
+    function redactHeaderMap(rules, headers, field, redacted) {
+      if (!headers || typeof headers !== 'object') { return headers; }
+      var out = {};
+      Object.keys(headers).forEach(function(name) {
+        var value = headers[name];
+        if (value != null && String(value) !== '' && (rules.headerNames[String(name).toLowerCase()] || isSecretFieldName(rules, name))) {
+          redacted.push(field + '.' + String(name).toLowerCase());
+          out[name] = secretHash(String(value));
+        } else {
+          out[name] = (typeof value === 'string') ? redactPatterns(rules, value, field + '.' + String(name).toLowerCase(), redacted) : value;
+        }
+      });
+      return out;
+    }
+    function redactParams(rules, params, field, redacted) {
+      var changed = false;
+      var out = params.split('&').map(function(pair) {
+        var eq = pair.indexOf('=');
+        if (eq <= 0) { return pair; }
+        var key = pair.slice(0, eq);
+        var value = pair.slice(eq + 1);
+        var decodedKey = key;
+        try { decodedKey = decodeURIComponent(key.replace(/\+/g, ' ')); } catch (_ignored) {}
+        if (!value || !isSecretFieldName(rules, decodedKey)) { return pair; }
+        var decodedValue = value;
+        try { decodedValue = decodeURIComponent(value.replace(/\+/g, ' ')); } catch (_ignored) {}
+        changed = true;
+        redacted.push(field + '.' + decodedKey);
+        return key + '=' + encodeURIComponent(userSecretHash(decodedValue));
+      }).join('&');
+      return changed ? out : params;
+    }
+    function redactUrl(rules, url, field, redacted) {
+      if (typeof url !== 'string' || (url.indexOf('?') < 0 && url.indexOf('#') < 0)) { return url; }
+      var hashIndex = url.indexOf('#');
+      var fragment = hashIndex >= 0 ? url.slice(hashIndex + 1) : null;
+      var base = hashIndex >= 0 ? url.slice(0, hashIndex) : url;
+      var queryIndex = base.indexOf('?');
+      if (queryIndex >= 0) {
+        base = base.slice(0, queryIndex + 1) + redactParams(rules, base.slice(queryIndex + 1), field, redacted);
+      }
+      if (fragment !== null && fragment.indexOf('=') > 0) {
+        fragment = redactParams(rules, fragment, field, redacted);
+      }
+      return fragment !== null ? base + '#' + fragment : base;
+    }
+    function redactEvent(event) {
+      if (!event || typeof event !== 'object') { return event; }
+      var rules = redactionRules();
+      if (!rules.enabled) { return event; }
+      var redacted = [];
+      try {
+        ['url', 'responseUrl', 'fromUrl', 'toUrl', 'mediaUrl', 'actionUrl', 'pageUrl', 'requestUrl', 'licenseUrl', 'sourceUrl'].forEach(function(field) {
+          if (typeof event[field] === 'string') { event[field] = redactUrl(rules, event[field], field, redacted); }
+        });
+        if (event.requestHeaders) { event.requestHeaders = redactHeaderMap(rules, event.requestHeaders, 'requestHeaders', redacted); }
+        if (event.headers) { event.headers = redactHeaderMap(rules, event.headers, 'headers', redacted); }
+        if (typeof event.requestBody === 'string') {
+          event.requestBody = redactText(rules, event.requestBody, 'requestBody', redacted);
+        }
+        if (typeof event.bodyPreview === 'string' && event.bodyEncoding !== 'base64') {
+          event.bodyPreview = redactText(rules, event.bodyPreview, 'bodyPreview', redacted);
+        }
+        ['message', 'stack', 'content', 'textSnippet', 'selectedText'].forEach(function(field) {
+          if (typeof event[field] === 'string') { event[field] = redactText(rules, event[field], field, redacted); }
+        });
+        if (typeof event.valuePreview === 'string' && event.valuePreview !== '') {
+          if (isSecretFieldName(rules, event.key)) {
+            redacted.push('valuePreview');
+            event.valuePreview = userSecretHash(event.valuePreview);
+          } else {
+            event.valuePreview = redactText(rules, event.valuePreview, 'valuePreview', redacted);
+          }
+        }
+      } catch (_ignored) {
+        ['requestBody', 'bodyPreview', 'valuePreview', 'message', 'stack', 'content', 'textSnippet', 'selectedText'].forEach(function(field) {
+          if (event[field] != null) { event[field] = null; }
+        });
+        event.requestHeaders = event.requestHeaders ? {} : event.requestHeaders;
+        event.headers = event.headers ? {} : event.headers;
+        redacted.push('redaction_failed');
+      }
+      if (redacted.length) {
+        var existing = Array.isArray(event.redactedFields) ? event.redactedFields : [];
+        redacted.forEach(function(field) {
+          if (existing.indexOf(field) < 0) { existing.push(field); }
+        });
+        event.redactedFields = existing;
+      }
+      return event;
+    }
+    // the toolkit's other page scripts bridge their events through the same redaction
+    Object.defineProperty(window, '__mapperToolkitRedact', { value: redactEvent });
+    function withHookVersion(event) {
+      if (event && typeof event === 'object' && !event.hookVersion) {
+        event.hookVersion = HOOK_VERSION;
+      }
+      return event;
+    }
+    function emitNetworkEvent(event) {
+      try {
+        window.androidApp.runtimeToolkitNetworkEvent(JSON.stringify(withHookVersion(redactEvent(event))));
+      } catch (_ignored) {}
+    }
+    function emitPlaybackEvent(event) {
+      try {
+        if (window.androidApp && typeof window.androidApp.runtimeToolkitPlaybackEvent === 'function') {
+          window.androidApp.runtimeToolkitPlaybackEvent(JSON.stringify(withHookVersion(redactEvent(event))));
+        }
+      } catch (_ignored) {}
+    }
+    function emitNavigationEvent(event) {
+      try {
+        if (window.androidApp && typeof window.androidApp.runtimeToolkitNavigationEvent === 'function') {
+          window.androidApp.runtimeToolkitNavigationEvent(JSON.stringify(withHookVersion(redactEvent(event))));
+        }
+      } catch (_ignored) {}
+    }
+    function emitFormEvent(event) {
+      try {
+        if (window.androidApp && typeof window.androidApp.runtimeToolkitFormEvent === 'function') {
+          window.androidApp.runtimeToolkitFormEvent(JSON.stringify(withHookVersion(redactEvent(event))));
+        }
+      } catch (_ignored) {}
+    }
+    function emitStorageEvent(event) {
+      try {
+        if (window.androidApp && typeof window.androidApp.runtimeToolkitStorageEvent === 'function') {
+          window.androidApp.runtimeToolkitStorageEvent(JSON.stringify(withHookVersion(redactEvent(event))));
+        }
+      } catch (_ignored) {}
+    }
+    function mediaState(element, signal) {
+      var mediaUrl = '';
+      var currentTime = null;
+      var duration = null;
+      var playbackRate = null;
+      var paused = null;
+      var seeking = null;
+      var readyState = null;
+      var networkState = null;
+      var bufferedEnd = null;
+      try {
+        mediaUrl = element.currentSrc || element.src || window.location.href;
+        currentTime = (typeof element.currentTime === 'number') ? element.currentTime : null;
+        duration = (typeof element.duration === 'number' && isFinite(element.duration)) ? element.duration : null;
+        playbackRate = (typeof element.playbackRate === 'number') ? element.playbackRate : null;
+        paused = !!element.paused;
+        seeking = !!element.seeking;
+        readyState = (typeof element.readyState === 'number') ? element.readyState : null;
+        networkState = (typeof element.networkState === 'number') ? element.networkState : null;
+        if (element.buffered && element.buffered.length > 0) {
+          bufferedEnd = element.buffered.end(element.buffered.length - 1);
+        }
+      } catch (_ignored) {}
+      return {
+        signal: signal,
+        mediaUrl: mediaUrl,
+        currentTime: currentTime,
+        duration: duration,
+        playbackRate: playbackRate,
+        paused: paused,
+        seeking: seeking,
+        readyState: readyState,
+        networkState: networkState,
+        bufferedEnd: bufferedEnd
+      };
+    }
+    function installPlaybackHooks() {
+      if (window.__mapperToolkitPlaybackHookInstalled) { return; }
+      window.__mapperToolkitPlaybackHookInstalled = true;
+      var watchedSignals = ['play', 'pause', 'seeking', 'seeked', 'waiting', 'ended', 'ratechange', 'loadedmetadata'];
+      watchedSignals.forEach(function(signal) {
+        document.addEventListener(signal, function(e) {
+          var target = e && e.target;
+          if (!target || typeof target.tagName !== 'string') { return; }
+          if (String(target.tagName).toLowerCase() !== 'video' && String(target.tagName).toLowerCase() !== 'audio') { return; }
+          emitPlaybackEvent(mediaState(target, signal));
+        }, true);
+      });
+      document.addEventListener('timeupdate', function(e) {
+        var target = e && e.target;
+        if (!target || typeof target.tagName !== 'string') { return; }
+        var tagName = String(target.tagName).toLowerCase();
+        if (tagName !== 'video' && tagName !== 'audio') { return; }
+        var now = Date.now();
+        var last = Number(target.__mapperToolkitLastTimeUpdateTs || 0);
+        if ((now - last) < 2000) { return; }
+        target.__mapperToolkitLastTimeUpdateTs = now;
+        emitPlaybackEvent(mediaState(target, 'timeupdate'));
+      }, true);
+    }
+    installPlaybackHooks();
+
+    // Binary responses that may later be fed into a SourceBuffer, newest last. Segment bytes are matched
+    // by buffer identity first, then by exact byte length, then by recency.
+    var MAX_MEDIA_RESPONSES = 48;
+    var MEDIA_RESPONSE_MATCH_WINDOW_MS = 15000;
+    var mediaResponses = [];
+    var mediaResponseByBuffer = (typeof WeakMap === 'function') ? new WeakMap() : null;
+    var mediaResponseByResponse = (typeof WeakMap === 'function') ? new WeakMap() : null;
+    function isMediaSegmentCandidate(url, mimeType) {
+      var mime = (mimeType || '').toLowerCase();
+      var path = String(url || '').toLowerCase().split(/[?#]/)[0];
+      if (mime.indexOf('video/') === 0 || mime.indexOf('audio/') === 0 || mime.indexOf('mp2t') >= 0 || mime.indexOf('octet-stream') >= 0) { return true; }
+      return /\.(ts|m4s|m4v|m4a|mp4|aac|cmfv|cmfa|webm|fmp4|init|seg)$/.test(path) || /\/(segment|chunk|frag(ment)?)[^/]*$/.test(path);
+    }
+    function rememberMediaResponse(requestId, url, mimeType, byteLength, buffer) {
+      if (!requestId || !isMediaSegmentCandidate(url, mimeType)) { return null; }
+      var entry = {
+        requestId: requestId,
+        url: url,
+        mimeType: mimeType || null,
+        byteLength: (typeof byteLength === 'number' && byteLength >= 0) ? byteLength : null,
+        completedAt: Date.now(),
+        consumed: false
+      };
+      mediaResponses.push(entry);
+      if (mediaResponses.length > MAX_MEDIA_RESPONSES) { mediaResponses.shift(); }
+      if (buffer && mediaResponseByBuffer) { mediaResponseByBuffer.set(buffer, entry); }
+      return entry;
+    }
+    function tagMediaBuffer(buffer, entry) {
+      if (!buffer || !entry || !mediaResponseByBuffer) { return; }
+      mediaResponseByBuffer.set(buffer, entry);
+      if (entry.byteLength === null && typeof buffer.byteLength === 'number') { entry.byteLength = buffer.byteLength; }
+    }
+    function matchMediaResponse(data, byteLength) {
+      var now = Date.now();
+      var tagged = mediaResponseByBuffer && data ? (mediaResponseByBuffer.get(data) || (data.buffer && mediaResponseByBuffer.get(data.buffer))) : null;
+      if (tagged) {
+        tagged.consumed = true;
+        return { entry: tagged, mode: 'buffer' };
+      }
+      var fallback = null;
+      for (var i = mediaResponses.length - 1; i >= 0; i--) {
+        var entry = mediaResponses[i];
+        if (entry.consumed || (now - entry.completedAt) > MEDIA_RESPONSE_MATCH_WINDOW_MS) { continue; }
+        if (entry.byteLength === byteLength) {
+          entry.consumed = true;
+          return { entry: entry, mode: 'byte_length' };
+        }
+        if (!fallback) { fallback = entry; }
+      }
+      if (fallback) {
+        fallback.consumed = true;
+        return { entry: fallback, mode: 'recent_response' };
+      }
+      return null;
+    }
+    function emitMediaSourceEvent(event) {
+      try {
+        if (window.androidApp && typeof window.androidApp.runtimeToolkitMediaSourceEvent === 'function') {
+          event.timestamp = Date.now();
+          window.androidApp.runtimeToolkitMediaSourceEvent(JSON.stringify(withHookVersion(redactEvent(event))));
+        }
+      } catch (_ignored) {}
+    }
+    function installMediaSourceHooks() {
+      var MediaSourceCtor = window.MediaSource;
+      var SourceBufferCtor = window.SourceBuffer;
+      if (typeof MediaSourceCtor !== 'function' || typeof SourceBufferCtor !== 'function') { return; }
+      if (MediaSourceCtor.prototype.__mapperToolkitMseHookInstalled) { return; }
+      MediaSourceCtor.prototype.__mapperToolkitMseHookInstalled = true;
+      var mseSeq = 0;
+      function mseId(prefix) {
+        mseSeq += 1;
+        return prefix + '_' + Date.now().toString(36) + '_' + mseSeq.toString(36);
+      }
+      function mediaSourceMeta(mediaSource) {
+        if (!mediaSource.__mapperToolkitMse) {
+          mediaSource.__mapperToolkitMse = { mediaSourceId: mseId('ms'), objectUrl: null };
+        }
+        return mediaSource.__mapperToolkitMse;
+      }
+      function bufferedEnd(sourceBuffer) {
+        try {
+          var ranges = sourceBuffer.buffered;
+          return (ranges && ranges.length > 0) ? ranges.end(ranges.length - 1) : null;
+        } catch (_ignored) { return null; }
+      }
+      function renditionKey(url) {
+        if (!url) { return null; }
+        var path = String(url).split(/[?#]/)[0];
+        return path.slice(0, path.lastIndexOf('/') + 1) || path;
+      }
+      function baseEvent(operation, sourceBuffer) {
+        var meta = sourceBuffer && sourceBuffer.__mapperToolkitMse;
+        var mediaSource = meta && meta.mediaSource ? mediaSourceMeta(meta.mediaSource) : null;
+        return {
+          operation: operation,
+          mediaSourceId: mediaSource ? mediaSource.mediaSourceId : null,
+          objectUrl: mediaSource ? mediaSource.objectUrl : null,
+          sourceBufferId: meta ? meta.sourceBufferId : null,
+          mimeType: meta ? meta.mimeType : null,
+          pageUrl: String(window.location.href)
+        };
+      }
+      function onUpdateEnd() {
+        var sourceBuffer = this;
+        var meta = sourceBuffer.__mapperToolkitMse;
+        if (!meta || !meta.pending.length) { return; }
+        var append = meta.pending.shift();
+        try {
+          var match = matchMediaResponse(append.data, append.byteLength);
+          append.data = null;
+          var endAfter = bufferedEnd(sourceBuffer);
+          var bufferedDelta = (endAfter !== null && append.bufferedEndBefore !== null) ? endAfter - append.bufferedEndBefore : null;
+          var event = baseEvent('segment_appended', sourceBuffer);
+          event.byteLength = append.byteLength;
+          event.appendDurationMs = Date.now() - append.startedAt;
+          event.bufferedEnd = endAfter;
+          event.bufferedDeltaSeconds = bufferedDelta;
+          event.estimatedBitrateBps = (bufferedDelta !== null && bufferedDelta > 0.05) ? Math.round(append.byteLength * 8 / bufferedDelta) : null;
+          event.requestId = match ? match.entry.requestId : null;
+          event.requestUrl = match ? match.entry.url : null;
+          event.correlationMode = match ? match.mode : null;
+          meta.appendCount += 1;
+          meta.appendedBytes += append.byteLength;
+          event.appendIndex = meta.appendCount;
+          event.appendedBytesTotal = meta.appendedBytes;
+          var rendition = match ? renditionKey(match.entry.url) : null;
+          if (rendition && meta.rendition && rendition !== meta.rendition) {
+            var switchEvent = baseEvent('quality_switch', sourceBuffer);
+            switchEvent.switchKind = 'rendition_path';
+            switchEvent.fromRendition = meta.rendition;
+            switchEvent.toRendition = rendition;
+            switchEvent.fromBitrateBps = meta.lastBitrateBps;
+            switchEvent.toBitrateBps = event.estimatedBitrateBps;
+            switchEvent.requestId = event.requestId;
+            emitMediaSourceEvent(switchEvent);
+          }
+          if (rendition) { meta.rendition = rendition; }
+          if (event.estimatedBitrateBps !== null) { meta.lastBitrateBps = event.estimatedBitrateBps; }
+          event.rendition = meta.rendition;
+          emitMediaSourceEvent(event);
+        } catch (_ignored) {}
+      }
+
+      var originalAddSourceBuffer = MediaSourceCtor.prototype.addSourceBuffer;
+      MediaSourceCtor.prototype.addSourceBuffer = function(mimeType) {
+        var sourceBuffer = originalAddSourceBuffer.apply(this, arguments);
+        try {
+          sourceBuffer.__mapperToolkitMse = {
+            sourceBufferId: mseId('sb'),
+            mediaSource: this,
+            mimeType: String(mimeType || ''),
+            pending: [],
+            appendCount: 0,
+            appendedBytes: 0,
+            rendition: null,
+            lastBitrateBps: null
+          };
+          sourceBuffer.addEventListener('updateend', onUpdateEnd);
+          var event = baseEvent('source_buffer_added', sourceBuffer);
+          event.readyState = this.readyState || null;
+          event.sourceBufferCount = this.sourceBuffers ? this.sourceBuffers.length : null;
+          emitMediaSourceEvent(event);
+        } catch (_ignored) {}
+        return sourceBuffer;
+      };
+
+      var originalAppendBuffer = SourceBufferCtor.prototype.appendBuffer;
+      SourceBufferCtor.prototype.appendBuffer = function(data) {
+        try {
+          var meta = this.__mapperToolkitMse;
+          if (meta) {
+            meta.pending.push({
+              data: data,
+              byteLength: data && typeof data.byteLength === 'number' ? data.byteLength : 0,
+              startedAt: Date.now(),
+              bufferedEndBefore: bufferedEnd(this)
+            });
+          }
+        } catch (_ignored) {}
+        return originalAppendBuffer.apply(this, arguments);
+      };
+
+      if (typeof SourceBufferCtor.prototype.changeType === 'function') {
+        var originalChangeType = SourceBufferCtor.prototype.changeType;
+        SourceBufferCtor.prototype.changeType = function(mimeType) {
+          try {
+            var meta = this.__mapperToolkitMse;
+            if (meta) {
+              var event = baseEvent('quality_switch', this);
+              event.switchKind = 'change_type';
+              event.fromMimeType = meta.mimeType;
+              event.toMimeType = String(mimeType || '');
+              meta.mimeType = event.toMimeType;
+              event.mimeType = meta.mimeType;
+              emitMediaSourceEvent(event);
+            }
+          } catch (_ignored) {}
+          return originalChangeType.apply(this, arguments);
+        };
+      }
+
+      var originalEndOfStream = MediaSourceCtor.prototype.endOfStream;
+      MediaSourceCtor.prototype.endOfStream = function(error) {
+        try {
+          var meta = mediaSourceMeta(this);
+          emitMediaSourceEvent({
+            operation: 'end_of_stream',
+            mediaSourceId: meta.mediaSourceId,
+            objectUrl: meta.objectUrl,
+            endOfStreamError: error ? String(error) : null,
+            duration: (typeof this.duration === 'number' && isFinite(this.duration)) ? this.duration : null,
+            sourceBufferCount: this.sourceBuffers ? this.sourceBuffers.length : null,
+            pageUrl: String(window.location.href)
+          });
+        } catch (_ignored) {}
+        return originalEndOfStream.apply(this, arguments);
+      };
+
+      if (typeof Response === 'function' && typeof Response.prototype.arrayBuffer === 'function') {
+        var originalArrayBuffer = Response.prototype.arrayBuffer;
+        Response.prototype.arrayBuffer = function() {
+          var entry = mediaResponseByResponse ? mediaResponseByResponse.get(this) : null;
+          var result = originalArrayBuffer.apply(this, arguments);
+          if (!entry) { return result; }
+          return result.then(function(buffer) {
+            tagMediaBuffer(buffer, entry);
+            return buffer;
+          });
+        };
+      }
+
+      // Link the blob: URL reported as mediaUrl by playback events to its MediaSource.
+      if (window.URL && typeof window.URL.createObjectURL === 'function') {
+        var originalCreateObjectURL = window.URL.createObjectURL;
+        window.URL.createObjectURL = function(object) {
+          var objectUrl = originalCreateObjectURL.apply(this, arguments);
+          try {
+            if (object instanceof MediaSourceCtor) {
+              var meta = mediaSourceMeta(object);
+              meta.objectUrl = String(objectUrl);
+              emitMediaSourceEvent({
+                operation: 'media_source_attached',
+                mediaSourceId: meta.mediaSourceId,
+                objectUrl: meta.objectUrl,
+                pageUrl: String(window.location.href)
+              });
+            }
+          } catch (_ignored) {}
+          return objectUrl;
+        };
+      }
+    }
+    installMediaSourceHooks();
+
+    // EME license flow: key system, init data type and the license request that carried the CDM
+    // message. Only sizes are recorded, never init data, messages, licenses or keys.
+    var LICENSE_MESSAGE_MATCH_WINDOW_MS = 10000;
+    var licenseMessages = [];
+    var licenseMessageByBuffer = (typeof WeakMap === 'function') ? new WeakMap() : null;
+    function emitEmeEvent(event) {
+      try {
+        if (window.androidApp && typeof window.androidApp.runtimeToolkitEmeEvent === 'function') {
+          event.pageUrl = String(window.location.href);
+          event.timestamp = Date.now();
+          window.androidApp.runtimeToolkitEmeEvent(JSON.stringify(withHookVersion(redactEvent(event))));
+        }
+      } catch (_ignored) {}
+    }
+    function binaryByteLength(body) {
+      if (!body || typeof body !== 'object') { return null; }
+      if (typeof ArrayBuffer !== 'undefined' && (body instanceof ArrayBuffer || ArrayBuffer.isView(body))) { return body.byteLength; }
+      return null;
+    }
+    function noteLicenseRequest(requestId, url, method, body) {
+      if (!licenseMessages.length) { return false; }
+      var byteLength = binaryByteLength(body);
+      var now = Date.now();
+      var match = null;
+      var mode = null;
+      if (licenseMessageByBuffer && byteLength !== null) {
+        match = licenseMessageByBuffer.get(body) || (body.buffer && licenseMessageByBuffer.get(body.buffer)) || null;
+        if (match) { mode = 'message_buffer'; }
+      }
+      for (var i = licenseMessages.length - 1; i >= 0 && !match; i--) {
+        var candidate = licenseMessages[i];
+        if (candidate.requestId || (now - candidate.receivedAt) > LICENSE_MESSAGE_MATCH_WINDOW_MS) { continue; }
+        if (byteLength !== null && byteLength === candidate.messageByteLength) {
+          match = candidate;
+          mode = 'byte_length';
+        } else if (String(method || '').toUpperCase() === 'POST' && /licen[cs]e|widevine|playready|fairplay|drm|\/acquire/i.test(String(url || ''))) {
+          match = candidate;
+          mode = 'license_url';
+        }
+      }
+      if (!match || match.requestId) { return false; }
+      match.requestId = requestId;
+      match.session.licenseRequestId = requestId;
+      emitEmeEvent({
+        operation: 'license_request',
+        emeSessionId: match.session.emeSessionId,
+        keySystem: match.session.keySystem,
+        messageType: match.messageType,
+        messageByteLength: match.messageByteLength,
+        requestBodyByteLength: byteLength,
+        requestId: requestId,
+        licenseUrl: String(url || ''),
+        method: String(method || 'GET').toUpperCase(),
+        correlationMode: mode
+      });
+      return true;
+    }
+    function installEmeHooks() {
+      var nav = window.navigator;
+      if (!nav || typeof nav.requestMediaKeySystemAccess !== 'function' || nav.__mapperToolkitEmeHookInstalled) { return; }
+      nav.__mapperToolkitEmeHookInstalled = true;
+      var emeSeq = 0;
+      function stringList(values) {
+        var out = [];
+        (Array.isArray(values) ? values : []).forEach(function(value) {
+          var text = (value && typeof value === 'object') ? value.robustness : value;
+          if (typeof text === 'string' && text && out.indexOf(text) < 0) { out.push(text); }
+        });
+        return out;
+      }
+      function describeConfigurations(configurations) {
+        var summary = { initDataTypes: [], sessionTypes: [], videoRobustness: [], audioRobustness: [], persistentState: [] };
+        (Array.isArray(configurations) ? configurations : []).forEach(function(config) {
+          if (!config) { return; }
+          stringList(config.initDataTypes).forEach(function(item) { if (summary.initDataTypes.indexOf(item) < 0) { summary.initDataTypes.push(item); } });
+          stringList(config.sessionTypes).forEach(function(item) { if (summary.sessionTypes.indexOf(item) < 0) { summary.sessionTypes.push(item); } });
+          stringList(config.videoCapabilities).forEach(function(item) { if (summary.videoRobustness.indexOf(item) < 0) { summary.videoRobustness.push(item); } });
+          stringList(config.audioCapabilities).forEach(function(item) { if (summary.audioRobustness.indexOf(item) < 0) { summary.audioRobustness.push(item); } });
+          if (typeof config.persistentState === 'string' && summary.persistentState.indexOf(config.persistentState) < 0) {
+            summary.persistentState.push(config.persistentState);
+          }
+        });
+        return summary;
+      }
+
+      var originalRequestAccess = nav.requestMediaKeySystemAccess;
+      nav.requestMediaKeySystemAccess = function(keySystem, configurations) {
+        var summary = null;
+        try { summary = describeConfigurations(configurations); } catch (_ignored) {}
+        var result = originalRequestAccess.apply(this, arguments);
+        function report(granted, error) {
+          var event = summary || {};
+          event.operation = 'key_system_access';
+          event.keySystem = String(keySystem || '');
+          event.granted = granted;
+          event.error = error ? String(error.name || error.message || error) : null;
+          emitEmeEvent(event);
+        }
+        return result.then(function(access) {
+          report(true, null);
+          return access;
+        }, function(error) {
+          report(false, error);
+          throw error;
+        });
+      };
+
+      var AccessCtor = window.MediaKeySystemAccess;
+      if (AccessCtor && AccessCtor.prototype && typeof AccessCtor.prototype.createMediaKeys === 'function') {
+        var originalCreateMediaKeys = AccessCtor.prototype.createMediaKeys;
+        AccessCtor.prototype.createMediaKeys = function() {
+          var keySystem = String(this.keySystem || '');
+          return originalCreateMediaKeys.apply(this, arguments).then(function(mediaKeys) {
+            try { mediaKeys.__mapperToolkitKeySystem = keySystem; } catch (_ignored) {}
+            return mediaKeys;
+          });
+        };
+      }
+
+      var KeysCtor = window.MediaKeys;
+      if (KeysCtor && KeysCtor.prototype && typeof KeysCtor.prototype.createSession === 'function') {
+        var originalCreateSession = KeysCtor.prototype.createSession;
+        KeysCtor.prototype.createSession = function(sessionType) {
+          var session = originalCreateSession.apply(this, arguments);
+          try {
+            emeSeq += 1;
+            var meta = {
+              emeSessionId: 'eme_' + Date.now().toString(36) + '_' + emeSeq.toString(36),
+              keySystem: this.__mapperToolkitKeySystem || null,
+              sessionType: String(sessionType || 'temporary'),
+              licenseRequestId: null
+            };
+            session.__mapperToolkitEme = meta;
+            session.addEventListener('message', function(e) {
+              try {
+                var message = e && e.message;
+                var entry = {
+                  session: meta,
+                  messageType: (e && e.messageType) || null,
+                  messageByteLength: binaryByteLength(message),
+                  receivedAt: Date.now(),
+                  requestId: null
+                };
+                licenseMessages.push(entry);
+                if (licenseMessages.length > 16) { licenseMessages.shift(); }
+                if (licenseMessageByBuffer && message) { licenseMessageByBuffer.set(message, entry); }
+              } catch (_ignored) {}
+            });
+          } catch (_ignored) {}
+          return session;
+        };
+      }
+
+      var SessionCtor = window.MediaKeySession;
+      if (SessionCtor && SessionCtor.prototype) {
+        if (typeof SessionCtor.prototype.generateRequest === 'function') {
+          var originalGenerateRequest = SessionCtor.prototype.generateRequest;
+          SessionCtor.prototype.generateRequest = function(initDataType, initData) {
+            try {
+              var meta = this.__mapperToolkitEme || {};
+              emitEmeEvent({
+                operation: 'generate_request',
+                emeSessionId: meta.emeSessionId || null,
+                keySystem: meta.keySystem || null,
+                sessionType: meta.sessionType || null,
+                initDataType: String(initDataType || ''),
+                initDataByteLength: binaryByteLength(initData)
+              });
+            } catch (_ignored) {}
+            return originalGenerateRequest.apply(this, arguments);
+          };
+        }
+        if (typeof SessionCtor.prototype.update === 'function') {
+          var originalUpdate = SessionCtor.prototype.update;
+          SessionCtor.prototype.update = function(response) {
+            var meta = this.__mapperToolkitEme || {};
+            var responseByteLength = binaryByteLength(response);
+            function report(success, error) {
+              emitEmeEvent({
+                operation: 'license_update',
+                emeSessionId: meta.emeSessionId || null,
+                keySystem: meta.keySystem || null,
+                requestId: meta.licenseRequestId || null,
+                responseByteLength: responseByteLength,
+                success: success,
+                error: error ? String(error.name || error.message || error) : null
+              });
+            }
+            return originalUpdate.apply(this, arguments).then(function(value) {
+              report(true, null);
+              return value;
+            }, function(error) {
+              report(false, error);
+              throw error;
+            });
+          };
+        }
+      }
+    }
+    installEmeHooks();
+
+    function installFetchHook(scope, emit) {
+      if (typeof scope.fetch !== 'function' || scope.__mapperToolkitFetchHookInstalled) { return; }
+      scope.__mapperToolkitFetchHookInstalled = true;
+      var originalFetch = scope.fetch;
+      scope.fetch = function(input, init) {
+        var requestId = makeRequestId();
+        var requestInitiator = initiatorScript();
+        var requestUrl = '';
+        var requestMethod = 'GET';
+        var requestHeaders = {};
+        var requestBody = null;
+        try {
+          var requestObj = (typeof Request !== 'undefined' && input instanceof Request) ? input : null;
+          requestUrl = requestObj ? requestObj.url : String(input || '');
+          requestMethod = ((init && init.method) || (requestObj && requestObj.method) || 'GET').toUpperCase();
+          requestHeaders = safeHeaders((init && init.headers) || (requestObj && requestObj.headers));
+          requestBody = (init && init.body != null) ? init.body : null;
+        } catch (_ignored) {}
+
+        emit(withRequestBody({
+          stage: 'request',
+          source: 'fetch',
+          requestId: requestId,
+          url: requestUrl,
+          method: requestMethod,
+          requestHeaders: requestHeaders,
+          initiatorScript: requestInitiator
+        }, requestBody));
+        // License responses carry key material: never capture their bodies.
+        var licenseRequest = false;
+        if (typeof noteLicenseRequest === 'function') {
+          try { licenseRequest = noteLicenseRequest(requestId, requestUrl, requestMethod, requestBody); } catch (_ignoredLicense) {}
+        }
+
+        return originalFetch.apply(this, arguments)
+          .then(function(response) {
+            var responseUrl = response && response.url ? response.url : requestUrl;
+            var headers = safeHeaders(response && response.headers ? response.headers : null);
+            var mimeType = '';
+            try {
+              mimeType = (response && response.headers && response.headers.get('content-type')) || '';
+            } catch (_ignored2) {}
+            var bodyPromise = Promise.resolve(null);
+            if (licenseRequest || isLicenseExchange(requestUrl, requestMethod, mimeType) ||
+                isLicenseExchange(responseUrl, requestMethod, mimeType)) {
+              bodyPromise = Promise.resolve(null);
+            } else if (response && shouldCaptureBody(responseUrl, mimeType)) {
+              bodyPromise = response.clone().text()
+                .then(function(text) {
+                  var safeText = (text == null) ? '' : String(text);
+                  var preview = truncate(safeText, 16777216);
+                  return {
+                    bodyPreview: preview,
+                    bodyPreviewTruncated: preview.length < safeText.length,
+                    bodyOriginalLength: safeText.length,
+                    bodyEncoding: 'text'
+                  };
+                })
+                .catch(function() {
+                  return {
+                    bodyPreview: null,
+                    bodyPreviewTruncated: false,
+                    bodyOriginalLength: 0
+                  };
+                });
+            } else if (response && shouldCaptureBinaryBody(responseUrl, mimeType)) {
+              bodyPromise = response.clone().arrayBuffer()
+                .then(binaryBodyPayload)
+                .catch(function() { return null; });
+            }
+            return bodyPromise.then(function(bodyPayload) {
+              var payload = bodyPayload || {
+                bodyPreview: null,
+                bodyPreviewTruncated: false,
+                bodyOriginalLength: 0
+              };
+              emit({
+                stage: 'response',
+                source: 'fetch',
+                requestId: requestId,
+                url: responseUrl,
+                responseUrl: responseUrl,
+                method: requestMethod,
+                status: response ? response.status : null,
+                reason: response ? response.statusText : null,
+                mimeType: mimeType,
+                headers: headers,
+                bodyPreview: payload.bodyPreview,
+                bodyPreviewTruncated: !!payload.bodyPreviewTruncated,
+                bodyOriginalLength: payload.bodyOriginalLength || 0,
+                bodyEncoding: payload.bodyEncoding || 'text'
+              });
+              if (typeof rememberMediaResponse === 'function' && response) {
+                var contentLength = parseInt(headers['content-length'] || '', 10);
+                var mediaEntry = rememberMediaResponse(requestId, responseUrl, mimeType, isNaN(contentLength) ? null : contentLength, null);
+                if (mediaEntry && mediaResponseByResponse) { mediaResponseByResponse.set(response, mediaEntry); }
+              }
+              return response;
+            });
+          })
+          .catch(function(error) {
+            emit({
+              stage: 'response',
+              source: 'fetch',
+              requestId: requestId,
+              url: requestUrl,
+              method: requestMethod,
+              status: null,
+              reason: (error && error.message) ? String(error.message) : 'fetch_error',
+              headers: {}
+            });
+            throw error;
+          });
+      };
+    }
+
+    function installXhrHook(scope, emit) {
+      if (!scope.XMLHttpRequest || scope.__mapperToolkitXhrHookInstalled) { return; }
+      scope.__mapperToolkitXhrHookInstalled = true;
+      var xhrPrototype = scope.XMLHttpRequest.prototype;
+      var originalOpen = xhrPrototype.open;
+      var originalSend = xhrPrototype.send;
+      var originalSetRequestHeader = xhrPrototype.setRequestHeader;
+
+      function assignBinaryBody(event, binary) {
+        event.bodyPreview = binary.bodyPreview;
+        event.bodyPreviewTruncated = binary.bodyPreviewTruncated;
+        event.bodyOriginalLength = binary.bodyOriginalLength;
+        event.bodyEncoding = binary.bodyEncoding;
+      }
+
+      xhrPrototype.open = function(method, url) {
+        this.__mapperToolkitMeta = {
+          requestId: makeRequestId(),
+          method: String(method || 'GET').toUpperCase(),
+          url: String(url || ''),
+          requestHeaders: {}
+        };
+        return originalOpen.apply(this, arguments);
+      };
+
+      xhrPrototype.setRequestHeader = function(key, value) {
+        try {
+          if (this.__mapperToolkitMeta) {
+            this.__mapperToolkitMeta.requestHeaders[String(key)] = truncate(value, 512);
+          }
+        } catch (_ignored) {}
+        return originalSetRequestHeader.apply(this, arguments);
+      };
+
+      xhrPrototype.send = function(body) {
+        var meta = this.__mapperToolkitMeta || {
+          requestId: makeRequestId(),
+          method: 'GET',
+          url: this.responseURL || '',
+          requestHeaders: {}
+        };
+        emit(withRequestBody({
+          stage: 'request',
+          source: 'xhr',
+          requestId: meta.requestId,
+          url: meta.url,
+          method: meta.method,
+          requestHeaders: meta.requestHeaders,
+          initiatorScript: initiatorScript()
+        }, body));
+        if (typeof noteLicenseRequest === 'function') {
+          try { meta.licenseRequest = noteLicenseRequest(meta.requestId, meta.url, meta.method, body); } catch (_ignoredLicense) {}
+        }
+
+        var xhr = this;
+        var onReadyState = function() {
+          if (xhr.readyState !== 4) { return; }
+          xhr.removeEventListener('readystatechange', onReadyState);
+          var responseHeaders = {};
+          var mimeType = '';
+          try {
+            responseHeaders = parseRawHeaders(xhr.getAllResponseHeaders ? xhr.getAllResponseHeaders() : '');
+            mimeType = (xhr.getResponseHeader && xhr.getResponseHeader('content-type')) || '';
+          } catch (_ignored2) {}
+          var responseUrl = xhr.responseURL || meta.url;
+          var responseEvent = {
+            stage: 'response',
+            source: 'xhr',
+            requestId: meta.requestId,
+            url: responseUrl,
+            responseUrl: responseUrl,
+            method: meta.method,
+            status: xhr.status || null,
+            reason: xhr.statusText || null,
+            mimeType: mimeType,
+            headers: responseHeaders,
+            bodyPreview: null,
+            bodyPreviewTruncated: false,
+            bodyOriginalLength: 0,
+            bodyEncoding: 'text'
+          };
+          var pendingBlob = null;
+          if (meta.licenseRequest || isLicenseExchange(meta.url, meta.method, mimeType) ||
+              isLicenseExchange(responseUrl, meta.method, mimeType)) {
+            emit(responseEvent);
+            return;
+          }
+          try {
+            if (typeof rememberMediaResponse === 'function' && xhr.responseType === 'arraybuffer' && xhr.response) {
+              rememberMediaResponse(meta.requestId, responseUrl, mimeType, xhr.response.byteLength, xhr.response);
+            }
+          } catch (_ignoredMedia) {}
+          try {
+            if (xhr.responseType === '' || xhr.responseType === 'text') {
+              if (shouldCaptureBody(responseUrl, mimeType)) {
+                var responseText = (xhr.responseText == null) ? '' : String(xhr.responseText);
+                responseEvent.bodyOriginalLength = responseText.length;
+                responseEvent.bodyPreview = truncate(responseText, 16777216);
+                responseEvent.bodyPreviewTruncated = responseEvent.bodyPreview.length < responseText.length;
+              }
+            } else if (xhr.response && (shouldCaptureBinaryBody(responseUrl, mimeType) || shouldCaptureBody(responseUrl, mimeType))) {
+              if (xhr.responseType === 'arraybuffer') {
+                assignBinaryBody(responseEvent, binaryBodyPayload(xhr.response));
+              } else if (xhr.responseType === 'blob' && typeof xhr.response.arrayBuffer === 'function') {
+                pendingBlob = xhr.response;
+              }
+            }
+          } catch (_ignored3) {}
+          if (pendingBlob) {
+            pendingBlob.arrayBuffer()
+              .then(function(buffer) {
+                assignBinaryBody(responseEvent, binaryBodyPayload(buffer));
+                emit(responseEvent);
+              })
+              .catch(function() { emit(responseEvent); });
+            return;
+          }
+          emit(responseEvent);
+        };
+        xhr.addEventListener('readystatechange', onReadyState);
+        return originalSend.apply(this, arguments);
+      };
+    }
+    installFetchHook(window, emitNetworkEvent);
+    installXhrHook(window, emitNetworkEvent);
+
+    function workerRelayBootstrap(baseUrl) {
+      // one relay port per connected document, events go to the oldest one still open
+      var relayPorts = [];
+      var pending = [];
+      function relay(event) {
+        try {
+          if (relayPorts.length > 0) {
+            relayPorts[0].postMessage({ __mapperToolkitWorkerEvent: event });
+          } else if (pending.length < 256) {
+            pending.push(event);
+          }
+        } catch (_ignored) {}
+      }
+      function adoptRelayPort(message) {
+        var data = message ? message.data : null;
+        if (!data || data.__mapperToolkitRelay !== true || !message.ports || !message.ports[0]) { return; }
+        message.stopImmediatePropagation();
+        var relayPort = message.ports[0];
+        relayPort.onmessage = function(closing) {
+          if (!closing || !closing.data || closing.data.__mapperToolkitRelayClosed !== true) { return; }
+          var index = relayPorts.indexOf(relayPort);
+          if (index >= 0) { relayPorts.splice(index, 1); }
+          try { relayPort.close(); } catch (_ignored) {}
+        };
+        relayPorts.push(relayPort);
+        pending.splice(0).forEach(relay);
+      }
+      function resolveUrl(value) {
+        if (typeof value !== 'string') { return value; }
+        try { return new URL(value, baseUrl).href; } catch (_ignored) { return value; }
+      }
+      self.addEventListener('message', adoptRelayPort);
+      self.addEventListener('connect', function(connectEvent) {
+        var port = connectEvent.ports ? connectEvent.ports[0] : null;
+        if (!port) { return; }
+        port.addEventListener('message', adoptRelayPort);
+        port.start();
+      });
+      installFetchHook(self, relay);
+      installXhrHook(self, relay);
+      // the bootstrap itself runs from a blob: URL, so relative URLs resolve against the real script
+      if (typeof self.fetch === 'function') {
+        var hookedFetch = self.fetch;
+        self.fetch = function(input) {
+          var args = Array.prototype.slice.call(arguments);
+          args[0] = resolveUrl(input);
+          return hookedFetch.apply(this, args);
+        };
+      }
+      if (self.XMLHttpRequest) {
+        var hookedOpen = self.XMLHttpRequest.prototype.open;
+        self.XMLHttpRequest.prototype.open = function() {
+          var args = Array.prototype.slice.call(arguments);
+          args[1] = resolveUrl(args[1]);
+          return hookedOpen.apply(this, args);
+        };
+      }
+      if (typeof self.importScripts === 'function') {
+        var originalImportScripts = self.importScripts;
+        self.importScripts = function() {
+          return originalImportScripts.apply(this, Array.prototype.map.call(arguments, resolveUrl));
+        };
+      }
+    }
+
+    if (typeof Blob === 'function' && typeof MessageChannel === 'function' &&
+      window.URL && typeof window.URL.createObjectURL === 'function' &&
+      !window.__mapperToolkitWorkerHookInstalled) {
+      window.__mapperToolkitWorkerHookInstalled = true;
+      var workerBootstrapUrls = {};
+      var workerInstrumentationSource = [
+        truncate, safeHeaders, parseRawHeaders, shouldCaptureBody, shouldCaptureBinaryBody, isLicenseExchange,
+        binaryFrameSize, binaryBodyPayload, makeRequestId, requestBodyPreview, withRequestBody,
+        initiatorScript, installFetchHook, installXhrHook
+      ].map(function(fn) { return fn.toString(); }).join('\n') + '\nvar __mapperToolkitReqSeq = 0;\n';
+      // null while probing: a CSP that forbids blob: workers only fails asynchronously,
+      // so workers are wrapped once a blob: probe worker has answered
+      var workerBlobAllowed = null;
+      document.addEventListener('securitypolicyviolation', function(violation) {
+        if (violation && String(violation.blockedURI || '').indexOf('blob') === 0) { workerBlobAllowed = false; }
+      });
+      function metaPolicyAllowsBlobWorkers() {
+        var metas = document.querySelectorAll ? document.querySelectorAll('meta[http-equiv]') : [];
+        for (var i = 0; i < metas.length; i++) {
+          if (String(metas[i].getAttribute('http-equiv') || '').toLowerCase() !== 'content-security-policy') { continue; }
+          var directives = {};
+          String(metas[i].getAttribute('content') || '').split(';').forEach(function(directive) {
+            var tokens = directive.trim().toLowerCase().split(/\s+/);
+            if (tokens[0] && !directives[tokens[0]]) { directives[tokens[0]] = tokens.slice(1); }
+          });
+          var sources = directives['worker-src'] || directives['child-src'] ||
+            directives['script-src'] || directives['default-src'];
+          if (sources && sources.indexOf('blob:') < 0) { return false; }
+        }
+        return true;
+      }
+      (function probeBlobWorkers() {
+        try {
+          var probeUrl = window.URL.createObjectURL(
+            new Blob(['self.postMessage(true); self.close();'], { type: 'text/javascript' }));
+          var probe = new window.Worker(probeUrl);
+          var settle = function(allowed) {
+            if (workerBlobAllowed === null || !allowed) { workerBlobAllowed = allowed; }
+            probe.terminate();
+            window.URL.revokeObjectURL(probeUrl);
+          };
+          probe.onmessage = function() { settle(true); };
+          probe.onerror = function() { settle(false); };
+        } catch (_ignored) {
+          workerBlobAllowed = false;
+        }
+      })();
+      function workerBootstrapUrl(scriptUrl, isModule) {
+        var key = (isModule ? 'module:' : 'classic:') + scriptUrl;
+        if (!workerBootstrapUrls[key]) {
+          var source = workerInstrumentationSource +
+            '(' + workerRelayBootstrap.toString() + ')(' + JSON.stringify(scriptUrl) + ');\n' +
+            (isModule ? 'import(' : 'importScripts(') + JSON.stringify(scriptUrl) + ');\n';
+          workerBootstrapUrls[key] = window.URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        }
+        return workerBootstrapUrls[key];
+      }
+      function relayWorkerEvents(workerType, scriptUrl) {
+        var channel = new MessageChannel();
+        var workerId = makeConnectionId('jsworker');
+        if (workerType === 'shared') {
+          // a shared worker outlives this document, hand its events over to another connection
+          window.addEventListener('pagehide', function() {
+            try { channel.port1.postMessage({ __mapperToolkitRelayClosed: true }); } catch (_ignored) {}
+          });
+        }
+        channel.port1.onmessage = function(message) {
+          var event = (message && message.data) ? message.data.__mapperToolkitWorkerEvent : null;
+          if (!event) { return; }
+          event.requestId = workerId + '_' + (event.requestId || '');
+          event.workerType = workerType;
+          event.workerScript = scriptUrl;
+          emitNetworkEvent(event);
+        };
+        return channel.port2;
+      }
+      function wrapWorkerConstructor(OriginalWorker, workerType) {
+        var MapperWorker = function(scriptURL, options) {
+          var scriptUrl = '';
+          var sameOrigin = false;
+          try {
+            var resolved = new window.URL(String(scriptURL), window.location.href);
+            scriptUrl = resolved.href;
+            sameOrigin = /^blob:/i.test(scriptUrl) ||
+              (/^https?:/i.test(scriptUrl) && resolved.origin === new window.URL(window.location.href).origin);
+          } catch (_ignored) {}
+          // cross-origin scripts must keep failing the way the page expects, not load via importScripts
+          if (workerBlobAllowed !== true || !sameOrigin || !metaPolicyAllowsBlobWorkers()) {
+            return new OriginalWorker(scriptURL, options);
+          }
+          var isModule = !!(options && typeof options === 'object' && options.type === 'module');
+          var worker;
+          try {
+            worker = new OriginalWorker(workerBootstrapUrl(scriptUrl, isModule), options);
+          } catch (_ignored2) {
+            return new OriginalWorker(scriptURL, options);
+          }
+          try {
+            var target = (workerType === 'shared') ? worker.port : worker;
+            target.postMessage({ __mapperToolkitRelay: true }, [relayWorkerEvents(workerType, scriptUrl)]);
+          } catch (_ignored3) {}
+          return worker;
+        };
+        MapperWorker.prototype = OriginalWorker.prototype;
+        return MapperWorker;
+      }
+      if (typeof window.Worker === 'function') {
+        window.Worker = wrapWorkerConstructor(window.Worker, 'dedicated');
+      }
+      if (typeof window.SharedWorker === 'function') {
+        window.SharedWorker = wrapWorkerConstructor(window.SharedWorker, 'shared');
+      }
+    }
+
+    if (window.navigator && window.navigator.serviceWorker &&
+      typeof window.navigator.serviceWorker.register === 'function' &&
+      !window.__mapperToolkitServiceWorkerHookInstalled) {
+      window.__mapperToolkitServiceWorkerHookInstalled = true;
+      var serviceWorkerContainer = window.navigator.serviceWorker;
+      var originalRegister = serviceWorkerContainer.register;
+      function emitServiceWorkerEvent(workerEvent, registration, scriptUrl, extra) {
+        var worker = registration ? (registration.active || registration.waiting || registration.installing) : null;
+        var event = {
+          stage: 'service_worker',
+          source: 'service_worker',
+          workerEvent: workerEvent,
+          url: scriptUrl || (worker && worker.scriptURL) || '',
+          method: 'GET',
+          scope: registration ? registration.scope : null,
+          state: worker ? worker.state : null
+        };
+        Object.keys(extra || {}).forEach(function(key) { event[key] = extra[key]; });
+        emitNetworkEvent(event);
+      }
+      serviceWorkerContainer.register = function(scriptURL, options) {
+        var scriptUrl = String(scriptURL || '');
+        try { scriptUrl = new window.URL(scriptUrl, window.location.href).href; } catch (_ignored) {}
+        var requestedScope = (options && options.scope) ? String(options.scope) : null;
+        var result = originalRegister.apply(this, arguments);
+        try {
+          result.then(function(registration) {
+            emitServiceWorkerEvent('registered', registration, scriptUrl, { requestedScope: requestedScope });
+          }, function(error) {
+            emitServiceWorkerEvent('register_failed', null, scriptUrl, {
+              requestedScope: requestedScope,
+              reason: (error && error.message) ? String(error.message) : 'register_failed'
+            });
+          });
+        } catch (_ignored2) {}
+        return result;
+      };
+      if (typeof serviceWorkerContainer.getRegistrations === 'function') {
+        serviceWorkerContainer.getRegistrations().then(function(registrations) {
+          (registrations || []).forEach(function(registration) {
+            emitServiceWorkerEvent('existing', registration, null, null);
+          });
+        }).catch(function() {});
+      }
+    }
+
+    if (typeof window.WebSocket === 'function' && !window.__mapperToolkitWebSocketHookInstalled) {
+      window.__mapperToolkitWebSocketHookInstalled = true;
+      var OriginalWebSocket = window.WebSocket;
+      var originalSocketSend = OriginalWebSocket.prototype.send;
+      function emitSocketEvent(meta, connectionEvent, extra) {
+        var event = {
+          stage: 'connection',
+          source: 'websocket',
+          transport: 'websocket',
+          connectionEvent: connectionEvent,
+          connectionId: meta.connectionId,
+          requestId: meta.connectionId,
+          url: meta.url,
+          method: 'GET'
+        };
+        if (extra) {
+          Object.keys(extra).forEach(function(key) { event[key] = extra[key]; });
+        }
+        emitNetworkEvent(event);
+      }
+      function emitSocketFrame(meta, connectionEvent, direction, data) {
+        var frame = framePayload(meta.url, data);
+        frame.frameDirection = direction;
+        emitSocketEvent(meta, connectionEvent, frame);
+      }
+      var MapperWebSocket = function(url, protocols) {
+        var socket = (arguments.length > 1) ?
+          new OriginalWebSocket(url, protocols) :
+          new OriginalWebSocket(url);
+        var meta = {
+          connectionId: makeConnectionId('jsws'),
+          url: String(socket.url || url || '')
+        };
+        try {
+          socket.__mapperToolkitSocketMeta = meta;
+          emitSocketEvent(meta, 'connect', {
+            protocols: (protocols == null) ? [] : [].concat(protocols).map(String)
+          });
+          socket.addEventListener('open', function() {
+            emitSocketEvent(meta, 'open', {
+              protocol: socket.protocol || '',
+              extensions: socket.extensions || ''
+            });
+          });
+          socket.addEventListener('message', function(e) {
+            emitSocketFrame(meta, 'message', 'inbound', e ? e.data : null);
+          });
+          socket.addEventListener('close', function(e) {
+            emitSocketEvent(meta, 'close', {
+              closeCode: (e && typeof e.code === 'number') ? e.code : null,
+              reason: (e && e.reason) ? truncate(e.reason, 512) : null,
+              wasClean: !!(e && e.wasClean)
+            });
+          });
+          socket.addEventListener('error', function() {
+            emitSocketEvent(meta, 'error', { reason: 'websocket_error' });
+          });
+        } catch (_ignored) {}
+        return socket;
+      };
+      MapperWebSocket.prototype = OriginalWebSocket.prototype;
+      ['CONNECTING', 'OPEN', 'CLOSING', 'CLOSED'].forEach(function(key) {
+        try { MapperWebSocket[key] = OriginalWebSocket[key]; } catch (_ignored) {}
+      });
+      OriginalWebSocket.prototype.send = function(data) {
+        try {
+          if (this.__mapperToolkitSocketMeta) {
+            emitSocketFrame(this.__mapperToolkitSocketMeta, 'send', 'outbound', data);
+          }
+        } catch (_ignored) {}
+        return originalSocketSend.apply(this, arguments);
+      };
+      window.WebSocket = MapperWebSocket;
+    }
+
+    if (window.navigator && typeof window.navigator.sendBeacon === 'function' && !window.__mapperToolkitBeaconHookInstalled) {
+      window.__mapperToolkitBeaconHookInstalled = true;
+      var originalSendBeacon = window.navigator.sendBeacon;
+      window.navigator.sendBeacon = function(url, data) {
+        // emitted before the beacon is queued so the native intercept already knows its initiator
+        try {
+          emitNetworkEvent({
+            stage: 'request',
+            source: 'beacon',
+            requestId: makeRequestId(),
+            url: String(url || ''),
+            method: 'POST',
+            requestHeaders: {},
+            payloadSize: payloadSize(data)
+          });
+        } catch (_ignored) {}
+        return originalSendBeacon.apply(this, arguments);
+      };
+    }
+
+    if (typeof window.Image === 'function' && window.HTMLImageElement && !window.__mapperToolkitPixelHookInstalled) {
+      var imageSrcDescriptor = Object.getOwnPropertyDescriptor(HTMLImageElement.prototype, 'src');
+      if (imageSrcDescriptor && imageSrcDescriptor.set && imageSrcDescriptor.configurable) {
+        window.__mapperToolkitPixelHookInstalled = true;
+        var OriginalImage = window.Image;
+        var MapperImage = function(width, height) {
+          var image = (arguments.length > 1) ?
+            new OriginalImage(width, height) :
+            (arguments.length > 0 ? new OriginalImage(width) : new OriginalImage());
+          image.__mapperToolkitPixelCandidate = true;
+          return image;
+        };
+        MapperImage.prototype = OriginalImage.prototype;
+        Object.defineProperty(HTMLImageElement.prototype, 'src', {
+          configurable: true,
+          enumerable: imageSrcDescriptor.enumerable,
+          get: imageSrcDescriptor.get,
+          set: function(value) {
+            try {
+              // only detached `new Image()` instances count as tracking pixels, never rendered <img> tags
+              if (this.__mapperToolkitPixelCandidate && !this.isConnected) {
+                var pixelUrl = String(value || '');
+                if (/^https?:/i.test(pixelUrl)) {
+                  var queryIndex = pixelUrl.indexOf('?');
+                  emitNetworkEvent({
+                    stage: 'request',
+                    source: 'pixel',
+                    requestId: makeRequestId(),
+                    url: pixelUrl,
+                    method: 'GET',
+                    requestHeaders: {},
+                    payloadSize: (queryIndex >= 0) ? (pixelUrl.length - queryIndex - 1) : 0
+                  });
+                }
+              }
+            } catch (_ignored) {}
+            return imageSrcDescriptor.set.call(this, value);
+          }
+        });
+        window.Image = MapperImage;
+      }
+    }
+
+    if (typeof window.EventSource === 'function' && !window.__mapperToolkitEventSourceHookInstalled) {
+      window.__mapperToolkitEventSourceHookInstalled = true;
+      var OriginalEventSource = window.EventSource;
+      var originalEventSourceClose = OriginalEventSource.prototype.close;
+      function emitStreamEvent(meta, connectionEvent, extra) {
+        var event = {
+          stage: 'connection',
+          source: 'eventsource',
+          transport: 'eventsource',
+          connectionEvent: connectionEvent,
+          connectionId: meta.connectionId,
+          requestId: meta.connectionId,
+          url: meta.url,
+          method: 'GET',
+          withCredentials: meta.withCredentials,
+          reconnectAttempt: meta.reconnectAttempt
+        };
+        if (extra) {
+          Object.keys(extra).forEach(function(key) { event[key] = extra[key]; });
+        }
+        emitNetworkEvent(event);
+      }
+      function watchStreamEventName(source, meta, eventName) {
+        if (!eventName || meta.watchedEventNames[eventName]) { return; }
+        if (eventName === 'open' || eventName === 'error') { return; }
+        meta.watchedEventNames[eventName] = true;
+        source.addEventListener(eventName, function(e) {
+          var frame = framePayload(meta.url, (e && typeof e.data === 'string') ? e.data : '');
+          frame.frameDirection = 'inbound';
+          frame.eventName = eventName;
+          frame.lastEventId = (e && e.lastEventId) ? String(e.lastEventId) : null;
+          // the SSE retry field is not exposed to page JS; report the last observed reconnect delay instead
+          frame.retryMs = meta.lastReconnectDelayMs;
+          emitStreamEvent(meta, 'message', frame);
+        });
+      }
+      var MapperEventSource = function(url, config) {
+        var source = (arguments.length > 1) ?
+          new OriginalEventSource(url, config) :
+          new OriginalEventSource(url);
+        var meta = {
+          connectionId: makeConnectionId('jssse'),
+          url: String(source.url || url || ''),
+          withCredentials: !!source.withCredentials,
+          reconnectAttempt: 0,
+          lastErrorTs: 0,
+          lastReconnectDelayMs: null,
+          watchedEventNames: {}
+        };
+        try {
+          source.__mapperToolkitStreamMeta = meta;
+          emitStreamEvent(meta, 'connect', null);
+          source.addEventListener('open', function() {
+            if (meta.lastErrorTs > 0) {
+              meta.lastReconnectDelayMs = Date.now() - meta.lastErrorTs;
+              meta.lastErrorTs = 0;
+            }
+            emitStreamEvent(meta, 'open', { retryMs: meta.lastReconnectDelayMs });
+          });
+          source.addEventListener('error', function() {
+            if (source.readyState === OriginalEventSource.CONNECTING) {
+              meta.reconnectAttempt += 1;
+              meta.lastErrorTs = Date.now();
+              emitStreamEvent(meta, 'reconnect', { reason: 'eventsource_reconnect' });
+            } else {
+              emitStreamEvent(meta, 'error', { reason: 'eventsource_error' });
+            }
+          });
+          watchStreamEventName(source, meta, 'message');
+          var originalAddEventListener = source.addEventListener;
+          source.addEventListener = function(type) {
+            try { watchStreamEventName(source, meta, String(type || '')); } catch (_ignored) {}
+            return originalAddEventListener.apply(this, arguments);
+          };
+        } catch (_ignored) {}
+        return source;
+      };
+      MapperEventSource.prototype = OriginalEventSource.prototype;
+      ['CONNECTING', 'OPEN', 'CLOSED'].forEach(function(key) {
+        try { MapperEventSource[key] = OriginalEventSource[key]; } catch (_ignored) {}
+      });
+      OriginalEventSource.prototype.close = function() {
+        try {
+          var meta = this.__mapperToolkitStreamMeta;
+          if (meta && this.readyState !== OriginalEventSource.CLOSED) {
+            emitStreamEvent(meta, 'close', { reason: 'closed_by_page' });
+          }
+        } catch (_ignored) {}
+        return originalEventSourceClose.apply(this, arguments);
+      };
+      window.EventSource = MapperEventSource;
+    }
+
+    if (window.history && typeof window.history.pushState === 'function' && !window.__mapperToolkitHistoryHookInstalled) {
+      window.__mapperToolkitHistoryHookInstalled = true;
+      var lastRouteUrl = String(window.location.href);
+      function historyStateSize(state) {
+        if (state === undefined || state === null) { return 0; }
+        try {
+          var serialized = JSON.stringify(state);
+          return serialized ? serialized.length : 0;
+        } catch (_ignored) {
+          return null;
+        }
+      }
+      function emitRouteChange(navigationType, state) {
+        var toUrl = String(window.location.href);
+        var fromUrl = lastRouteUrl;
+        if (fromUrl === toUrl) { return; }
+        lastRouteUrl = toUrl;
+        emitNavigationEvent({
+          navigationType: navigationType,
+          fromUrl: fromUrl,
+          toUrl: toUrl,
+          stateSize: historyStateSize(state),
+          timestamp: Date.now()
+        });
+        // the toolkit's other page scripts follow route changes through this event instead of
+        // wrapping pushState/replaceState again
+        try {
+          window.dispatchEvent(new CustomEvent('__mapperToolkitNavigation', {
+            detail: { navigationType: navigationType, fromUrl: fromUrl, toUrl: toUrl }
+          }));
+        } catch (_ignored) {}
+      }
+      ['pushState', 'replaceState'].forEach(function(method) {
+        var original = window.history[method];
+        if (typeof original !== 'function') { return; }
+        window.history[method] = function(state) {
+          var result = original.apply(this, arguments);
+          try { emitRouteChange(method, state); } catch (_ignored) {}
+          return result;
+        };
+      });
+      window.addEventListener('popstate', function(event) {
+        try { emitRouteChange('popstate', event ? event.state : null); } catch (_ignored) {}
+      });
+      window.addEventListener('hashchange', function() {
+        try { emitRouteChange('hashchange', window.history.state); } catch (_ignored) {}
+      });
+    }
+
+    if (!window.__mapperToolkitStorageHookInstalled) {
+      window.__mapperToolkitStorageHookInstalled = true;
+      var STORAGE_VALUE_PREVIEW_CHARS = 512;
+      var lastStorageValues = {};
+      function storageOrigin() {
+        try { return String(window.location.origin || ''); } catch (_ignored) { return ''; }
+      }
+      function reportStorageWrite(storageType, operation, key, value, extra) {
+        var normalizedKey = (key === undefined || key === null) ? '' : String(key);
+        var text = (value === undefined || value === null) ? null : String(value);
+        var dedupeKey = storageType + '|' + normalizedKey;
+        var dedupeValue = operation + '|' + (text === null ? '' : text);
+        if (lastStorageValues[dedupeKey] === dedupeValue) { return; }
+        lastStorageValues[dedupeKey] = dedupeValue;
+        var event = {
+          storageType: storageType,
+          operation: operation,
+          key: normalizedKey,
+          valuePreview: truncate(text, STORAGE_VALUE_PREVIEW_CHARS),
+          valueLength: text === null ? 0 : text.length,
+          origin: storageOrigin(),
+          initiatorScript: initiatorScript(),
+          timestamp: Date.now()
+        };
+        if (extra) {
+          Object.keys(extra).forEach(function(name) { event[name] = extra[name]; });
+        }
+        emitStorageEvent(event);
+      }
+      function parseCookieWrite(raw) {
+        var parts = String(raw || '').split(';');
+        var pair = parts.shift() || '';
+        var eq = pair.indexOf('=');
+        var parsed = {
+          name: (eq >= 0 ? pair.slice(0, eq) : pair).trim(),
+          value: eq >= 0 ? pair.slice(eq + 1).trim() : '',
+          domain: null,
+          expired: false
+        };
+        parts.forEach(function(part) {
+          var attrEq = part.indexOf('=');
+          var attrName = (attrEq >= 0 ? part.slice(0, attrEq) : part).trim().toLowerCase();
+          var attrValue = attrEq >= 0 ? part.slice(attrEq + 1).trim() : '';
+          if (attrName === 'domain') {
+            parsed.domain = attrValue.replace(/^\./, '');
+          } else if (attrName === 'max-age') {
+            if (Number(attrValue) <= 0) { parsed.expired = true; }
+          } else if (attrName === 'expires') {
+            var expiresAt = Date.parse(attrValue);
+            if (!isNaN(expiresAt) && expiresAt <= Date.now()) { parsed.expired = true; }
+          }
+        });
+        return parsed;
+      }
+      try {
+        var cookieOwner = window.Document && window.Document.prototype;
+        var cookieDescriptor = cookieOwner ? Object.getOwnPropertyDescriptor(cookieOwner, 'cookie') : null;
+        if (!cookieDescriptor || typeof cookieDescriptor.set !== 'function') {
+          cookieOwner = window.HTMLDocument && window.HTMLDocument.prototype;
+          cookieDescriptor = cookieOwner ? Object.getOwnPropertyDescriptor(cookieOwner, 'cookie') : null;
+        }
+        if (cookieDescriptor && typeof cookieDescriptor.set === 'function' && cookieDescriptor.configurable) {
+          Object.defineProperty(cookieOwner, 'cookie', {
+            configurable: true,
+            enumerable: cookieDescriptor.enumerable,
+            get: cookieDescriptor.get,
+            set: function(value) {
+              cookieDescriptor.set.call(this, value);
+              try {
+                var cookie = parseCookieWrite(value);
+                if (!cookie.name) { return; }
+                reportStorageWrite('cookie', cookie.expired ? 'delete' : 'set', cookie.name, cookie.expired ? null : cookie.value, {
+                  domain: cookie.domain || String(window.location.hostname || '')
+                });
+              } catch (_ignored) {}
+            }
+          });
+        }
+      } catch (_ignoredCookieHook) {}
+      try {
+        var StorageProto = window.Storage && window.Storage.prototype;
+        if (StorageProto) {
+          var storageTypeOf = function(storage) {
+            try { if (storage === window.localStorage) { return 'local_storage'; } } catch (_ignored) {}
+            try { if (storage === window.sessionStorage) { return 'session_storage'; } } catch (_ignored) {}
+            return 'storage';
+          };
+          var originalSetItem = StorageProto.setItem;
+          var originalRemoveItem = StorageProto.removeItem;
+          var originalClear = StorageProto.clear;
+          StorageProto.setItem = function(key, value) {
+            var result = originalSetItem.apply(this, arguments);
+            try { reportStorageWrite(storageTypeOf(this), 'set', key, value); } catch (_ignored) {}
+            return result;
+          };
+          StorageProto.removeItem = function(key) {
+            var result = originalRemoveItem.apply(this, arguments);
+            try { reportStorageWrite(storageTypeOf(this), 'delete', key, null); } catch (_ignored) {}
+            return result;
+          };
+          StorageProto.clear = function() {
+            var type = storageTypeOf(this);
+            var result = originalClear.apply(this, arguments);
+            try {
+              Object.keys(lastStorageValues).forEach(function(dedupeKey) {
+                if (dedupeKey.indexOf(type + '|') === 0) { delete lastStorageValues[dedupeKey]; }
+              });
+              reportStorageWrite(type, 'clear', '*', null);
+            } catch (_ignored) {}
+            return result;
+          };
+        }
+      } catch (_ignoredStorageHook) {}
+      try {
+        var idbFactory = window.indexedDB;
+        if (idbFactory && typeof idbFactory.open === 'function') {
+          var originalIdbOpen = idbFactory.open;
+          idbFactory.open = function(name, version) {
+            var request = originalIdbOpen.apply(this, arguments);
+            try {
+              if (request && typeof request.addEventListener === 'function') {
+                request.addEventListener('success', function() {
+                  try {
+                    var db = request.result;
+                    var stores = db && db.objectStoreNames ? Array.prototype.slice.call(db.objectStoreNames) : [];
+                    reportStorageWrite('indexed_db', 'open', name, db ? db.version : version, { objectStores: stores.slice(0, 64) });
+                  } catch (_ignored) {}
+                });
+                request.addEventListener('error', function() {
+                  try {
+                    var error = request.error;
+                    reportStorageWrite('indexed_db', 'open_failed', name, version === undefined ? null : version, {
+                      reason: error && error.name ? String(error.name) : 'unknown'
+                    });
+                  } catch (_ignored) {}
+                });
+              }
+            } catch (_ignored) {}
+            return request;
+          };
+        }
+      } catch (_ignoredIdbHook) {}
+    }
+
+    if (!window.__mapperToolkitFormHookInstalled && window.HTMLFormElement) {
+      window.__mapperToolkitFormHookInstalled = true;
+      var CSRF_FIELD_PATTERN = /(csrf|xsrf|authenticity|requestverification|nonce|(^|[_-])token$)/i;
+      var MAX_FORM_FIELDS = 64;
+      // named controls shadow form properties (<input name="action">), so read through the prototypes
+      var formElementsDescriptor = Object.getOwnPropertyDescriptor(window.HTMLFormElement.prototype, 'elements');
+      var formGetAttribute = window.Element ? window.Element.prototype.getAttribute : null;
+      function formAttribute(form, name) {
+        if (!formGetAttribute) { return null; }
+        var value = formGetAttribute.call(form, name);
+        return value === null || value === undefined ? null : String(value);
+      }
+      function describeForm(form, trigger, submitter) {
+        var fields = [];
+        var csrfFields = [];
+        var hasPasswordField = false;
+        var hiddenFieldCount = 0;
+        var elements = (formElementsDescriptor && formElementsDescriptor.get ? formElementsDescriptor.get.call(form) : null) || [];
+        for (var i = 0; i < elements.length && fields.length < MAX_FORM_FIELDS; i++) {
+          var element = elements[i];
+          if (!element || element.disabled) { continue; }
+          var tagName = String(element.tagName || '').toLowerCase();
+          var type = tagName === 'input' ? String(element.type || 'text').toLowerCase() : tagName;
+          var isButton = tagName === 'button' || type === 'submit' || type === 'button' || type === 'reset' || type === 'image';
+          if (isButton && element !== submitter) { continue; }
+          var name = element.name || element.id || '';
+          if (!name) { continue; }
+          if (type === 'password') { hasPasswordField = true; }
+          if (type === 'hidden') {
+            hiddenFieldCount += 1;
+            if (CSRF_FIELD_PATTERN.test(name)) { csrfFields.push(name); }
+          }
+          fields.push({
+            name: truncate(name, 256),
+            type: type,
+            autocomplete: element.getAttribute ? (element.getAttribute('autocomplete') || null) : null,
+            required: !!element.required
+          });
+        }
+        var action = formAttribute(form, 'action');
+        var actionUrl = String(window.location.href);
+        if (action) {
+          try { actionUrl = new window.URL(action, document.baseURI || window.location.href).href; } catch (_ignored) {}
+        }
+        var method = (formAttribute(form, 'method') || '').toLowerCase();
+        return {
+          trigger: trigger,
+          actionUrl: actionUrl,
+          method: (method === 'post' || method === 'dialog' ? method : 'get').toUpperCase(),
+          enctype: formAttribute(form, 'enctype') || null,
+          formId: formAttribute(form, 'id') || null,
+          formName: formAttribute(form, 'name') || null,
+          fields: fields,
+          hasPasswordField: hasPasswordField,
+          csrfFields: csrfFields,
+          hiddenFieldCount: hiddenFieldCount,
+          pageUrl: String(window.location.href),
+          timestamp: Date.now()
+        };
+      }
+      document.addEventListener('submit', function(e) {
+        try {
+          var form = e && e.target;
+          if (!(form instanceof window.HTMLFormElement)) { return; }
+          emitFormEvent(describeForm(form, 'submit_event', e.submitter || null));
+        } catch (_ignored) {}
+      }, true);
+      var originalFormSubmit = window.HTMLFormElement.prototype.submit;
+      if (typeof originalFormSubmit === 'function') {
+        window.HTMLFormElement.prototype.submit = function() {
+          try { emitFormEvent(describeForm(this, 'form_submit_call', null)); } catch (_ignored) {}
+          return originalFormSubmit.apply(this, arguments);
+        };
+      }
+    }
+
+    // Page script failures: console.error/warn, uncaught errors and unhandled rejections. Forwarded
+    // with a per-signature and a global cap per window so an error loop cannot flood the bridge.
+    if (!window.__mapperToolkitConsoleHookInstalled) {
+      window.__mapperToolkitConsoleHookInstalled = true;
+      var CONSOLE_MESSAGE_CHARS = 1024;
+      var CONSOLE_STACK_CHARS = 4096;
+      var CONSOLE_RATE_WINDOW_MS = 10000;
+      var CONSOLE_MAX_EVENTS_PER_WINDOW = 20;
+      var CONSOLE_MAX_REPEATS_PER_WINDOW = 3;
+      var consoleWindowStart = 0;
+      var consoleWindowCount = 0;
+      var consoleSignatureCounts = {};
+      var consoleSuppressedCount = 0;
+      var reportingConsoleEvent = false;
+      function describeConsoleValue(value) {
+        if (value instanceof Error) { return String(value.name || 'Error') + ': ' + String(value.message || ''); }
+        if (typeof value === 'string') { return value; }
+        if (value && typeof value === 'object') {
+          try { return JSON.stringify(value); } catch (_ignored) {}
+        }
+        return String(value);
+      }
+      function describeConsoleArgs(args) {
+        var parts = [];
+        var length = 0;
+        for (var i = 0; i < args.length && length < CONSOLE_MESSAGE_CHARS; i++) {
+          var part = truncate(describeConsoleValue(args[i]), CONSOLE_MESSAGE_CHARS - length);
+          parts.push(part);
+          length += part.length + 1;
+        }
+        return parts.join(' ');
+      }
+      function stackLocation(stack) {
+        var match = /((?:https?|file|blob):[^\s()]+?):(\d+):(\d+)/.exec(String(stack || ''));
+        return match ? { sourceUrl: match[1], line: parseInt(match[2], 10), column: parseInt(match[3], 10) } : null;
+      }
+      function callSiteStack() {
+        // Drop the "Error" header and the two wrapper frames (callSiteStack, console wrapper).
+        var stack = String(new Error().stack || '');
+        return stack.split('\n').slice(3).join('\n');
+      }
+      // checked before an event is built, so a page logging in a loop doesn't pay for
+      // a stack capture and serialisation per call once the window's budget is spent
+      function consoleBudgetLeft() {
+        if (reportingConsoleEvent || !window.androidApp || typeof window.androidApp.runtimeToolkitConsoleEvent !== 'function') {
+          return false;
+        }
+        var now = Date.now();
+        if (now - consoleWindowStart > CONSOLE_RATE_WINDOW_MS) {
+          consoleWindowStart = now;
+          consoleWindowCount = 0;
+          consoleSignatureCounts = {};
+        }
+        if (consoleWindowCount >= CONSOLE_MAX_EVENTS_PER_WINDOW) {
+          consoleSuppressedCount += 1;
+          return false;
+        }
+        return true;
+      }
+      function emitConsoleEvent(event) {
+        var now = Date.now();
+        var signature = event.kind + '|' + event.message + '|' + event.sourceUrl + '|' + event.line;
+        var repeats = consoleSignatureCounts[signature] || 0;
+        if (repeats >= CONSOLE_MAX_REPEATS_PER_WINDOW) {
+          consoleSuppressedCount += 1;
+          return;
+        }
+        consoleSignatureCounts[signature] = repeats + 1;
+        consoleWindowCount += 1;
+        event.message = truncate(String(event.message || ''), CONSOLE_MESSAGE_CHARS);
+        event.stack = event.stack ? truncate(String(event.stack), CONSOLE_STACK_CHARS) : null;
+        event.occurrence = repeats + 1;
+        event.suppressedCount = consoleSuppressedCount;
+        event.pageUrl = String(window.location.href);
+        event.timestamp = now;
+        consoleSuppressedCount = 0;
+        // Guard against re-entry when the bridge call itself logs to the console.
+        reportingConsoleEvent = true;
+        try {
+          window.androidApp.runtimeToolkitConsoleEvent(JSON.stringify(withHookVersion(redactEvent(event))));
+        } catch (_ignored) {
+        } finally {
+          reportingConsoleEvent = false;
+        }
+      }
+      ['error', 'warn'].forEach(function(level) {
+        var original = window.console && window.console[level];
+        if (typeof original !== 'function') { return; }
+        window.console[level] = function() {
+          try {
+            if (!consoleBudgetLeft()) { return original.apply(this, arguments); }
+            var args = Array.prototype.slice.call(arguments);
+            var error = null;
+            for (var i = 0; i < args.length && !error; i++) {
+              if (args[i] instanceof Error) { error = args[i]; }
+            }
+            var stack = (error && error.stack) ? String(error.stack) : callSiteStack();
+            var frame = stackLocation(stack) || {};
+            emitConsoleEvent({
+              kind: 'console_' + level,
+              level: level,
+              message: describeConsoleArgs(args),
+              errorName: error ? String(error.name || 'Error') : null,
+              sourceUrl: frame.sourceUrl || null,
+              line: frame.line || null,
+              column: frame.column || null,
+              stack: stack
+            });
+          } catch (_ignored) {}
+          return original.apply(this, arguments);
+        };
+      });
+      window.addEventListener('error', function(e) {
+        try {
+          if (!consoleBudgetLeft()) { return; }
+          // Resource load failures do not bubble to window; anything else here is an uncaught script error.
+          var error = e ? e.error : null;
+          emitConsoleEvent({
+            kind: 'uncaught_error',
+            level: 'error',
+            message: String((e && e.message) || (error && error.message) || 'Script error.'),
+            errorName: (error && error.name) ? String(error.name) : null,
+            sourceUrl: (e && e.filename) ? String(e.filename) : null,
+            line: (e && e.lineno) || null,
+            column: (e && e.colno) || null,
+            stack: (error && error.stack) ? String(error.stack) : null
+          });
+        } catch (_ignored) {}
+      });
+      window.addEventListener('unhandledrejection', function(e) {
+        try {
+          if (!consoleBudgetLeft()) { return; }
+          var reason = e ? e.reason : null;
+          var stack = (reason && typeof reason.stack === 'string') ? reason.stack : null;
+          var frame = stackLocation(stack) || {};
+          emitConsoleEvent({
+            kind: 'unhandled_rejection',
+            level: 'error',
+            message: reason instanceof Error ? String(reason.message || '') : describeConsoleValue(reason),
+            errorName: (reason instanceof Error) ? String(reason.name || 'Error') : null,
+            sourceUrl: frame.sourceUrl || null,
+            line: frame.line || null,
+            column: frame.column || null,
+            stack: stack
+          });
+        } catch (_ignored) {}
+      });
+    }
+  } catch (_ignoredTop) {}
+})();
@@ -0,0 +1,249 @@
+(function() {
+  try {
+    if (window.__mapperToolkitStructuredDataInstalled) { return; }
+    if (!window.androidApp || typeof window.androidApp.runtimeToolkitStructuredDataEvent !== 'function') { return; }
+    // app state blobs carry session tokens and user data: nothing is bridged without the runtime hook's redaction
+    var redact = window.__mapperToolkitRedact;
+    if (typeof redact !== 'function') { return; }
+    window.__mapperToolkitStructuredDataInstalled = true;
+    var MAX_BLOB_CHARS = 262144;
+    var MAX_JSON_LD_BLOCKS = 16;
+    var MAX_MICRODATA_ITEMS = 32;
+    var MAX_MICRODATA_DEPTH = 3;
+    var MAX_PROPERTY_VALUE_CHARS = 300;
+    var LOAD_SETTLE_MS = 800;
+    var NAVIGATION_SETTLE_MS = 1500;
+    var lastSignatures = {};
+    var harvestTimer = null;
+
+    // Cheap 32-bit fingerprint to skip re-sending unchanged blobs; the bridge side computes SHA-256.
+    function fingerprint(text) {
+      var hash = 5381;
+      for (var i = 0; i < text.length; i++) {
+        hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+      }
+      return text.length + ':' + (hash >>> 0).toString(16);
+    }
+    // Stops walking once about MAX_BLOB_CHARS of keys and values were visited, so large Apollo or Next
+    // stores aren't serialised in full on the main thread, and the capped output is still valid JSON.
+    function safeStringify(value) {
+      var seen = new WeakSet();
+      var budget = MAX_BLOB_CHARS;
+      var capped = false;
+      var json = JSON.stringify(value, function(key, child) {
+        if (typeof child === 'function') { return undefined; }
+        if (budget <= 0) {
+          capped = true;
+          return undefined;
+        }
+        budget -= String(key).length + 4;
+        if (child && typeof child === 'object') {
+          if (seen.has(child)) { return '[circular]'; }
+          seen.add(child);
+        } else {
+          budget -= typeof child === 'string' ? child.length + 2 : 8;
+        }
+        return child;
+      });
+      return { json: json, capped: capped };
+    }
+    function schemaTypes(parsed) {
+      var types = [];
+      function visit(node, depth) {
+        if (!node || typeof node !== 'object' || depth > 3) { return; }
+        if (Array.isArray(node)) {
+          node.forEach(function(item) { visit(item, depth + 1); });
+          return;
+        }
+        var type = node['@type'];
+        (Array.isArray(type) ? type : [type]).forEach(function(item) {
+          if (typeof item === 'string' && types.indexOf(item) < 0) { types.push(item); }
+        });
+        if (Array.isArray(node['@graph'])) { visit(node['@graph'], depth + 1); }
+      }
+      visit(parsed, 0);
+      return types.slice(0, 16);
+    }
+    function topLevelKeyCount(parsed) {
+      if (Array.isArray(parsed)) { return parsed.length; }
+      if (parsed && typeof parsed === 'object') { return Object.keys(parsed).length; }
+      return 0;
+    }
+    function blob(kind, sourceRef, content, parsed, capped) {
+      if (!content) { return null; }
+      // truncated after redaction, which only parses the complete JSON
+      return {
+        kind: kind,
+        sourceRef: sourceRef,
+        content: content,
+        originalLength: capped ? null : content.length,
+        truncated: !!capped,
+        entityTypes: parsed ? schemaTypes(parsed) : [],
+        topLevelKeyCount: parsed ? topLevelKeyCount(parsed) : 0
+      };
+    }
+    function harvestJsonLd(out) {
+      var scripts = document.querySelectorAll('script[type="application/ld+json"]');
+      for (var i = 0; i < scripts.length && i < MAX_JSON_LD_BLOCKS; i++) {
+        // Strip CDATA markers if present, as Readability does.
+        var content = String(scripts[i].textContent || '').replace(/^\s*<!\[CDATA\[|\]\]>\s*$/g, '').trim();
+        if (!content) { continue; }
+        var parsed = null;
+        try { parsed = JSON.parse(content); } catch (_ignored) { continue; }
+        var item = blob('json_ld', 'script[type="application/ld+json"][' + i + ']', content, parsed);
+        if (item) { out.push(item); }
+      }
+    }
+    function harvestOpenGraph(out) {
+      var metas = document.querySelectorAll('meta[property^="og:"],meta[name^="og:"],meta[property^="twitter:"],meta[name^="twitter:"],meta[property^="video:"]');
+      if (!metas.length) { return; }
+      var values = {};
+      for (var i = 0; i < metas.length; i++) {
+        var name = metas[i].getAttribute('property') || metas[i].getAttribute('name');
+        var value = metas[i].getAttribute('content');
+        if (!name || value === null) { continue; }
+        value = String(value).slice(0, MAX_PROPERTY_VALUE_CHARS);
+        if (values[name] === undefined) {
+          values[name] = value;
+        } else if (Array.isArray(values[name])) {
+          values[name].push(value);
+        } else {
+          values[name] = [values[name], value];
+        }
+      }
+      var item = blob('opengraph', 'meta[property^="og:"]', JSON.stringify(values), values);
+      if (item) { out.push(item); }
+    }
+    function microdataValue(element) {
+      var tag = String(element.tagName || '').toLowerCase();
+      if (element.hasAttribute('content')) { return element.getAttribute('content'); }
+      if (tag === 'meta') { return element.getAttribute('content') || ''; }
+      if (tag === 'img' || tag === 'audio' || tag === 'video' || tag === 'source' || tag === 'iframe' || tag === 'embed') {
+        return element.getAttribute('src') || '';
+      }
+      if (tag === 'a' || tag === 'link' || tag === 'area') { return element.getAttribute('href') || ''; }
+      if (tag === 'time') { return element.getAttribute('datetime') || element.textContent || ''; }
+      if (tag === 'data' || tag === 'meter') { return element.getAttribute('value') || ''; }
+      return String(element.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+    function microdataItem(scope, depth) {
+      var item = { '@type': scope.getAttribute('itemtype') || null, properties: {} };
+      if (scope.getAttribute('itemid')) { item['@id'] = scope.getAttribute('itemid'); }
+      var props = scope.querySelectorAll('[itemprop]');
+      for (var i = 0; i < props.length; i++) {
+        var prop = props[i];
+        // Only properties owned by this scope, not by a nested itemscope.
+        var owner = prop.parentElement ? prop.parentElement.closest('[itemscope]') : null;
+        if (owner !== scope) { continue; }
+        var value = prop.hasAttribute('itemscope')
+          ? (depth < MAX_MICRODATA_DEPTH ? microdataItem(prop, depth + 1) : null)
+          : String(microdataValue(prop)).slice(0, MAX_PROPERTY_VALUE_CHARS);
+        String(prop.getAttribute('itemprop')).split(/\s+/).forEach(function(name) {
+          if (!name) { return; }
+          var existing = item.properties[name];
+          if (existing === undefined) {
+            item.properties[name] = value;
+          } else if (Array.isArray(existing)) {
+            existing.push(value);
+          } else {
+            item.properties[name] = [existing, value];
+          }
+        });
+      }
+      return item;
+    }
+    function harvestMicrodata(out) {
+      var scopes = document.querySelectorAll('[itemscope]:not([itemprop])');
+      if (!scopes.length) { return; }
+      var items = [];
+      for (var i = 0; i < scopes.length && items.length < MAX_MICRODATA_ITEMS; i++) {
+        items.push(microdataItem(scopes[i], 1));
+      }
+      var item = blob('microdata', '[itemscope]', JSON.stringify(items), items);
+      if (item) { out.push(item); }
+    }
+    function harvestGlobalState(out, kind, sourceRef, value) {
+      if (value === undefined || value === null) { return; }
+      var content = null;
+      var capped = false;
+      try {
+        if (typeof value === 'string') {
+          content = value;
+        } else {
+          var serialised = safeStringify(value);
+          content = serialised.json;
+          capped = serialised.capped;
+        }
+      } catch (_ignored) {}
+      if (!content) { return; }
+      var parsed = value;
+      if (typeof value === 'string') {
+        try { parsed = JSON.parse(value); } catch (_ignored) { parsed = null; }
+      }
+      var item = blob(kind, sourceRef, content, parsed, capped);
+      if (item) { out.push(item); }
+    }
+    function harvestAppState(out) {
+      var nextScript = document.getElementById('__NEXT_DATA__');
+      if (nextScript && nextScript.textContent) {
+        harvestGlobalState(out, 'next_data', 'script#__NEXT_DATA__', String(nextScript.textContent));
+      } else if (window.__NEXT_DATA__) {
+        harvestGlobalState(out, 'next_data', 'window.__NEXT_DATA__', window.__NEXT_DATA__);
+      }
+      if (window.__NUXT__) {
+        harvestGlobalState(out, 'nuxt_state', 'window.__NUXT__', window.__NUXT__);
+      } else {
+        var nuxtScript = document.getElementById('__NUXT_DATA__');
+        if (nuxtScript && nuxtScript.textContent) {
+          harvestGlobalState(out, 'nuxt_state', 'script#__NUXT_DATA__', String(nuxtScript.textContent));
+        }
+      }
+      if (window.__APOLLO_STATE__) {
+        harvestGlobalState(out, 'apollo_state', 'window.__APOLLO_STATE__', window.__APOLLO_STATE__);
+      }
+    }
+    function harvest(trigger) {
+      var blobs = [];
+      [harvestJsonLd, harvestOpenGraph, harvestMicrodata, harvestAppState].forEach(function(collect) {
+        try { collect(blobs); } catch (_ignored) {}
+      });
+      var pageUrl = String(window.location.href);
+      blobs.forEach(function(item) {
+        var signatureKey = item.kind + '|' + item.sourceRef;
+        var signature = fingerprint(item.content);
+        if (lastSignatures[signatureKey] === signature) { return; }
+        lastSignatures[signatureKey] = signature;
+        item.trigger = trigger;
+        item.pageUrl = pageUrl;
+        item.hookVersion = window.__mapperToolkitHookVersion || null;
+        item.timestamp = Date.now();
+        try {
+          redact(item);
+          if (typeof item.content !== 'string') { return; }
+          if (item.content.length > MAX_BLOB_CHARS) {
+            item.content = item.content.slice(0, MAX_BLOB_CHARS);
+            item.truncated = true;
+          }
+          window.androidApp.runtimeToolkitStructuredDataEvent(JSON.stringify(item));
+        } catch (_ignored) {}
+      });
+    }
+    function scheduleHarvest(trigger, delayMs) {
+      clearTimeout(harvestTimer);
+      harvestTimer = setTimeout(function() {
+        try { harvest(trigger); } catch (_ignored) {}
+      }, delayMs);
+    }
+
+    if (document.readyState === 'complete') {
+      scheduleHarvest('load', LOAD_SETTLE_MS);
+    } else {
+      window.addEventListener('load', function() { scheduleHarvest('load', LOAD_SETTLE_MS); });
+    }
+    // route changes are dispatched by the runtime hook's history hook
+    window.addEventListener('__mapperToolkitNavigation', function(event) {
+      var detail = event && event.detail;
+      scheduleHarvest(detail && detail.navigationType ? String(detail.navigationType) : 'navigation', NAVIGATION_SETTLE_MS);
+    });
+  } catch (_ignoredTop) {}
+})();
@@ -0,0 +1,257 @@
+(function() {
+  try {
+    if (window.__mapperToolkitUiTraceInstalled) { return; }
+    if (!window.androidApp || typeof window.androidApp.runtimeToolkitUiActionEvent !== 'function') { return; }
+    // visible text can carry user data: nothing is bridged without the runtime hook's redaction
+    var redact = window.__mapperToolkitRedact;
+    if (typeof redact !== 'function') { return; }
+    window.__mapperToolkitUiTraceInstalled = true;
+    var MAX_SELECTOR_DEPTH = 8;
+    var MAX_TEXT_SNIPPET_CHARS = 80;
+    var INPUT_SETTLE_MS = 600;
+    var SCROLL_SETTLE_MS = 300;
+    var SIGNIFICANT_SCROLL_VIEWPORTS = 0.75;
+    var INTERACTIVE_SELECTOR = 'a,button,input,select,textarea,label,summary,[role="button"],[role="link"],[role="tab"],[role="menuitem"],[role="option"],[onclick]';
+    var STABLE_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-qa', 'name', 'aria-label'];
+
+    function emitUiAction(event) {
+      try {
+        event.hookVersion = window.__mapperToolkitHookVersion || null;
+        window.androidApp.runtimeToolkitUiActionEvent(JSON.stringify(redact(event)));
+      } catch (_ignored) {}
+    }
+    // Link and page URLs are reduced to origin and path, as in the performance timing script:
+    // query strings and fragments of signed or tokenized URLs never reach the bridge.
+    function urlWithoutQuery(value) {
+      var text = String(value || '');
+      if (!text) { return null; }
+      try {
+        var url = new URL(text, window.location.href);
+        if (url.protocol === 'http:' || url.protocol === 'https:') { return url.origin + url.pathname; }
+      } catch (_ignored) {}
+      return text.split(/[?#]/)[0];
+    }
+    function cssEscape(value) {
+      if (window.CSS && typeof window.CSS.escape === 'function') { return window.CSS.escape(value); }
+      return String(value).replace(/[^A-Za-z0-9_-]/g, function(ch) { return '\\' + ch; });
+    }
+    function looksGeneratedId(id) {
+      return /\d{4,}/.test(id) || /^[a-f0-9-]{16,}$/i.test(id) || /^(ember|react|radix|headlessui|mui)[-_:]/i.test(id);
+    }
+    function stableAttributeSelector(element) {
+      for (var i = 0; i < STABLE_ATTRIBUTES.length; i++) {
+        var name = STABLE_ATTRIBUTES[i];
+        var value = element.getAttribute && element.getAttribute(name);
+        if (value && value.length <= 64) {
+          return '[' + name + '="' + String(value).replace(/"/g, '\\"') + '"]';
+        }
+      }
+      return '';
+    }
+    function nthOfType(element) {
+      var index = 1;
+      var sibling = element.previousElementSibling;
+      while (sibling) {
+        if (sibling.tagName === element.tagName) { index += 1; }
+        sibling = sibling.previousElementSibling;
+      }
+      return index;
+    }
+    function cssSelector(element) {
+      var parts = [];
+      var node = element;
+      while (node && node.nodeType === 1 && parts.length < MAX_SELECTOR_DEPTH) {
+        var tag = String(node.tagName).toLowerCase();
+        if (tag === 'html') { break; }
+        if (node.id && !looksGeneratedId(node.id)) {
+          parts.unshift('#' + cssEscape(node.id));
+          return parts.join(' > ');
+        }
+        var attribute = stableAttributeSelector(node);
+        if (attribute) {
+          parts.unshift(tag + attribute);
+        } else {
+          parts.unshift(tag + ':nth-of-type(' + nthOfType(node) + ')');
+        }
+        if (tag === 'body') { break; }
+        node = node.parentElement;
+      }
+      return parts.join(' > ');
+    }
+    function xpath(element) {
+      var parts = [];
+      var node = element;
+      while (node && node.nodeType === 1) {
+        parts.unshift(String(node.tagName).toLowerCase() + '[' + nthOfType(node) + ']');
+        node = node.parentElement;
+      }
+      return '/' + parts.join('/');
+    }
+    function elementRole(element) {
+      var explicit = element.getAttribute && element.getAttribute('role');
+      if (explicit) { return explicit; }
+      var tag = String(element.tagName || '').toLowerCase();
+      if (tag === 'a') { return element.getAttribute('href') ? 'link' : 'generic'; }
+      if (tag === 'button' || tag === 'summary') { return 'button'; }
+      if (tag === 'select') { return 'combobox'; }
+      if (tag === 'textarea') { return 'textbox'; }
+      if (tag === 'input') {
+        var type = String(element.type || 'text').toLowerCase();
+        if (type === 'checkbox' || type === 'radio') { return type; }
+        if (type === 'submit' || type === 'button' || type === 'reset' || type === 'image') { return 'button'; }
+        if (type === 'search') { return 'searchbox'; }
+        if (type === 'range') { return 'slider'; }
+        return 'textbox';
+      }
+      if (tag === 'img') { return 'img'; }
+      return tag;
+    }
+    function textSnippet(element) {
+      var tag = String(element.tagName || '').toLowerCase();
+      var text = (element.getAttribute && (element.getAttribute('aria-label') || element.getAttribute('title') || element.getAttribute('alt'))) || '';
+      if (!text && tag === 'input') {
+        var type = String(element.type || 'text').toLowerCase();
+        text = (type === 'submit' || type === 'button' || type === 'reset') ? (element.value || '') : (element.placeholder || '');
+      } else if (!text && tag !== 'textarea' && tag !== 'select') {
+        text = element.innerText || element.textContent || '';
+      }
+      text = String(text).replace(/\s+/g, ' ').trim();
+      return text ? text.slice(0, MAX_TEXT_SNIPPET_CHARS) : null;
+    }
+    function describeElement(element) {
+      return {
+        selector: cssSelector(element),
+        xpath: xpath(element),
+        role: elementRole(element),
+        tagName: String(element.tagName || '').toLowerCase(),
+        textSnippet: textSnippet(element),
+        href: (element.getAttribute && element.getAttribute('href')) ? urlWithoutQuery(element.href) : null
+      };
+    }
+    function baseEvent(interaction, element) {
+      var event = element ? describeElement(element) : {};
+      event.interaction = interaction;
+      event.pageUrl = urlWithoutQuery(window.location.href);
+      event.timestamp = Date.now();
+      return event;
+    }
+    function interactiveTarget(target) {
+      if (!target || target.nodeType !== 1) { return null; }
+      if (typeof target.closest === 'function') {
+        return target.closest(INTERACTIVE_SELECTOR) || target;
+      }
+      return target;
+    }
+
+    document.addEventListener('click', function(e) {
+      try {
+        if (window.__mapperToolkitFieldPick) { return; }
+        var element = interactiveTarget(e && e.target);
+        if (!element) { return; }
+        emitUiAction(baseEvent('click', element));
+      } catch (_ignored) {}
+    }, true);
+
+    var pendingInputs = [];
+    function flushInput(entry) {
+      var element = entry.element;
+      var type = String(element.type || '').toLowerCase();
+      var value = (element.isContentEditable ? element.textContent : element.value) || '';
+      var event = baseEvent('input', element);
+      event.inputType = type || (element.isContentEditable ? 'contenteditable' : null);
+      event.valueLength = type === 'password' ? null : String(value).length;
+      emitUiAction(event);
+    }
+    document.addEventListener('input', function(e) {
+      try {
+        var element = e && e.target;
+        if (!element || element.nodeType !== 1) { return; }
+        var tag = String(element.tagName || '').toLowerCase();
+        if (tag !== 'input' && tag !== 'textarea' && !element.isContentEditable) { return; }
+        var type = String(element.type || '').toLowerCase();
+        if (type === 'checkbox' || type === 'radio' || type === 'range' || type === 'file') { return; }
+        var entry = null;
+        for (var i = 0; i < pendingInputs.length; i++) {
+          if (pendingInputs[i].element === element) { entry = pendingInputs[i]; break; }
+        }
+        if (!entry) {
+          entry = { element: element, timer: null };
+          pendingInputs.push(entry);
+        }
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(function() {
+          pendingInputs.splice(pendingInputs.indexOf(entry), 1);
+          try { flushInput(entry); } catch (_ignored) {}
+        }, INPUT_SETTLE_MS);
+      } catch (_ignored) {}
+    }, true);
+
+    document.addEventListener('change', function(e) {
+      try {
+        var element = e && e.target;
+        if (!element || element.nodeType !== 1) { return; }
+        var tag = String(element.tagName || '').toLowerCase();
+        var type = String(element.type || '').toLowerCase();
+        if (tag === 'textarea' || (tag === 'input' && type !== 'checkbox' && type !== 'radio' && type !== 'range' && type !== 'file')) { return; }
+        var event = baseEvent('change', element);
+        event.inputType = tag === 'select' ? 'select' : type;
+        if (type === 'checkbox' || type === 'radio') {
+          event.checked = !!element.checked;
+        } else if (tag === 'select') {
+          var option = element.options && element.selectedIndex >= 0 ? element.options[element.selectedIndex] : null;
+          event.selectedIndex = element.selectedIndex;
+          event.optionCount = element.options ? element.options.length : null;
+          event.selectedText = option ? String(option.text || '').trim().slice(0, MAX_TEXT_SNIPPET_CHARS) : null;
+        } else if (type === 'file') {
+          event.fileCount = element.files ? element.files.length : null;
+        } else {
+          event.valueLength = String(element.value || '').length;
+        }
+        emitUiAction(event);
+      } catch (_ignored) {}
+    }, true);
+
+    var scrollStates = [];
+    function scrollPosition(target) {
+      if (target === document || target === document.documentElement || target === document.body) {
+        return {
+          top: window.pageYOffset || (document.documentElement && document.documentElement.scrollTop) || 0,
+          height: (document.documentElement && document.documentElement.scrollHeight) || 0,
+          viewport: window.innerHeight || 0
+        };
+      }
+      return { top: target.scrollTop || 0, height: target.scrollHeight || 0, viewport: target.clientHeight || 0 };
+    }
+    document.addEventListener('scroll', function(e) {
+      try {
+        var target = (e && e.target) || document;
+        var state = null;
+        for (var i = 0; i < scrollStates.length; i++) {
+          if (scrollStates[i].target === target) { state = scrollStates[i]; break; }
+        }
+        if (!state) {
+          if (scrollStates.length >= 16) { scrollStates.shift(); }
+          state = { target: target, lastTop: 0, timer: null };
+          scrollStates.push(state);
+        }
+        clearTimeout(state.timer);
+        state.timer = setTimeout(function() {
+          try {
+            var position = scrollPosition(target);
+            var delta = position.top - state.lastTop;
+            if (Math.abs(delta) < Math.max(1, position.viewport * SIGNIFICANT_SCROLL_VIEWPORTS)) { return; }
+            state.lastTop = position.top;
+            var isDocument = target === document || target === document.documentElement || target === document.body;
+            var event = baseEvent('scroll', isDocument ? null : target);
+            event.scrollTarget = isDocument ? 'document' : 'element';
+            event.scrollTop = Math.round(position.top);
+            event.scrollDelta = Math.round(delta);
+            event.scrollHeight = Math.round(position.height);
+            event.viewportHeight = Math.round(position.viewport);
+            emitUiAction(event);
+          } catch (_ignored) {}
+        }, SCROLL_SETTLE_MS);
+      } catch (_ignored) {}
+    }, true);
+  } catch (_ignoredTop) {}
+})();
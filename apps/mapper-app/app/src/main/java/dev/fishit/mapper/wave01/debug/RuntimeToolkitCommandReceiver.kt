@@ -48,6 +48,7 @@ class RuntimeToolkitCommandReceiver : BroadcastReceiver() {
                 OP_QUERY_ENTITIES -> handleQueryEntities(context, intent)
                 OP_SNAPSHOT_COOKIES -> handleSnapshotCookies(context, intent)
                 OP_SET_SCOPE -> handleSetScope(context, intent)
+                OP_SET_REDACTION_RULES -> handleSetRedactionRules(context, intent)
                 OP_SET_PROBE_PHASE -> handleSetProbePhase(context, intent)
                 OP_CLEAR_PROBE_PHASE -> handleClearProbePhase(context)
                 OP_MARK_PROVENANCE -> handleMarkProvenance(context, intent)
@@ -382,6 +383,18 @@ class RuntimeToolkitCommandReceiver : BroadcastReceiver() {
         )
     }
 
+    private fun handleSetRedactionRules(context: Context, intent: Intent) {
+        val rulesJson = intent.getStringExtra(EXTRA_VALUE).orEmpty()
+        RuntimeToolkitTelemetry.setRedactionRules(context, rulesJson)
+        val applied = RuntimeToolkitTelemetry.redactionRulesJson(context)
+        RuntimeToolkitTelemetry.logExtractionEvent(
+            context = context,
+            operation = "set_redaction_rules",
+            payload = mapOf("redaction_rules_json" to applied),
+        )
+        RuntimeToolkitTelemetry.emitAck(OP_SET_REDACTION_RULES, "ok", mapOf("redaction_rules_json" to applied))
+    }
+
     private fun handleSetProbePhase(context: Context, intent: Intent) {
         val phaseId = intent.getStringExtra(EXTRA_PHASE_ID).orEmpty().ifBlank { "background_noise" }
         val transition = intent.getStringExtra(EXTRA_TRANSITION).orEmpty().ifBlank { "start" }
@@ -1142,6 +1155,7 @@ class RuntimeToolkitCommandReceiver : BroadcastReceiver() {
         const val OP_QUERY_ENTITIES = "query_entities"
         const val OP_SNAPSHOT_COOKIES = "snapshot_cookies"
         const val OP_SET_SCOPE = "set_scope"
+        const val OP_SET_REDACTION_RULES = "set_redaction_rules"
         const val OP_SET_PROBE_PHASE = "set_probe_phase"
         const val OP_CLEAR_PROBE_PHASE = "clear_probe_phase"
         const val OP_MARK_PROVENANCE = "mark_provenance"
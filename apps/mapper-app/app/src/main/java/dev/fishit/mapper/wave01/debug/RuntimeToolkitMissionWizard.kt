@@ -26,6 +26,19 @@ object RuntimeToolkitMissionWizard {
 
     private const val REGISTRY_ASSET_FILE = "mapper_mission_registry.json"
 
+    val FIELD_MATRIX_FIELDS = listOf(
+        "title",
+        "subtitle",
+        "description",
+        "image/poster",
+        "canonical id",
+        "collection id",
+        "teaser/item type",
+        "playback hints",
+        "section/rail names",
+        "search result mapping",
+    )
+
     data class StepDefinition(
         val stepId: String,
         val displayName: String,
@@ -397,6 +410,27 @@ object RuntimeToolkitMissionWizard {
         return profileForMission(missionId, context)?.requiredArtifacts.orEmpty()
     }
 
+    fun fieldMatrixFields(missionId: String, context: Context? = null): List<String> {
+        return if ("field_matrix" in expectedOutputTargets(missionId, context)) FIELD_MATRIX_FIELDS else emptyList()
+    }
+
+    fun phaseForRouteChange(
+        missionId: String,
+        classification: String,
+        routeKind: String,
+        context: Context? = null,
+    ): String? {
+        val phaseId = when {
+            classification == "playback" -> "playback_probe"
+            classification == "auth" -> "auth_probe"
+            classification == "search" -> "search_probe"
+            classification == "detail" || classification == "category" -> "detail_probe"
+            routeKind == "home" -> "home_probe"
+            else -> return null
+        }
+        return phaseId.takeIf { candidate -> stepsForMission(missionId, context).any { it.phaseId == candidate } }
+    }
+
     fun requiredStepIds(missionId: String, context: Context? = null): List<String> {
         return stepsForMission(missionId, context)
             .filter { !it.optional && it.stepId != STEP_FINAL_VALIDATION_EXPORT }
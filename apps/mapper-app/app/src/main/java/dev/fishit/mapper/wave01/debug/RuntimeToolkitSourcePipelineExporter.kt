@@ -54,6 +54,12 @@ object RuntimeToolkitSourcePipelineExporter {
         val bodyRef: String,
     )
 
+    private data class ClientStorageWrite(
+        val storageType: String,
+        val key: String,
+        val origin: String,
+    )
+
     private data class EndpointAggregate(
         val endpointId: String,
         var role: String,
@@ -550,6 +556,29 @@ object RuntimeToolkitSourcePipelineExporter {
         "personalisierung",
     )
 
+    private val authArtifactMarkers = listOf(
+        "auth",
+        "token",
+        "bearer",
+        "refresh",
+        "jwt",
+        "sessionid",
+        "sessid",
+        "id_token",
+        "access_token",
+        "refresh_token",
+        "authorization",
+        "xsrf",
+        "csrf",
+    )
+
+    private val clientStorageArtifactFields = listOf(
+        "localStorage" to "local_storage",
+        "sessionStorage" to "session_storage",
+        "indexedDb" to "indexed_db",
+        "scriptCookies" to "document_cookie",
+    )
+
     private val loginHintTokens = listOf(
         "login",
         "signin",
@@ -672,6 +701,8 @@ object RuntimeToolkitSourcePipelineExporter {
 
         val requests = mutableListOf<RequestEvent>()
         val responses = mutableListOf<ResponseEvent>()
+        val clientStorageWrites = linkedSetOf<ClientStorageWrite>()
+        var loginForm: JSONObject? = null
         val observedTimestamps = mutableListOf<String>()
         var targetSiteId = targetSiteHint.trim()
 
@@ -756,6 +787,51 @@ object RuntimeToolkitSourcePipelineExporter {
                         bodyRef = bodyRef,
                     )
                 }
+
+                "storage_event", "cookie_event" -> {
+                    if (payload.optString("source") != "webview_js_storage") return@forEachLine
+                    val operation = payload.optString("operation")
+                    if (operation != "set" && operation != "open") return@forEachLine
+                    val storageType = if (eventType == "cookie_event") "document_cookie" else payload.optString("storage_type")
+                    val key = payload.optString("key").ifBlank { payload.optString("cookie_name") }.trim()
+                    if (key.isBlank()) return@forEachLine
+                    if (storageType != "indexed_db" && !isAuthLikeArtifactName(key)) return@forEachLine
+                    clientStorageWrites += ClientStorageWrite(
+                        storageType = storageType,
+                        key = key,
+                        origin = payload.optString("origin"),
+                    )
+                }
+
+                "auth_event" -> {
+                    if (payload.optString("source") != "webview_js_form") return@forEachLine
+                    if (!payload.optBoolean("login_form_candidate")) return@forEachLine
+                    val hasPasswordField = payload.optBoolean("has_password_field")
+                    if (loginForm?.optBoolean("hasPasswordField") == true && !hasPasswordField) return@forEachLine
+                    loginForm = JSONObject().apply {
+                        put("actionUrl", payload.optString("form_action_url"))
+                        put("method", payload.optString("form_method").ifBlank { "GET" })
+                        put(
+                            "fields",
+                            JSONArray().apply {
+                                jsonObjects(payload.optJSONArray("form_fields")).forEach { field ->
+                                    put(
+                                        JSONObject().apply {
+                                            put("name", field.optString("name"))
+                                            put("type", field.optString("type"))
+                                            field.optString("autocomplete")
+                                                .takeIf { it.isNotBlank() && it != "null" }
+                                                ?.let { put("autocomplete", it) }
+                                        },
+                                    )
+                                }
+                            },
+                        )
+                        put("csrfFieldNames", JSONArray(jsonStrings(payload.optJSONArray("csrf_field_names"))))
+                        put("hasPasswordField", hasPasswordField)
+                        put("evidenceRef", eventId)
+                    }
+                }
             }
         }
 
@@ -879,7 +955,8 @@ object RuntimeToolkitSourcePipelineExporter {
                 if (response.mimeType.isNotBlank()) {
                     endpoint.responseMimeTypes += response.mimeType.lowercase(Locale.ROOT)
                 }
-                if (response.statusCode in 200..399) {
+                // 101 marks an upgraded (websocket) connection whose frames share the handshake request
+                if (response.statusCode == 101 || response.statusCode in 200..399) {
                     endpoint.responseOkCount += 1
                 }
             }
@@ -1172,13 +1249,24 @@ object RuntimeToolkitSourcePipelineExporter {
                         JSONObject().apply {
                             put("cookies", JSONArray(allRequiredCookies.toList().sorted()))
                             put("headers", JSONArray(allRequiredHeaders.toList().sorted()))
-                            put("localStorage", JSONArray())
-                            put("indexedDb", JSONArray())
+                            clientStorageArtifactFields.forEach { (field, storageType) ->
+                                put(
+                                    field,
+                                    JSONArray(
+                                        clientStorageWrites
+                                            .filter { it.storageType == storageType }
+                                            .map { it.key }
+                                            .distinct()
+                                            .sorted(),
+                                    ),
+                                )
+                            }
                         },
                     )
                     put("loginEndpointRef", loginEndpointId ?: JSONObject.NULL)
                     put("validationEndpointRef", validationEndpointId ?: JSONObject.NULL)
                     put("refreshEndpointRef", refreshEndpointId ?: JSONObject.NULL)
+                    loginForm?.let { put("loginForm", it) }
                     put(
                         "requiredTokenInputs",
                         requiredTokenInputs(
@@ -2675,6 +2763,18 @@ object RuntimeToolkitSourcePipelineExporter {
                 },
             )
         }
+        clientStorageArtifactFields.forEach { (field, storageType) ->
+            jsonStrings(artifacts.optJSONArray(field)).forEach { name ->
+                sessionArtifacts.put(
+                    JSONObject().apply {
+                        put("kind", "client_storage")
+                        put("name", name)
+                        put("storage_type", storageType)
+                        put("source", "sessionAuth.sessionArtifacts.$field")
+                    },
+                )
+            }
+        }
         val tokenInputs = jsonObjects(sessionAuth.optJSONArray("requiredTokenInputs"))
             .mapNotNull { token -> token.optString("inputName").takeIf { it.isNotBlank() } }
             .distinct()
@@ -2707,6 +2807,19 @@ object RuntimeToolkitSourcePipelineExporter {
                 ?.toString()
                 ?.takeIf { it.isNotBlank() }
                 ?.let { put("refresh_endpoint_ref", it) }
+            sessionAuth.optJSONObject("loginForm")?.let { form ->
+                put(
+                    "login_form",
+                    JSONObject().apply {
+                        put("action_url", form.optString("actionUrl"))
+                        put("method", form.optString("method"))
+                        put("fields", form.optJSONArray("fields") ?: JSONArray())
+                        put("csrf_field_names", form.optJSONArray("csrfFieldNames") ?: JSONArray())
+                        put("has_password_field", form.optBoolean("hasPasswordField"))
+                        put("source", "sessionAuth.loginForm")
+                    },
+                )
+            }
             put("browser_session_required", sessionAuth.optBoolean("requiresBrowserSession"))
             put("auth_confidence", sessionAuth.optDouble("authConfidence", 0.0))
             put("warnings", JSONArray(authWarnings))
@@ -3898,35 +4011,21 @@ object RuntimeToolkitSourcePipelineExporter {
         requiredCookies: Set<String>,
         tokenInputs: Set<String>,
     ): Boolean {
-        val markers = listOf(
-            "auth",
-            "token",
-            "bearer",
-            "refresh",
-            "jwt",
-            "sessionid",
-            "sessid",
-            "id_token",
-            "access_token",
-            "refresh_token",
-            "authorization",
-            "xsrf",
-            "csrf",
-        )
-        fun isAuthLike(name: String): Boolean {
-            val normalized = name.trim().lowercase(Locale.ROOT)
-            if (normalized.isBlank()) return false
-            return markers.any { marker ->
-                normalized == marker ||
-                    normalized.contains("_$marker") ||
-                    normalized.contains("-$marker") ||
-                    normalized.contains(".$marker") ||
-                    normalized.contains(marker)
-            }
+        return requiredHeaders.any(::isAuthLikeArtifactName) ||
+            requiredCookies.any(::isAuthLikeArtifactName) ||
+            tokenInputs.any(::isAuthLikeArtifactName)
+    }
+
+    private fun isAuthLikeArtifactName(name: String): Boolean {
+        val normalized = name.trim().lowercase(Locale.ROOT)
+        if (normalized.isBlank()) return false
+        return authArtifactMarkers.any { marker ->
+            normalized == marker ||
+                normalized.contains("_$marker") ||
+                normalized.contains("-$marker") ||
+                normalized.contains(".$marker") ||
+                normalized.contains(marker)
         }
-        return requiredHeaders.any(::isAuthLike) ||
-            requiredCookies.any(::isAuthLike) ||
-            tokenInputs.any(::isAuthLike)
     }
 
     private fun isStableRequiredInputName(rawName: String): Boolean {
@@ -5,6 +5,7 @@ import android.content.pm.PackageManager
 import android.net.Uri
 import android.os.Build
 import android.os.SystemClock
+import android.util.Base64
 import android.util.Log
 import android.webkit.CookieManager
 import dev.fishit.mapper.network.MapperHttpMethod
@@ -12,10 +13,12 @@ import dev.fishit.mapper.network.MapperNativeHttpRequest
 import dev.fishit.mapper.wave01.debug.replay.MapperNativeReplayRuntime
 import org.json.JSONArray
 import org.json.JSONObject
+import java.io.ByteArrayOutputStream
 import java.io.File
 import java.io.FileInputStream
 import java.io.FileOutputStream
 import java.security.MessageDigest
+import java.security.SecureRandom
 import java.time.Instant
 import java.util.LinkedHashMap
 import java.util.Locale
@@ -38,6 +41,7 @@ object RuntimeToolkitTelemetry {
     private const val PREF_RUNTIME_SETTINGS = "mapper_toolkit_runtime_settings"
     private const val SETTING_SCOPE_MODE = "scope.mode"
     private const val SETTING_TARGET_HOST_FAMILY = "scope.target_host_family"
+    private const val SETTING_REDACTION_RULES_JSON = "redaction.rules_json"
     private const val SETTING_ACTIVE_PHASE_ID = "probe.active_phase"
     private const val SETTING_CAPTURE_ENABLED = "capture.enabled"
     private const val SETTING_MISSION_ID = "mission.id"
@@ -64,6 +68,7 @@ object RuntimeToolkitTelemetry {
     private const val PREF_COOKIE_SNAPSHOT = "mapper_toolkit_cookie_snapshot"
     private const val MAX_RECENT_REQUEST_IDS = 4096
     private const val MAX_DEDUP_REQUESTS = 8192
+    private const val MAX_ANALYTICS_INITIATOR_URLS = 1024
     private const val DEDUP_BUCKET_NS = 150_000_000L
     private const val DEDUP_RETENTION_NS = 12_000_000_000L
     private const val DEFAULT_SCOPE_MODE = "strict_target"
@@ -97,8 +102,16 @@ object RuntimeToolkitTelemetry {
     private val ioLock = Any()
     private val requestLock = Any()
     private val dedupLock = Any()
+    private val analyticsInitiatorLock = Any()
+    private val analyticsInitiators = setOf("beacon", "pixel")
+    private val INITIATOR_SCRIPT_PATTERN = Regex("^(https?://.+):(\\d+)$")
     private val recentRequestIds = LinkedHashMap<String, String>(MAX_RECENT_REQUEST_IDS + 1, 0.75f, true)
     private val dedupRequests = LinkedHashMap<String, CanonicalRequest>(MAX_DEDUP_REQUESTS + 1, 0.75f, true)
+    private val analyticsInitiatorUrls = LinkedHashMap<String, String>(MAX_ANALYTICS_INITIATOR_URLS + 1, 0.75f, true)
+    private val playbackManifestLock = Any()
+    @Volatile
+    private var redactionHashKey: String = newRedactionHashKey()
+    private var playbackManifestScan: PlaybackManifestScan? = null
 
     data class CorrelationContext(
         val traceId: String,
@@ -320,6 +333,14 @@ object RuntimeToolkitTelemetry {
         var lastSeenMonoNs: Long,
     )
 
+    private data class PlaybackManifestScan(
+        val eventFilePath: String,
+        val missionId: String,
+        val startedAt: String,
+        var offset: Long = 0L,
+        val manifestsByPhase: MutableMap<String, MutableSet<String>> = linkedMapOf(),
+    )
+
     private data class MimeResolution(
         val mimeType: String?,
         val source: String,
@@ -363,6 +384,8 @@ object RuntimeToolkitTelemetry {
             .putString(PREF_ACTION_ID, correlation.actionId)
             .putString(PREF_SPAN_ID, correlation.spanId)
             .commit()
+        clearAnalyticsInitiators()
+        redactionHashKey = newRedactionHashKey()
     }
 
     fun currentCorrelationContext(context: Context): CorrelationContext {
@@ -505,6 +528,54 @@ object RuntimeToolkitTelemetry {
         )
     }
 
+    fun logSpaNavigation(
+        context: Context,
+        navigationType: String,
+        fromUrl: String,
+        toUrl: String,
+        stateSizeBytes: Int?,
+        pageTimestampMs: Long?,
+        hookVersion: String? = null,
+        redactedFields: List<String>? = null,
+    ): String? {
+        val semanticPayload = navigationSemanticPayload(toUrl)
+        val payload = semanticPayload + mapOf(
+            "navigation_type" to navigationType,
+            "from_url" to fromUrl,
+            "to_url" to toUrl,
+            "state_size_bytes" to stateSizeBytes,
+            "page_timestamp_ms" to pageTimestampMs,
+            "hook_version" to hookVersion,
+            "redacted_fields" to redactedFields,
+            "source" to "webview_js_spa",
+        )
+        logUiObserved(
+            context = context,
+            actionName = navigationActionName(toUrl),
+            payload = payload + mapOf("result" to "observed"),
+        )
+        val state = missionSessionState(context)
+        if (state.missionId.isBlank() || state.finishedAt.isNotBlank()) return null
+        val activePhase = activePhaseId(context)
+        val phaseId = RuntimeToolkitMissionWizard.phaseForRouteChange(
+            missionId = state.missionId,
+            classification = stringPayloadValue(semanticPayload["navigation_classification"]).orEmpty(),
+            routeKind = stringPayloadValue(semanticPayload["route_kind"]).orEmpty(),
+            context = context,
+        ) ?: return null
+        if (phaseId == activePhase) return null
+        logProbePhaseEvent(
+            context = context,
+            phaseId = phaseId,
+            transition = "enter",
+            payload = payload + mapOf(
+                "from_phase_id" to activePhase,
+                "wizard_step_id" to state.wizardStepId,
+            ),
+        )
+        return phaseId
+    }
+
     fun logNetworkRequest(
         context: Context,
         source: String,
@@ -531,6 +602,7 @@ object RuntimeToolkitTelemetry {
         val headerSubset = canonicalHeaderSubset(headers)
         val frameContext = canonicalFrameContext(source)
         val responseObservable = isResponseObservableSource(source)
+        val analyticsInitiator = analyticsInitiatorFor(url = url, source = source)
         val semantic = classifyNetworkSemantics(
             url = url,
             method = method,
@@ -631,6 +703,7 @@ object RuntimeToolkitTelemetry {
                     "capture_channel" to source,
                     "source_channel" to source,
                     "response_observable" to responseObservable,
+                    "analytics_initiator" to analyticsInitiator,
                     "request_classification" to semantic.classification,
                     "request_operation" to semantic.operation,
                 "semantic_labels" to semantic.labels,
@@ -702,10 +775,11 @@ object RuntimeToolkitTelemetry {
             null
         }
 
-        val bodyPreview = if (rawBody != null && rawBody.isNotEmpty()) {
-            String(rawBody, Charsets.UTF_8).take(16_384)
-        } else {
-            null
+        val bodyPreview = when {
+            rawBody == null || rawBody.isEmpty() -> null
+            stringPayloadValue(payload["body_encoding"]) == "base64" ->
+                Base64.encodeToString(rawBody.copyOf(minOf(rawBody.size, 12_288)), Base64.NO_WRAP)
+            else -> String(rawBody, Charsets.UTF_8).take(16_384)
         }
         val contentLengthHeader = headers.entries
             .firstOrNull { it.key.equals("content-length", ignoreCase = true) }
@@ -1047,6 +1121,60 @@ object RuntimeToolkitTelemetry {
         )
     }
 
+    fun logInitiatorScriptProvenance(
+        context: Context,
+        requestId: String,
+        url: String,
+        method: String,
+        initiatorScript: String,
+    ) {
+        val match = INITIATOR_SCRIPT_PATTERN.matchEntire(initiatorScript.trim()) ?: return
+        val scriptUrl = match.groupValues[1]
+        val scriptHost = normalizedUrlParts(scriptUrl).host
+        val targetHosts = targetHostFamily(context)
+        val parts = normalizedUrlParts(url)
+        logProvenanceEvent(
+            context = context,
+            entityType = "endpoint",
+            entityKey = "${method.uppercase(Locale.ROOT)} ${parts.host}${parts.path}",
+            producedBy = scriptUrl,
+            consumedBy = requestId,
+            payload = mapOf(
+                "initiator_script" to initiatorScript,
+                "initiator_script_url" to scriptUrl,
+                "initiator_script_line" to match.groupValues[2].toIntOrNull(),
+                "initiator_script_first_party" to targetHosts.any { configured ->
+                    scriptHost == configured || scriptHost.endsWith(".$configured")
+                },
+                "url" to url,
+                "method" to method,
+                "source" to "webview_js_bridge",
+            ),
+        )
+    }
+
+    fun endpointsByInitiatorScript(context: Context): Map<String, List<String>> {
+        val file = eventFile(context)
+        if (!file.exists()) return emptyMap()
+        val session = missionSessionState(context)
+        val grouped = linkedMapOf<String, MutableSet<String>>()
+        runCatching {
+            file.forEachLine { line ->
+                if (line.isBlank()) return@forEachLine
+                val root = runCatching { JSONObject(line) }.getOrNull() ?: return@forEachLine
+                if (root.optString("event_type") != "provenance_event") return@forEachLine
+                val payload = root.optJSONObject("payload") ?: return@forEachLine
+                if (!isEventWithinMission(session, root, payload)) return@forEachLine
+                if (payload.optString("entity_type") != "endpoint") return@forEachLine
+                val scriptUrl = payload.optString("initiator_script_url").trim()
+                val endpointKey = payload.optString("entity_key").trim()
+                if (scriptUrl.isBlank() || endpointKey.isBlank()) return@forEachLine
+                grouped.getOrPut(scriptUrl) { linkedSetOf() } += endpointKey
+            }
+        }
+        return grouped.mapValues { (_, endpoints) -> endpoints.sorted() }
+    }
+
     fun logStorageEvent(
         context: Context,
         storageType: String,
@@ -1070,6 +1198,32 @@ object RuntimeToolkitTelemetry {
         )
     }
 
+    fun logStructuredDataHarvest(
+        context: Context,
+        structuredKind: String,
+        content: String,
+        payload: Map<String, Any?> = emptyMap(),
+    ) {
+        if (!isCaptureEnabled(context) || content.isBlank()) return
+        val eventId = "sd_${UUID.randomUUID()}"
+        val rawBody = content.toByteArray(Charsets.UTF_8)
+        val contentHash = sha256(rawBody)
+        val storePath = storeRawBody(context, eventId, rawBody)
+        logExtractionEvent(
+            context = context,
+            operation = "structured_data_harvest",
+            payload = payload + mapOf(
+                "structured_kind" to structuredKind,
+                "source_ref" to "structured:$structuredKind:${contentHash.take(16)}",
+                "extraction_kind" to "structured_data",
+                "response_store_path" to storePath,
+                "body_ref" to storePath,
+                "content_sha256" to contentHash,
+                "content_size_bytes" to rawBody.size,
+            ),
+        )
+    }
+
     fun setActivePhaseId(context: Context, phaseId: String) {
         val normalized = phaseId.trim().ifBlank { PHASE_BACKGROUND }
         val resolved = if (normalized == "unscoped") PHASE_BACKGROUND else normalized
@@ -1098,6 +1252,31 @@ object RuntimeToolkitTelemetry {
             .distinct()
     }
 
+    fun setRedactionRules(context: Context, rulesJson: String) {
+        val normalized = rulesJson.trim().ifBlank { "{}" }
+        setRuntimeSetting(context, SETTING_REDACTION_RULES_JSON, JSONObject(normalized).toString())
+    }
+
+    fun redactionRulesJson(context: Context): String {
+        val raw = runtimeSettings(context).getString(SETTING_REDACTION_RULES_JSON, "").orEmpty()
+        return runCatching { JSONObject(raw).toString() }.getOrDefault("{}")
+    }
+
+    /**
+     * Key the page hashes passwords, PINs and other user secrets with. Only kept in memory and renewed
+     * per session, so captured hashes can't be brute-forced from the exported events.
+     */
+    fun redactionHashKey(): String = redactionHashKey
+
+    private fun newRedactionHashKey(): String {
+        val bytes = ByteArray(32).also { SecureRandom().nextBytes(it) }
+        val out = StringBuilder(bytes.size * 2)
+        for (b in bytes) {
+            out.append(String.format("%02x", b))
+        }
+        return out.toString()
+    }
+
     fun setScopeMode(context: Context, mode: String) {
         val normalized = mode.trim().lowercase(Locale.ROOT)
         val safeMode = when (normalized) {
@@ -1120,6 +1299,7 @@ object RuntimeToolkitTelemetry {
         return mapOf(
             "scope_mode" to (prefs.getString(SETTING_SCOPE_MODE, DEFAULT_SCOPE_MODE) ?: DEFAULT_SCOPE_MODE),
             "target_host_family" to (prefs.getString(SETTING_TARGET_HOST_FAMILY, "") ?: ""),
+            "redaction_rules_json" to redactionRulesJson(context),
             "active_phase_id" to (prefs.getString(SETTING_ACTIVE_PHASE_ID, PHASE_BACKGROUND) ?: PHASE_BACKGROUND),
             "capture_enabled" to prefs.getBoolean(SETTING_CAPTURE_ENABLED, false),
             "mission_id" to (prefs.getString(SETTING_MISSION_ID, "") ?: ""),
@@ -1605,7 +1785,7 @@ object RuntimeToolkitTelemetry {
             aggregate.bodyFieldNames += request.bodyFieldNames
             responsesByRequestId[request.requestId].orEmpty().forEach { response ->
                 aggregate.responseEvidenceCount += 1
-                if (response.statusCode in 200..399) aggregate.responseOkCount += 1
+                if (response.statusCode == 101 || response.statusCode in 200..399) aggregate.responseOkCount += 1
                 if (response.hostClass.isNotBlank()) aggregate.hostClassSignals += response.hostClass
                 if (response.mimeType.isNotBlank()) aggregate.responseMimeTypes += response.mimeType
                 if (response.routeKind.isNotBlank()) aggregate.routeKinds += response.routeKind
@@ -2568,6 +2748,27 @@ object RuntimeToolkitTelemetry {
         prefs.edit().putString(host, raw).apply()
     }
 
+    fun rememberAnalyticsInitiator(url: String, initiator: String) {
+        val normalizedInitiator = initiator.trim().lowercase(Locale.ROOT)
+        if (url.isBlank() || normalizedInitiator !in analyticsInitiators) return
+        synchronized(analyticsInitiatorLock) {
+            analyticsInitiatorUrls[url.trim()] = normalizedInitiator
+            if (analyticsInitiatorUrls.size > MAX_ANALYTICS_INITIATOR_URLS) {
+                val iterator = analyticsInitiatorUrls.entries.iterator()
+                if (iterator.hasNext()) {
+                    iterator.next()
+                    iterator.remove()
+                }
+            }
+        }
+    }
+
+    private fun clearAnalyticsInitiators() {
+        synchronized(analyticsInitiatorLock) {
+            analyticsInitiatorUrls.clear()
+        }
+    }
+
     fun resolveRecentRequestId(url: String, method: String): String? {
         val key = requestKey(url = url, method = method)
         synchronized(requestLock) {
@@ -2580,6 +2781,11 @@ object RuntimeToolkitTelemetry {
         clearLatestReadyHit(context)
         setLatestExportGateError(context, null)
         setCaptureEnabled(context, false)
+        clearAnalyticsInitiators()
+        redactionHashKey = newRedactionHashKey()
+        synchronized(playbackManifestLock) {
+            playbackManifestScan = null
+        }
         val root = runtimeRoot(context)
         val deleted = root.exists() && root.deleteRecursively()
         return deleted || !root.exists()
@@ -4573,6 +4779,67 @@ object RuntimeToolkitTelemetry {
         return counts
     }
 
+    private fun collectDetectedPlaybackManifests(context: Context, phaseId: String): Set<String> {
+        val file = eventFile(context)
+        val session = missionSessionState(context)
+        synchronized(playbackManifestLock) {
+            if (!file.exists()) {
+                playbackManifestScan = null
+                return emptySet()
+            }
+            // the event file is append-only, so only lines written since the last evaluation are scanned
+            val scan = playbackManifestScan?.takeIf {
+                it.eventFilePath == file.absolutePath &&
+                    it.missionId == session.missionId &&
+                    it.startedAt == session.startedAt &&
+                    it.offset <= file.length()
+            } ?: PlaybackManifestScan(
+                eventFilePath = file.absolutePath,
+                missionId = session.missionId,
+                startedAt = session.startedAt,
+            ).also { playbackManifestScan = it }
+            runCatching {
+                FileInputStream(file).use { input ->
+                    input.channel.position(scan.offset)
+                    val reader = input.buffered()
+                    val line = ByteArrayOutputStream()
+                    // a trailing line without newline is still being written, it's picked up next time
+                    while (true) {
+                        val next = reader.read()
+                        if (next < 0) break
+                        if (next != '\n'.code) {
+                            line.write(next)
+                            continue
+                        }
+                        scan.offset += line.size() + 1
+                        collectPlaybackManifestLine(session, line.toString(Charsets.UTF_8.name()), scan.manifestsByPhase)
+                        line.reset()
+                    }
+                }
+            }
+            return scan.manifestsByPhase[phaseId].orEmpty().toSet()
+        }
+    }
+
+    private fun collectPlaybackManifestLine(
+        session: MissionSessionState,
+        line: String,
+        manifestsByPhase: MutableMap<String, MutableSet<String>>,
+    ) {
+        if (line.isBlank()) return
+        val root = runCatching { JSONObject(line) }.getOrNull() ?: return
+        if (root.optString("event_type") != "extraction_event") return
+        val payload = root.optJSONObject("payload") ?: JSONObject()
+        if (!isEventWithinMission(session, root, payload)) return
+        if (payload.optString("operation") != "playback_draft_hint") return
+        val urls = payload.optJSONArray("stream_manifest_urls") ?: return
+        val phaseId = normalizePhaseId(payload.optString("phase_id")) ?: PHASE_BACKGROUND
+        val manifests = manifestsByPhase.getOrPut(phaseId) { linkedSetOf() }
+        for (index in 0 until urls.length()) {
+            urls.optString(index).trim().takeIf { it.isNotBlank() }?.let(manifests::add)
+        }
+    }
+
     private fun evaluateFishitStepSaturation(
         context: Context,
         stepId: String,
@@ -4710,32 +4977,33 @@ object RuntimeToolkitTelemetry {
                         it.path.endsWith(".mpd") ||
                         it.operation.contains("manifest")
                 }
+                // player hints only count for the phase being probed, and never replace a resolver response
+                val detectedManifestCount = collectDetectedPlaybackManifests(context, activePhaseId(context)).size
                 val saturated = when {
                     responseCount <= 0 -> false
                     !candidateOk -> false
+                    detectedManifestCount > 0 -> true
                     readyHits > 0 -> true
                     strongEvidenceCount > 0 -> true
                     else -> responseCount >= 2
                 }
+                val metrics = mapOf(
+                    "response_count" to responseCount,
+                    "strong_evidence_count" to strongEvidenceCount,
+                    "detected_manifest_count" to detectedManifestCount,
+                    "ready_hits" to readyHits,
+                ) + candidateMetrics
                 if (saturated) {
                     RuntimeToolkitMissionWizard.SaturationResult(
                         state = RuntimeToolkitMissionWizard.SATURATION_SATURATED,
-                        reason = "playback_probe_evidence_ok",
-                        metrics = mapOf(
-                            "response_count" to responseCount,
-                            "strong_evidence_count" to strongEvidenceCount,
-                            "ready_hits" to readyHits,
-                        ) + candidateMetrics,
+                        reason = if (detectedManifestCount > 0) "playback_manifest_detected" else "playback_probe_evidence_ok",
+                        metrics = metrics,
                     )
                 } else {
                     RuntimeToolkitMissionWizard.SaturationResult(
                         state = RuntimeToolkitMissionWizard.SATURATION_NEEDS_MORE_EVIDENCE,
                         reason = if (responseCount <= 0) "missing_playback_manifest_or_resolver" else "playback_probe_low_quality_candidates",
-                        metrics = mapOf(
-                            "response_count" to responseCount,
-                            "strong_evidence_count" to strongEvidenceCount,
-                            "ready_hits" to readyHits,
-                        ) + candidateMetrics,
+                        metrics = metrics,
                     )
                 }
             }
@@ -4881,9 +5149,10 @@ object RuntimeToolkitTelemetry {
             RuntimeToolkitMissionWizard.STEP_PLAYBACK_PROBE -> {
                 val count = intPayloadValue(saturation.metrics["response_count"]) ?: 0
                 val strongEvidenceCount = intPayloadValue(saturation.metrics["strong_evidence_count"]) ?: 0
+                val detectedManifestCount = intPayloadValue(saturation.metrics["detected_manifest_count"]) ?: 0
                 val readyHits = intPayloadValue(saturation.metrics["ready_hits"]) ?: 0
                 val candidateOk = boolPayloadValue(saturation.metrics["role_candidate_ok"]) == true
-                val base = (count * 40) + (strongEvidenceCount * 20) + if (readyHits > 0) 15 else 0
+                val base = (count * 40) + (strongEvidenceCount * 20) + (if (detectedManifestCount > 0) 40 else 0) + if (readyHits > 0) 15 else 0
                 minOf(95, base + if (candidateOk) 15 else -15)
             }
             RuntimeToolkitMissionWizard.STEP_AUTH_PROBE_OPTIONAL -> {
@@ -4952,9 +5221,10 @@ object RuntimeToolkitTelemetry {
                 val strongEvidenceCount = intPayloadValue(saturation.metrics["strong_evidence_count"]) ?: 0
                 val readyHits = intPayloadValue(saturation.metrics["ready_hits"]) ?: 0
                 val candidateOk = boolPayloadValue(saturation.metrics["role_candidate_ok"]) == true
+                val detectedManifestCount = intPayloadValue(saturation.metrics["detected_manifest_count"]) ?: 0
                 buildList {
                     if (count <= 0) add("playback_manifest_or_resolver")
-                    if (count > 0 && strongEvidenceCount <= 0) add("strong_playback_signal")
+                    if (count > 0 && strongEvidenceCount <= 0 && detectedManifestCount <= 0) add("strong_playback_signal")
                     if (!candidateOk) add("high_quality_playback_candidate")
                     if (readyHits <= 0) add("ready_window_hit_recommended")
                 }.ifEmpty { listOf("playback_manifest_or_resolver") }
@@ -5507,6 +5777,7 @@ object RuntimeToolkitTelemetry {
         val lowerUrl = url.lowercase(Locale.ROOT)
         val lowerSource = source.lowercase(Locale.ROOT)
         if (host.isBlank()) return "ignored"
+        if (analyticsInitiatorFor(url = url, source = source) != null) return "analytics_noise"
 
         val normalizedTargets = targetHosts
             .map { it.lowercase(Locale.ROOT).trim('.') }
@@ -5554,6 +5825,14 @@ object RuntimeToolkitTelemetry {
         return "background_noise"
     }
 
+    private fun analyticsInitiatorFor(url: String, source: String): String? {
+        val normalizedSource = source.trim().lowercase(Locale.ROOT)
+        analyticsInitiators.firstOrNull { normalizedSource.endsWith("_$it") }?.let { return it }
+        synchronized(analyticsInitiatorLock) {
+            return analyticsInitiatorUrls[url.trim()]
+        }
+    }
+
     private fun looksLikeGoogleNoise(host: String, url: String): Boolean {
         val value = "$host $url"
         return listOf(
@@ -5680,7 +5959,11 @@ object RuntimeToolkitTelemetry {
             tokens = listOf("track", "analytic", "telemetry", "metrics", "/event", "/collect", "beacon", "eventtype=", "nmrodam"),
         )
         val trackingGraphqlRelated = graphqlLower.contains("tracking") || graphqlLower.contains("telemetry")
-        val tracking = trackingHostRelated || trackingPathRelated || trackingGraphqlRelated || source.contains("analytics", ignoreCase = true)
+        val tracking = trackingHostRelated ||
+            trackingPathRelated ||
+            trackingGraphqlRelated ||
+            source.contains("analytics", ignoreCase = true) ||
+            analyticsInitiatorFor(url = url, source = source) != null
         if (tracking) labels += "tracking"
         val trackingPreferred = tracking && !authRelated && !playbackStrongSignal
 
@@ -18,6 +18,7 @@ import androidx.core.app.ActivityCompat
 import androidx.core.app.NotificationCompat
 import androidx.core.app.NotificationManagerCompat
 import androidx.core.content.ContextCompat
+import dev.fishit.mapper.wave01.debug.RuntimeToolkitTelemetry
 import info.plateaukao.einkbro.activity.BrowserActivity
 import info.plateaukao.einkbro.activity.SettingActivity
 import info.plateaukao.einkbro.browser.AdBlock
@@ -32,6 +33,8 @@ import info.plateaukao.einkbro.service.TtsManager
 import info.plateaukao.einkbro.unit.LocaleManager
 import info.plateaukao.einkbro.util.WebViewUtil
 import io.github.edsuns.adfilter.AdFilter
+import io.github.edsuns.adfilter.FilterReport
+import io.github.edsuns.adfilter.FilterReportListener
 import kotlinx.coroutines.DelicateCoroutinesApi
 import kotlinx.coroutines.GlobalScope
 import kotlinx.coroutines.launch
@@ -92,6 +95,9 @@ class EinkBroApplication : Application() {
 
         val filter = AdFilter.create(this)
         filter.setEnabled(config.adBlock)
+        filter.reportListener = FilterReportListener { documentUrl, reports ->
+            logAdFilterReports(documentUrl, reports)
+        }
         if (config.adBlock) {
             GlobalScope.launch {
                 filter.viewModel.workToFilterMap.collect { notifyDownloading(it.isEmpty()) }
@@ -99,6 +105,64 @@ class EinkBroApplication : Application() {
         }
     }
 
+    private fun logAdFilterReports(documentUrl: String, reports: List<FilterReport>) {
+        val (scriptletResults, observed) = reports.partition { it.status != null }
+        if (observed.isNotEmpty()) {
+            logAdFilterObserved(documentUrl, observed)
+        }
+        if (scriptletResults.isNotEmpty()) {
+            logScriptletResults(documentUrl, scriptletResults)
+        }
+    }
+
+    private fun logAdFilterObserved(documentUrl: String, reports: List<FilterReport>) {
+        RuntimeToolkitTelemetry.logCorrelationEvent(
+            context = this,
+            operation = "adblock_cosmetic_observed",
+            payload = mapOf(
+                "url" to documentUrl,
+                "decision" to if (reports.any { it.applied }) "applied" else "would_apply",
+                "rule_count" to reports.size,
+                "rules" to reports.take(MAX_OBSERVED_ADBLOCK_RULES).map { report ->
+                    mapOf(
+                        "rule_type" to report.type.name.lowercase(),
+                        "rule" to report.rule,
+                        "match_count" to report.matchCount,
+                        "over_broad" to (report.matchCount >= OVER_BROAD_ADBLOCK_MATCH_COUNT),
+                        "applied" to report.applied,
+                    )
+                },
+                "truncated" to (reports.size > MAX_OBSERVED_ADBLOCK_RULES),
+                "phase_id" to RuntimeToolkitTelemetry.activePhaseId(this),
+                "source" to "webview_adfilter",
+            ),
+        )
+    }
+
+    private fun logScriptletResults(documentUrl: String, reports: List<FilterReport>) {
+        RuntimeToolkitTelemetry.logCorrelationEvent(
+            context = this,
+            operation = "adblock_scriptlet_result",
+            payload = mapOf(
+                "url" to documentUrl,
+                "scriptlet_count" to reports.size,
+                "failed_count" to reports.count { it.status != FilterReport.Status.SUCCESS },
+                "scriptlets" to reports.take(MAX_OBSERVED_ADBLOCK_RULES).map { report ->
+                    mapOf(
+                        "name" to report.name,
+                        "args" to report.args,
+                        "status" to report.status?.name?.lowercase(),
+                        "duration_ms" to report.durationMs,
+                        "error" to report.error,
+                    )
+                },
+                "truncated" to (reports.size > MAX_OBSERVED_ADBLOCK_RULES),
+                "phase_id" to RuntimeToolkitTelemetry.activePhaseId(this),
+                "source" to "webview_adfilter",
+            ),
+        )
+    }
+
     override fun onTerminate() {
         super.onTerminate()
         ttsManager.release()
@@ -201,5 +265,10 @@ class EinkBroApplication : Application() {
     companion object {
         lateinit var instance: EinkBroApplication
             private set
+
+        private const val MAX_OBSERVED_ADBLOCK_RULES = 200
+
+        // a single cosmetic selector hiding this many elements likely hides page content too
+        private const val OVER_BROAD_ADBLOCK_MATCH_COUNT = 50
     }
 }
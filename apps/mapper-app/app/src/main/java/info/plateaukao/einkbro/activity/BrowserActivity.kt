@@ -2969,6 +2969,32 @@ open class BrowserActivity : FragmentActivity(),
             .setTitle(getString(R.string.mapper_mission_advanced_settings))
             .setMessage(lines.joinToString("\n"))
             .setPositiveButton(android.R.string.ok, null)
+            .setNeutralButton(getString(R.string.mapper_adblock_scriptlets_title)) { _, _ ->
+                showScriptletReportsDialog()
+            }
+            .show()
+    }
+
+    private fun showScriptletReportsDialog() {
+        val url = ebWebView.url.orEmpty()
+        val reports = adFilter.getScriptletReports(url)
+        val lines = mutableListOf<String>()
+        lines += url
+        lines += ""
+        if (reports.isEmpty()) {
+            lines += getString(R.string.mapper_adblock_scriptlets_empty)
+        } else {
+            reports.forEachIndexed { idx, report ->
+                val status = report.status?.name?.lowercase(Locale.ROOT) ?: "observed"
+                lines += "${idx + 1}. ${report.rule}"
+                lines += "   $status" + (report.durationMs?.let { " | $it ms" } ?: "")
+                report.error?.let { lines += "   $it" }
+            }
+        }
+        AlertDialog.Builder(this)
+            .setTitle(getString(R.string.mapper_adblock_scriptlets_title))
+            .setMessage(lines.joinToString("\n"))
+            .setPositiveButton(android.R.string.ok, null)
             .show()
     }
 
@@ -3514,6 +3540,34 @@ open class BrowserActivity : FragmentActivity(),
             .show()
     }
 
+    private fun promptFieldPick() {
+        val state = RuntimeToolkitTelemetry.missionSessionState(this)
+        val fields = RuntimeToolkitMissionWizard.fieldMatrixFields(state.missionId, this)
+        if (fields.isEmpty()) {
+            EBToast.showShort(this, "Mission has no field matrix")
+            return
+        }
+        AlertDialog.Builder(this)
+            .setTitle("Pick Field")
+            .setItems(fields.toTypedArray()) { _, which ->
+                val fieldName = fields[which]
+                RuntimeToolkitTelemetry.logWizardEvent(
+                    context = this,
+                    operation = "wizard_field_pick_started",
+                    missionId = state.missionId,
+                    wizardStepId = state.wizardStepId,
+                    saturationState = state.saturationState,
+                    payload = mapOf(
+                        "field_name" to fieldName,
+                        "url" to ebWebView.url.orEmpty(),
+                    ),
+                )
+                ebWebView.startFieldPick(fieldName)
+                EBToast.showShort(this, "Tap the element for $fieldName")
+            }
+            .show()
+    }
+
     private fun isMapperDebuggableBuild(): Boolean {
         return (applicationInfo.flags and ApplicationInfo.FLAG_DEBUGGABLE) != 0
     }
@@ -4691,6 +4745,10 @@ open class BrowserActivity : FragmentActivity(),
         promptRemoveAnchor()
     }
 
+    override fun runFieldPick() {
+        promptFieldPick()
+    }
+
     override fun selectEndpoint(role: String, endpointId: String, score: Double) {
         val state = RuntimeToolkitTelemetry.missionSessionState(this)
         RuntimeToolkitTelemetry.setEndpointOverrideSelection(this, role, endpointId)
@@ -1115,6 +1115,12 @@ class SettingActivity : FragmentActivity() {
             R.string.setting_summary_adblock,
             config::adBlock
         ),
+        BooleanSettingItem(
+            R.string.setting_title_adblock_match_reporting,
+            0,
+            R.string.setting_summary_adblock_match_reporting,
+            config::adBlockMatchReporting
+        ),
         ActionSettingItem(
             R.string.setting_title_update_adblock,
             0,
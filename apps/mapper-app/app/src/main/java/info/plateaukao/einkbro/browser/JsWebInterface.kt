@@ -1,5 +1,8 @@
 package info.plateaukao.einkbro.browser
 
+import android.content.Context
+import android.net.Uri
+import android.util.Base64
 import android.util.Log
 import android.webkit.JavascriptInterface
 import dev.fishit.mapper.wave01.debug.RuntimeToolkitTelemetry
@@ -20,9 +23,11 @@ import kotlinx.coroutines.GlobalScope
 import kotlinx.coroutines.delay
 import kotlinx.coroutines.launch
 import kotlinx.coroutines.withContext
+import org.json.JSONArray
 import org.json.JSONObject
 import org.koin.core.component.KoinComponent
 import org.koin.core.component.inject
+import java.util.Collections
 import java.util.concurrent.Semaphore
 import java.util.concurrent.TimeUnit
 import java.util.concurrent.ConcurrentHashMap
@@ -37,6 +42,13 @@ class JsWebInterface(private val webView: EBWebView) :
     private val configManager: ConfigManager by inject()
     private val bookmarkManager: BookmarkManager by inject()
     private val jsRequestMap = ConcurrentHashMap<String, String>()
+    private val jsConnectionMap = ConcurrentHashMap<String, String>()
+    private val jsCompletedRequestMap = Collections.synchronizedMap(
+        object : LinkedHashMap<String, String>() {
+            override fun removeEldestEntry(eldest: MutableMap.MutableEntry<String, String>?): Boolean =
+                size > MAX_COMPLETED_BRIDGE_REQUESTS
+        },
+    )
 
     private fun escapeForJs(text: String): String =
         text.replace("\\", "\\\\")
@@ -191,35 +203,68 @@ class JsWebInterface(private val webView: EBWebView) :
         val context = webView.context.applicationContext
         runCatching {
             val event = JSONObject(rawJson)
-            val stage = event.optString("stage").ifBlank { "response" }.lowercase()
-            val method = event.optString("method").ifBlank { "GET" }.uppercase()
-            val url = event.optString("url").ifBlank { event.optString("responseUrl") }
+            val stage = (optionalString(event, "stage") ?: "response").lowercase()
+            val method = (optionalString(event, "method") ?: "GET").uppercase()
+            val url = optionalString(event, "url") ?: optionalString(event, "responseUrl").orEmpty()
             if (url.isBlank()) return@runCatching
+            val hookVersion = optionalString(event, "hookVersion")
             RuntimeToolkitTelemetry.logCorrelationEvent(
                 context = context,
                 operation = "js_bridge_network_event",
                 payload = mapOf(
                     "stage" to stage,
                     "url" to url,
-                    "source" to event.optString("source").ifBlank { "unknown" },
+                    "source" to (optionalString(event, "source") ?: "unknown"),
+                    "hook_version" to hookVersion,
                 ),
             )
 
-            val jsRequestId = event.optString("requestId").ifBlank { null }
+            val jsRequestId = optionalString(event, "requestId")
             val requestHeaders = jsonToStringMap(event.optJSONObject("requestHeaders"))
             val responseHeaders = jsonToStringMap(event.optJSONObject("headers"))
-            val bodyPreview = event.optString("bodyPreview").ifBlank { null }?.take(MAX_BRIDGE_BODY_PREVIEW_CHARS)
+            val bodyEncoding = (optionalString(event, "bodyEncoding") ?: BODY_ENCODING_TEXT).lowercase()
+            val bodyPreview = optionalString(event, "bodyPreview")?.let { preview ->
+                if (bodyEncoding == BODY_ENCODING_BASE64) preview else preview.take(MAX_BRIDGE_BODY_PREVIEW_CHARS)
+            }
             val bodyPreviewTruncated = event.optBoolean("bodyPreviewTruncated", false)
             val bodyOriginalLength = optionalInt(event, "bodyOriginalLength")
-            val mimeType = event.optString("mimeType").ifBlank { null }
-            val reason = event.optString("reason").ifBlank { null }
+            val mimeType = optionalString(event, "mimeType")
+            val reason = optionalString(event, "reason")
             val statusCode = optionalInt(event, "status")
 
+            if (stage == "connection") {
+                handleConnectionEvent(context, event, url, method)
+                return@runCatching
+            }
+            if (stage == "service_worker") {
+                handleServiceWorkerEvent(context, event, url)
+                return@runCatching
+            }
+            val bridgeOriginPayload = mapOf(
+                "hook_version" to hookVersion,
+                "redacted_fields" to redactedFields(event),
+            ) +
+                optionalString(event, "workerType")?.let { workerType ->
+                    mapOf(
+                        "worker_type" to workerType,
+                        "worker_script" to optionalString(event, "workerScript"),
+                    )
+                }.orEmpty()
+
             if (stage == "request") {
-                val existingRequestId = RuntimeToolkitTelemetry.resolveRecentRequestId(url = url, method = method)
+                val analyticsInitiator = event.optString("source").lowercase()
+                    .takeIf { it in ANALYTICS_INITIATOR_SOURCES }
+                if (analyticsInitiator != null) {
+                    RuntimeToolkitTelemetry.rememberAnalyticsInitiator(url = url, initiator = analyticsInitiator)
+                }
+                val initiatorScript = optionalString(event, "initiatorScript")
+                val requestBody = optionalString(event, "requestBody")?.take(MAX_REQUEST_BODY_PREVIEW_CHARS)
+                val requestContentType = optionalString(event, "requestBodyType")
+                    ?: requestHeaders.entries.firstOrNull { it.key.equals("content-type", ignoreCase = true) }?.value
+                val existingRequestId = resolveInterceptedRequestId(event = event, url = url, method = method)
                 val requestId = existingRequestId ?: RuntimeToolkitTelemetry.logNetworkRequest(
                     context = context,
-                    source = "webview_js_bridge",
+                    source = analyticsInitiator?.let { "webview_js_bridge_$it" } ?: "webview_js_bridge",
                     url = url,
                     method = method,
                     headers = requestHeaders,
@@ -227,12 +272,29 @@ class JsWebInterface(private val webView: EBWebView) :
                         "bridge_stage" to stage,
                         "bridge_request_id" to jsRequestId,
                         "bridge_observed" to true,
-                    ),
+                        "payload_size_bytes" to optionalInt(event, "payloadSize"),
+                        "initiator_script" to initiatorScript,
+                        "body_preview" to requestBody,
+                        "content_type" to requestContentType,
+                        "request_body_kind" to (optionalString(event, "requestBodyKind") ?: "none"),
+                        "request_body_length" to optionalInt(event, "requestBodyLength"),
+                        "request_body_truncated" to event.optBoolean("requestBodyTruncated", false),
+                    ) + bridgeOriginPayload,
                 ).requestId
 
-                if (!jsRequestId.isNullOrBlank()) {
+                // beacons and pixels never report a response that would remove them again
+                if (!jsRequestId.isNullOrBlank() && analyticsInitiator == null) {
                     jsRequestMap[jsRequestId] = requestId
                 }
+                if (initiatorScript != null) {
+                    RuntimeToolkitTelemetry.logInitiatorScriptProvenance(
+                        context = context,
+                        requestId = requestId,
+                        url = url,
+                        method = method,
+                        initiatorScript = initiatorScript,
+                    )
+                }
                 requestHeaders.forEach { (headerKey, _) ->
                     if (shouldTrackProvenanceHeader(headerKey)) {
                         RuntimeToolkitTelemetry.logProvenanceEvent(
@@ -253,22 +315,12 @@ class JsWebInterface(private val webView: EBWebView) :
 
             val requestId = jsRequestId?.let { jsRequestMap.remove(it) }
                 ?: RuntimeToolkitTelemetry.resolveRecentRequestId(url = url, method = method)
-            val rawBody = bodyPreview?.toByteArray(Charsets.UTF_8)
-            val captureLimitBytes = rawBody?.size ?: 0
-            val hasContentLengthHeader = responseHeaders.keys.any { it.equals("content-length", ignoreCase = true) }
-            val contentLengthHeader = if (!hasContentLengthHeader && bodyOriginalLength != null && bodyOriginalLength > 0) {
-                bodyOriginalLength.toString()
-            } else {
-                null
-            }
-            val bodyCapturePolicy = resolveBridgeBodyCapturePolicy(url = url, mimeType = mimeType)
-            val candidateRelevance = candidateRelevanceForPolicy(bodyCapturePolicy)
-            val truncationReason = if (bodyPreviewTruncated) "body_size_limit" else ""
-            val captureFailure = if (bodyPreviewTruncated && bodyCapturePolicy == "full_candidate_required") {
-                "required_body_truncated"
-            } else {
-                ""
+            if (!jsRequestId.isNullOrBlank() && requestId != null) {
+                jsCompletedRequestMap[jsRequestId] = requestId
             }
+            val licenseExchange = isLicenseExchangeUrl(url)
+            val rawBody = if (licenseExchange) null else decodeBridgeBody(bodyPreview, bodyEncoding)
+            val bodyDecodeFailed = bodyPreview != null && rawBody == null && !licenseExchange
 
             val responseId = RuntimeToolkitTelemetry.logNetworkResponse(
                 context = context,
@@ -285,16 +337,15 @@ class JsWebInterface(private val webView: EBWebView) :
                     "bridge_stage" to stage,
                     "bridge_request_id" to jsRequestId,
                     "bridge_observed" to true,
-                    "capture_truncated" to bodyPreviewTruncated,
-                    "capture_limit_bytes" to if (bodyPreviewTruncated) captureLimitBytes else 0,
-                    "stored_size_bytes" to captureLimitBytes,
-                    "content_length_header" to contentLengthHeader,
-                    "truncation_reason" to truncationReason,
-                    "body_capture_policy" to bodyCapturePolicy,
-                    "candidate_relevance" to candidateRelevance,
-                    "capture_reason" to "js_bridge_capture",
-                    "capture_failure" to captureFailure,
-                ),
+                ) + bridgeOriginPayload + bridgeBodyCapturePayload(
+                    url = url,
+                    mimeType = mimeType,
+                    rawBody = rawBody,
+                    bodyPreviewTruncated = bodyPreviewTruncated,
+                    bodyOriginalLength = bodyOriginalLength,
+                    responseHeaders = responseHeaders,
+                ) + mapOf("body_encoding" to bodyEncoding) +
+                    if (bodyDecodeFailed) mapOf("capture_failure" to "body_decode_failed") else emptyMap(),
             )
 
             responseHeaders.forEach { (headerKey, _) ->
@@ -324,14 +375,217 @@ class JsWebInterface(private val webView: EBWebView) :
         }
     }
 
+    private fun handleServiceWorkerEvent(
+        context: Context,
+        event: JSONObject,
+        scriptUrl: String,
+    ) {
+        val workerEvent = (optionalString(event, "workerEvent") ?: "unknown").lowercase()
+        RuntimeToolkitTelemetry.logCorrelationEvent(
+            context = context,
+            operation = "service_worker_$workerEvent",
+            payload = mapOf(
+                "bridge_stage" to "service_worker",
+                "script_url" to scriptUrl,
+                "scope" to optionalString(event, "scope"),
+                "requested_scope" to optionalString(event, "requestedScope"),
+                "worker_state" to optionalString(event, "state"),
+                "reason" to optionalString(event, "reason"),
+                "source" to "webview_js_bridge",
+            ),
+        )
+    }
+
+    private fun handleConnectionEvent(
+        context: Context,
+        event: JSONObject,
+        url: String,
+        method: String,
+    ) {
+        val connectionId = optionalString(event, "connectionId") ?: optionalString(event, "requestId") ?: return
+        val connectionEvent = (optionalString(event, "connectionEvent") ?: "unknown").lowercase()
+        val transport = (optionalString(event, "transport") ?: "websocket").lowercase()
+        val connectionPayload = mapOf(
+            "bridge_stage" to "connection",
+            "bridge_request_id" to connectionId,
+            "bridge_observed" to true,
+            "connection_id" to connectionId,
+            "connection_event" to connectionEvent,
+            "transport" to transport,
+            "with_credentials" to if (event.isNull("withCredentials")) null else event.optBoolean("withCredentials"),
+            "reconnect_attempt" to optionalInt(event, "reconnectAttempt"),
+            "redacted_fields" to redactedFields(event),
+        )
+        val requestId = resolveConnectionRequestId(
+            connections = jsConnectionMap,
+            connectionId = connectionId,
+            connectionEvent = connectionEvent,
+        ) {
+            RuntimeToolkitTelemetry.logNetworkRequest(
+                context = context,
+                source = "webview_js_bridge",
+                url = url,
+                method = method,
+                headers = emptyMap(),
+                payload = connectionPayload + mapOf(
+                    "protocols" to jsonToStringList(event.optJSONArray("protocols")),
+                ),
+            ).requestId
+        }
+
+        when (connectionEvent) {
+            "connect" -> Unit
+            "open" -> RuntimeToolkitTelemetry.logNetworkResponse(
+                context = context,
+                source = "webview_js_bridge",
+                url = url,
+                method = method,
+                statusCode = connectionStatusCode(transport),
+                reason = "connection_open",
+                mimeType = if (transport == "eventsource") "text/event-stream" else null,
+                headers = emptyMap(),
+                requestId = requestId,
+                payload = connectionPayload + mapOf(
+                    "protocol" to optionalString(event, "protocol"),
+                    "extensions" to optionalString(event, "extensions"),
+                    "retry_ms" to optionalInt(event, "retryMs"),
+                    "body_capture_policy" to "metadata_only",
+                    "candidate_relevance" to "non_candidate",
+                    "capture_reason" to "js_bridge_connection",
+                ),
+            )
+
+            "message", "send" -> logConnectionFrame(
+                context = context,
+                event = event,
+                url = url,
+                method = method,
+                requestId = requestId,
+                statusCode = connectionStatusCode(transport),
+                connectionPayload = connectionPayload,
+            )
+
+            "reconnect" -> RuntimeToolkitTelemetry.logCorrelationEvent(
+                context = context,
+                operation = "connection_reconnect",
+                payload = connectionPayload + mapOf(
+                    "request_id" to requestId,
+                    "url" to url,
+                    "reason" to optionalString(event, "reason"),
+                ),
+            )
+
+            "close", "error" -> RuntimeToolkitTelemetry.logCorrelationEvent(
+                context = context,
+                operation = "connection_$connectionEvent",
+                payload = connectionPayload + mapOf(
+                    "request_id" to requestId,
+                    "url" to url,
+                    "close_code" to optionalInt(event, "closeCode"),
+                    "reason" to optionalString(event, "reason"),
+                    "was_clean" to event.optBoolean("wasClean", false),
+                ),
+            )
+
+            else -> RuntimeToolkitTelemetry.logCorrelationEvent(
+                context = context,
+                operation = "connection_event_ignored",
+                payload = connectionPayload + mapOf("request_id" to requestId, "url" to url),
+            )
+        }
+    }
+
+    private fun logConnectionFrame(
+        context: Context,
+        event: JSONObject,
+        url: String,
+        method: String,
+        requestId: String,
+        statusCode: Int,
+        connectionPayload: Map<String, Any?>,
+    ) {
+        val direction = (optionalString(event, "frameDirection") ?: "inbound").lowercase()
+        val frameType = (optionalString(event, "frameType") ?: "text").lowercase()
+        val mimeType = optionalString(event, "mimeType")
+        val frameSizeBytes = optionalInt(event, "bodyOriginalLength") ?: 0
+        val bodyPreview = if (frameType == "text" && !event.isNull("bodyPreview")) {
+            optionalString(event, "bodyPreview")?.take(MAX_BRIDGE_BODY_PREVIEW_CHARS)
+        } else {
+            null
+        }
+        val framePayload = connectionPayload + mapOf(
+            "frame_direction" to direction,
+            "frame_type" to frameType,
+            "frame_size_bytes" to frameSizeBytes,
+            "event_name" to optionalString(event, "eventName"),
+            "last_event_id" to optionalString(event, "lastEventId"),
+            "retry_ms" to optionalInt(event, "retryMs"),
+        )
+
+        if (direction == "outbound") {
+            RuntimeToolkitTelemetry.logCorrelationEvent(
+                context = context,
+                operation = "connection_frame_sent",
+                payload = framePayload + mapOf(
+                    "request_id" to requestId,
+                    "url" to url,
+                    "mime_type" to mimeType,
+                    "body_preview" to bodyPreview?.take(MAX_CONNECTION_FRAME_PREVIEW_CHARS),
+                    "body_preview_truncated" to (
+                        event.optBoolean("bodyPreviewTruncated", false) ||
+                            (bodyPreview?.length ?: 0) > MAX_CONNECTION_FRAME_PREVIEW_CHARS
+                        ),
+                ),
+            )
+            return
+        }
+
+        val rawBody = bodyPreview?.toByteArray(Charsets.UTF_8)
+        val capturePayload = if (frameType == "text") {
+            bridgeBodyCapturePayload(
+                url = url,
+                mimeType = mimeType,
+                rawBody = rawBody,
+                bodyPreviewTruncated = event.optBoolean("bodyPreviewTruncated", false),
+                bodyOriginalLength = frameSizeBytes,
+                responseHeaders = emptyMap(),
+            )
+        } else {
+            mapOf(
+                "capture_truncated" to false,
+                "capture_limit_bytes" to 0,
+                "stored_size_bytes" to 0,
+                "content_length_header" to frameSizeBytes.toString(),
+                "truncation_reason" to "",
+                "body_capture_policy" to "metadata_only",
+                "candidate_relevance" to "non_candidate",
+                "capture_reason" to "js_bridge_binary_frame",
+                "capture_failure" to "",
+            )
+        }
+        RuntimeToolkitTelemetry.logNetworkResponse(
+            context = context,
+            source = "webview_js_bridge",
+            url = url,
+            method = method,
+            statusCode = statusCode,
+            reason = "connection_frame",
+            mimeType = mimeType,
+            headers = emptyMap(),
+            rawBody = rawBody,
+            requestId = requestId,
+            payload = framePayload + capturePayload,
+        )
+    }
+
     @JavascriptInterface
     fun runtimeToolkitPlaybackEvent(rawJson: String?) {
         if (rawJson.isNullOrBlank()) return
         val context = webView.context.applicationContext
         runCatching {
             val event = JSONObject(rawJson)
-            val signal = event.optString("signal").ifBlank { "unknown" }.lowercase()
-            val mediaUrl = event.optString("mediaUrl").ifBlank { webView.url.orEmpty() }
+            val signal = (optionalString(event, "signal") ?: "unknown").lowercase()
+            val mediaUrl = optionalString(event, "mediaUrl") ?: webView.url.orEmpty()
             val currentTime = optionalDouble(event, "currentTime")
             val duration = optionalDouble(event, "duration")
             val playbackRate = optionalDouble(event, "playbackRate")
@@ -358,6 +612,8 @@ class JsWebInterface(private val webView: EBWebView) :
                 "buffered_end" to bufferedEnd,
                 "paused" to paused,
                 "seeking" to seeking,
+                "hook_version" to optionalString(event, "hookVersion"),
+                "redacted_fields" to redactedFields(event),
                 "source" to "webview_js_playback",
             )
 
@@ -399,6 +655,576 @@ class JsWebInterface(private val webView: EBWebView) :
         }
     }
 
+    @JavascriptInterface
+    fun runtimeToolkitNavigationEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val toUrl = optionalString(event, "toUrl") ?: webView.url.orEmpty()
+            if (toUrl.isBlank()) return@runCatching
+            RuntimeToolkitTelemetry.logSpaNavigation(
+                context = context,
+                navigationType = optionalString(event, "navigationType") ?: "unknown",
+                fromUrl = optionalString(event, "fromUrl").orEmpty(),
+                toUrl = toUrl,
+                stateSizeBytes = optionalInt(event, "stateSize"),
+                pageTimestampMs = optionalDouble(event, "timestamp")?.toLong(),
+                hookVersion = optionalString(event, "hookVersion"),
+                redactedFields = redactedFields(event),
+            )
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_navigation_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitNavigationEvent failed: ${throwable.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun runtimeToolkitStorageEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val storageType = (optionalString(event, "storageType") ?: "unknown").lowercase()
+            val operation = (optionalString(event, "operation") ?: "set").lowercase()
+            val key = optionalString(event, "key") ?: return@runCatching
+            val valuePreview = if (event.isNull("valuePreview")) null else event.optString("valuePreview")
+            val origin = optionalString(event, "origin")
+            val payload = mapOf(
+                "origin" to origin,
+                "value_length" to optionalInt(event, "valueLength"),
+                "initiator_script" to optionalString(event, "initiatorScript"),
+                "object_stores" to event.optJSONArray("objectStores")?.let { stores ->
+                    (0 until stores.length()).map { index -> stores.optString(index) }
+                },
+                "hook_version" to optionalString(event, "hookVersion"),
+                "redacted_fields" to redactedFields(event),
+                "source" to "webview_js_storage",
+            )
+            if (storageType == "cookie") {
+                RuntimeToolkitTelemetry.logCookieEvent(
+                    context = context,
+                    operation = operation,
+                    domain = optionalString(event, "domain") ?: origin?.let { Uri.parse(it).host }.orEmpty(),
+                    cookieName = key,
+                    cookieValuePreview = valuePreview?.take(MAX_COOKIE_VALUE_PREVIEW_CHARS),
+                    reason = "document_cookie_write",
+                    payload = payload,
+                )
+            } else {
+                RuntimeToolkitTelemetry.logStorageEvent(
+                    context = context,
+                    storageType = storageType,
+                    key = key,
+                    operation = operation,
+                    valuePreview = valuePreview?.take(MAX_STORAGE_VALUE_PREVIEW_CHARS),
+                    payload = payload + mapOf("reason" to optionalString(event, "reason")),
+                )
+            }
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_storage_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitStorageEvent failed: ${throwable.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun runtimeToolkitFormEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val actionUrl = optionalString(event, "actionUrl") ?: return@runCatching
+            val rawFields = event.optJSONArray("fields") ?: JSONArray()
+            val fields = (0 until rawFields.length()).mapNotNull { index ->
+                val field = rawFields.optJSONObject(index) ?: return@mapNotNull null
+                val name = optionalString(field, "name") ?: return@mapNotNull null
+                mapOf(
+                    "name" to name,
+                    "type" to (optionalString(field, "type") ?: "text").lowercase(),
+                    "autocomplete" to optionalString(field, "autocomplete"),
+                    "required" to field.optBoolean("required", false),
+                )
+            }
+            val rawCsrfFields = event.optJSONArray("csrfFields") ?: JSONArray()
+            val csrfFields = (0 until rawCsrfFields.length()).mapNotNull { index -> rawCsrfFields.optString(index).ifBlank { null } }
+            val hasPasswordField = event.optBoolean("hasPasswordField", false)
+            val loginFormCandidate = hasPasswordField || fields.any { field ->
+                field["autocomplete"] in LOGIN_FORM_AUTOCOMPLETE_HINTS
+            }
+            RuntimeToolkitTelemetry.logAuthEvent(
+                context = context,
+                operation = "form_submit",
+                payload = mapOf(
+                    "trigger" to (optionalString(event, "trigger") ?: "submit_event"),
+                    "form_action_url" to actionUrl,
+                    "form_method" to (optionalString(event, "method") ?: "GET").uppercase(),
+                    "form_enctype" to optionalString(event, "enctype"),
+                    "form_id" to optionalString(event, "formId"),
+                    "form_name" to optionalString(event, "formName"),
+                    "form_fields" to fields,
+                    "has_password_field" to hasPasswordField,
+                    "csrf_field_names" to csrfFields,
+                    "has_csrf_field" to csrfFields.isNotEmpty(),
+                    "hidden_field_count" to optionalInt(event, "hiddenFieldCount"),
+                    "login_form_candidate" to loginFormCandidate,
+                    "page_url" to optionalString(event, "pageUrl"),
+                    "hook_version" to optionalString(event, "hookVersion"),
+                    "redacted_fields" to redactedFields(event),
+                    "source" to "webview_js_form",
+                ),
+            )
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_form_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitFormEvent failed: ${throwable.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun runtimeToolkitUiActionEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val interaction = optionalString(event, "interaction")?.lowercase() ?: return@runCatching
+            if (interaction !in UI_TRACE_INTERACTIONS) return@runCatching
+            val actionName = "web_$interaction"
+            val payload = mapOf(
+                "interaction" to interaction,
+                "selector" to optionalString(event, "selector"),
+                "xpath" to optionalString(event, "xpath"),
+                "element_role" to optionalString(event, "role"),
+                "element_tag" to optionalString(event, "tagName"),
+                "text_snippet" to optionalString(event, "textSnippet")?.take(MAX_UI_TEXT_SNIPPET_CHARS),
+                "href" to optionalString(event, "href"),
+                "input_type" to optionalString(event, "inputType"),
+                "value_length" to optionalInt(event, "valueLength"),
+                "checked" to if (event.isNull("checked")) null else event.optBoolean("checked"),
+                "selected_index" to optionalInt(event, "selectedIndex"),
+                "option_count" to optionalInt(event, "optionCount"),
+                "selected_text" to optionalString(event, "selectedText"),
+                "file_count" to optionalInt(event, "fileCount"),
+                "scroll_target" to optionalString(event, "scrollTarget"),
+                "scroll_top" to optionalInt(event, "scrollTop"),
+                "scroll_delta" to optionalInt(event, "scrollDelta"),
+                "scroll_height" to optionalInt(event, "scrollHeight"),
+                "viewport_height" to optionalInt(event, "viewportHeight"),
+                "page_url" to optionalString(event, "pageUrl"),
+                "page_timestamp_ms" to event.optLong("timestamp").takeIf { it > 0L },
+                "hook_version" to optionalString(event, "hookVersion"),
+                "redacted_fields" to redactedFields(event),
+                "source" to "webview_js_ui",
+            )
+            val correlation = RuntimeToolkitTelemetry.beginUiAction(
+                context = context,
+                actionName = actionName,
+                screenId = "browser",
+                uiAnchorId = payload["selector"] as String?,
+                payload = payload,
+            )
+            RuntimeToolkitTelemetry.finishUiAction(
+                context = context,
+                correlation = correlation,
+                actionName = actionName,
+                result = "observed",
+                payload = payload,
+            )
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_ui_action_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitUiActionEvent failed: ${throwable.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun runtimeToolkitFieldPickEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val fieldName = optionalString(event, "fieldName") ?: return@runCatching
+            val pageUrl = optionalString(event, "pageUrl")
+            if (event.optBoolean("cancelled", false)) {
+                RuntimeToolkitTelemetry.logExtractionEvent(
+                    context = context,
+                    operation = "dom_field_pick_cancelled",
+                    payload = mapOf(
+                        "field_name" to fieldName,
+                        "url" to pageUrl,
+                        "extraction_kind" to "dom_selector",
+                        "success" to false,
+                        "source" to "webview_js_pick",
+                    ),
+                )
+                return@runCatching
+            }
+            val selector = optionalString(event, "selector") ?: return@runCatching
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "dom_field_pick",
+                payload = mapOf(
+                    "field_name" to fieldName,
+                    "selector" to selector,
+                    "selector_match_count" to optionalInt(event, "selectorMatchCount"),
+                    "xpath" to optionalString(event, "xpath"),
+                    "list_selector" to optionalString(event, "listSelector"),
+                    "list_item_selector" to optionalString(event, "listItemSelector"),
+                    "list_relative_selector" to optionalString(event, "listRelativeSelector"),
+                    "list_match_count" to optionalInt(event, "listMatchCount"),
+                    "element_tag" to optionalString(event, "tagName"),
+                    "value_attribute" to optionalString(event, "valueAttribute"),
+                    "value_nested" to optionalString(event, "valueNested"),
+                    "value_preview" to optionalString(event, "valuePreview")?.take(MAX_PICK_VALUE_PREVIEW_CHARS),
+                    "url" to pageUrl,
+                    "page_timestamp_ms" to event.optLong("timestamp").takeIf { it > 0L },
+                    "hook_version" to optionalString(event, "hookVersion"),
+                    "source_ref" to "dom:$selector",
+                    "extraction_kind" to "dom_selector",
+                    "extracted_field_count" to 1,
+                    "success" to true,
+                    "source" to "webview_js_pick",
+                ),
+            )
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_field_pick_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitFieldPickEvent failed: ${throwable.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun runtimeToolkitStructuredDataEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val kind = optionalString(event, "kind") ?: return@runCatching
+            if (kind !in STRUCTURED_DATA_KINDS) return@runCatching
+            val rawContent = optionalString(event, "content") ?: return@runCatching
+            val content = rawContent.take(MAX_STRUCTURED_DATA_CHARS)
+            RuntimeToolkitTelemetry.logStructuredDataHarvest(
+                context = context,
+                structuredKind = kind,
+                content = content,
+                payload = mapOf(
+                    "structured_source_ref" to optionalString(event, "sourceRef"),
+                    "entity_types" to jsonToStringList(event.optJSONArray("entityTypes")).filter { it.isNotBlank() },
+                    "extracted_field_count" to (optionalInt(event, "topLevelKeyCount") ?: 0),
+                    "original_length_chars" to optionalInt(event, "originalLength"),
+                    "capture_truncated" to (event.optBoolean("truncated", false) || rawContent.length > content.length),
+                    "redacted_fields" to redactedFields(event),
+                    "trigger" to optionalString(event, "trigger"),
+                    "url" to optionalString(event, "pageUrl"),
+                    "page_timestamp_ms" to event.optLong("timestamp").takeIf { it > 0L },
+                    "hook_version" to optionalString(event, "hookVersion"),
+                    "success" to true,
+                    "source" to "webview_js_structured_data",
+                ),
+            )
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_structured_data_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitStructuredDataEvent failed: ${throwable.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun runtimeToolkitMediaSourceEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val operation = optionalString(event, "operation") ?: return@runCatching
+            if (operation !in MEDIA_SOURCE_OPERATIONS) return@runCatching
+            val jsRequestId = optionalString(event, "requestId")
+            val requestId = jsRequestId?.let { jsCompletedRequestMap[it] ?: jsRequestMap[it] }
+            RuntimeToolkitTelemetry.logCorrelationEvent(
+                context = context,
+                operation = "mse_$operation",
+                payload = mapOf(
+                    "media_source_id" to optionalString(event, "mediaSourceId"),
+                    "source_buffer_id" to optionalString(event, "sourceBufferId"),
+                    "object_url" to optionalString(event, "objectUrl"),
+                    "mime_type" to optionalString(event, "mimeType"),
+                    "request_id" to requestId,
+                    "bridge_request_id" to jsRequestId,
+                    "request_url" to optionalString(event, "requestUrl"),
+                    "correlation_mode" to optionalString(event, "correlationMode"),
+                    "byte_length" to optionalInt(event, "byteLength"),
+                    "append_index" to optionalInt(event, "appendIndex"),
+                    "appended_bytes_total" to optionalLong(event, "appendedBytesTotal"),
+                    "append_duration_ms" to optionalInt(event, "appendDurationMs"),
+                    "buffered_end" to optionalDouble(event, "bufferedEnd"),
+                    "buffered_delta_seconds" to optionalDouble(event, "bufferedDeltaSeconds"),
+                    "estimated_bitrate_bps" to optionalLong(event, "estimatedBitrateBps"),
+                    "rendition" to optionalString(event, "rendition"),
+                    "switch_kind" to optionalString(event, "switchKind"),
+                    "from_rendition" to optionalString(event, "fromRendition"),
+                    "to_rendition" to optionalString(event, "toRendition"),
+                    "from_bitrate_bps" to optionalLong(event, "fromBitrateBps"),
+                    "to_bitrate_bps" to optionalLong(event, "toBitrateBps"),
+                    "from_mime_type" to optionalString(event, "fromMimeType"),
+                    "to_mime_type" to optionalString(event, "toMimeType"),
+                    "end_of_stream_error" to optionalString(event, "endOfStreamError"),
+                    "duration" to optionalDouble(event, "duration"),
+                    "source_buffer_count" to optionalInt(event, "sourceBufferCount"),
+                    "url" to optionalString(event, "pageUrl"),
+                    "page_timestamp_ms" to event.optLong("timestamp").takeIf { it > 0L },
+                    "hook_version" to optionalString(event, "hookVersion"),
+                    "redacted_fields" to redactedFields(event),
+                    "source" to "webview_js_mse",
+                ),
+            )
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_media_source_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitMediaSourceEvent failed: ${throwable.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun runtimeToolkitEmeEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val operation = optionalString(event, "operation") ?: return@runCatching
+            if (operation !in EME_OPERATIONS) return@runCatching
+            val jsRequestId = optionalString(event, "requestId")
+            val requestId = jsRequestId?.let { jsRequestMap[it] ?: jsCompletedRequestMap[it] }
+            RuntimeToolkitTelemetry.logCorrelationEvent(
+                context = context,
+                operation = "eme_$operation",
+                payload = mapOf(
+                    "key_system" to optionalString(event, "keySystem"),
+                    "granted" to if (event.isNull("granted")) null else event.optBoolean("granted"),
+                    "init_data_types" to jsonToStringList(event.optJSONArray("initDataTypes")).filter { it.isNotBlank() },
+                    "session_types" to jsonToStringList(event.optJSONArray("sessionTypes")).filter { it.isNotBlank() },
+                    "video_robustness" to jsonToStringList(event.optJSONArray("videoRobustness")).filter { it.isNotBlank() },
+                    "audio_robustness" to jsonToStringList(event.optJSONArray("audioRobustness")).filter { it.isNotBlank() },
+                    "persistent_state" to jsonToStringList(event.optJSONArray("persistentState")).filter { it.isNotBlank() },
+                    "eme_session_id" to optionalString(event, "emeSessionId"),
+                    "session_type" to optionalString(event, "sessionType"),
+                    "init_data_type" to optionalString(event, "initDataType"),
+                    "init_data_byte_length" to optionalInt(event, "initDataByteLength"),
+                    "message_type" to optionalString(event, "messageType"),
+                    "message_byte_length" to optionalInt(event, "messageByteLength"),
+                    "response_byte_length" to optionalInt(event, "responseByteLength"),
+                    "request_id" to requestId,
+                    "bridge_request_id" to jsRequestId,
+                    "license_url" to optionalString(event, "licenseUrl"),
+                    "method" to optionalString(event, "method"),
+                    "correlation_mode" to optionalString(event, "correlationMode"),
+                    "success" to if (event.isNull("success")) null else event.optBoolean("success"),
+                    "error" to optionalString(event, "error"),
+                    "url" to optionalString(event, "pageUrl"),
+                    "page_timestamp_ms" to event.optLong("timestamp").takeIf { it > 0L },
+                    "hook_version" to optionalString(event, "hookVersion"),
+                    "redacted_fields" to redactedFields(event),
+                    "source" to "webview_js_eme",
+                ),
+            )
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_eme_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitEmeEvent failed: ${throwable.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun runtimeToolkitConsoleEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val kind = optionalString(event, "kind") ?: return@runCatching
+            if (kind !in PAGE_SCRIPT_ERROR_KINDS) return@runCatching
+            RuntimeToolkitTelemetry.logCorrelationEvent(
+                context = context,
+                operation = "page_script_error",
+                payload = mapOf(
+                    "error_kind" to kind,
+                    "level" to optionalString(event, "level"),
+                    "message" to optionalString(event, "message")?.take(MAX_PAGE_SCRIPT_MESSAGE_CHARS),
+                    "error_name" to optionalString(event, "errorName"),
+                    "source_url" to optionalString(event, "sourceUrl"),
+                    "line" to optionalInt(event, "line"),
+                    "column" to optionalInt(event, "column"),
+                    "stack" to optionalString(event, "stack")?.take(MAX_PAGE_SCRIPT_STACK_CHARS),
+                    "occurrence" to optionalInt(event, "occurrence"),
+                    "suppressed_count" to optionalInt(event, "suppressedCount"),
+                    "url" to optionalString(event, "pageUrl"),
+                    "page_timestamp_ms" to event.optLong("timestamp").takeIf { it > 0L },
+                    "hook_version" to optionalString(event, "hookVersion"),
+                    "redacted_fields" to redactedFields(event),
+                    "source" to "webview_js_console",
+                ),
+            )
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_console_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitConsoleEvent failed: ${throwable.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun runtimeToolkitPerformanceEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val entries = event.optJSONArray("entries") ?: return@runCatching
+            val timings = (0 until minOf(entries.length(), MAX_PERFORMANCE_BATCH_ENTRIES))
+                .mapNotNull { index -> entries.optJSONObject(index) }
+                .filter { optionalString(it, "entryType") in PERFORMANCE_ENTRY_TYPES }
+                .map { entry ->
+                    mapOf(
+                        "entry_type" to optionalString(entry, "entryType"),
+                        "url" to optionalString(entry, "url"),
+                        "name" to optionalString(entry, "name"),
+                        "initiator_type" to optionalString(entry, "initiatorType"),
+                        "next_hop_protocol" to optionalString(entry, "nextHopProtocol"),
+                        "start_time_ms" to optionalDouble(entry, "startTime"),
+                        "duration_ms" to optionalDouble(entry, "duration"),
+                        "transfer_size" to optionalLong(entry, "transferSize"),
+                        "encoded_body_size" to optionalLong(entry, "encodedBodySize"),
+                        "decoded_body_size" to optionalLong(entry, "decodedBodySize"),
+                        "response_status" to optionalInt(entry, "responseStatus"),
+                        "redirect_ms" to optionalDouble(entry, "redirectMs"),
+                        "dns_ms" to optionalDouble(entry, "dnsMs"),
+                        "connect_ms" to optionalDouble(entry, "connectMs"),
+                        "tls_ms" to optionalDouble(entry, "tlsMs"),
+                        "ttfb_ms" to optionalDouble(entry, "ttfbMs"),
+                        "download_ms" to optionalDouble(entry, "downloadMs"),
+                        "timing_allowed" to if (entry.isNull("timingAllowed")) null else entry.optBoolean("timingAllowed"),
+                        "navigation_type" to optionalString(entry, "navigationType"),
+                        "dom_interactive_ms" to optionalDouble(entry, "domInteractiveMs"),
+                        "dom_content_loaded_ms" to optionalDouble(entry, "domContentLoadedMs"),
+                        "load_event_ms" to optionalDouble(entry, "loadEventMs"),
+                        "element_size" to optionalLong(entry, "size"),
+                        "tag_name" to optionalString(entry, "tagName"),
+                        "container_type" to optionalString(entry, "containerType"),
+                        "container_src" to optionalString(entry, "containerSrc"),
+                    )
+                }
+            if (timings.isEmpty()) return@runCatching
+            RuntimeToolkitTelemetry.logCorrelationEvent(
+                context = context,
+                operation = "performance_timing_batch",
+                payload = mapOf(
+                    "entries" to timings,
+                    "entry_count" to timings.size,
+                    "dropped_count" to optionalInt(event, "droppedCount"),
+                    "trigger" to optionalString(event, "trigger"),
+                    "phase_id" to RuntimeToolkitTelemetry.activePhaseId(context),
+                    "url" to optionalString(event, "pageUrl"),
+                    "page_timestamp_ms" to event.optLong("timestamp").takeIf { it > 0L },
+                    "hook_version" to optionalString(event, "hookVersion"),
+                    "source" to "webview_js_performance",
+                ),
+            )
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_performance_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitPerformanceEvent failed: ${throwable.message}")
+        }
+    }
+
+    @JavascriptInterface
+    fun runtimeToolkitPlayerDetectEvent(rawJson: String?) {
+        if (rawJson.isNullOrBlank()) return
+        val context = webView.context.applicationContext
+        runCatching {
+            val event = JSONObject(rawJson)
+            val libraries = event.optJSONArray("libraries") ?: JSONArray()
+            val playerLibraries = (0 until libraries.length()).mapNotNull { index ->
+                val library = libraries.optJSONObject(index) ?: return@mapNotNull null
+                val name = optionalString(library, "name") ?: return@mapNotNull null
+                val version = optionalString(library, "version")
+                if (version == null) name else "$name@$version"
+            }
+            val manifests = event.optJSONArray("manifests") ?: JSONArray()
+            val manifestEntries = (0 until manifests.length()).mapNotNull { index -> manifests.optJSONObject(index) }
+                .filter { optionalString(it, "url") != null }
+                .take(MAX_PLAYER_MANIFESTS)
+            val streamManifests = manifestEntries.filter { it.optString("kind") in PLAYER_MANIFEST_KINDS }
+            val media = event.optJSONArray("media") ?: JSONArray()
+            val mediaEntries = (0 until media.length()).mapNotNull { index -> media.optJSONObject(index) }
+            val primaryRef = streamManifests.firstOrNull()?.optString("url")
+                ?: manifestEntries.firstOrNull()?.optString("url")
+                ?: mediaEntries.firstNotNullOfOrNull { optionalString(it, "currentSrc") }
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "playback_draft_hint",
+                payload = mapOf(
+                    "player_libraries" to playerLibraries,
+                    "manifest_urls" to manifestEntries.map { it.optString("url") },
+                    "manifest_kinds" to manifestEntries.map { optionalString(it, "kind") ?: "unknown" }.distinct(),
+                    "manifest_sources" to manifestEntries.map { optionalString(it, "source") },
+                    "stream_manifest_urls" to streamManifests.map { it.optString("url") },
+                    "media_src" to mediaEntries.mapNotNull { optionalString(it, "currentSrc") },
+                    "media_source_backed" to mediaEntries.any { it.optBoolean("mediaSourceBacked", false) },
+                    "drm_hints" to jsonToStringList(event.optJSONArray("drmHints")).filter { it.isNotBlank() },
+                    "trigger" to optionalString(event, "trigger"),
+                    "url" to optionalString(event, "pageUrl"),
+                    "page_timestamp_ms" to event.optLong("timestamp").takeIf { it > 0L },
+                    "hook_version" to optionalString(event, "hookVersion"),
+                    "redacted_fields" to redactedFields(event),
+                    "source_ref" to primaryRef?.let { "playback:$it" },
+                    "extraction_kind" to "playback_draft",
+                    "extracted_field_count" to manifestEntries.size,
+                    "success" to streamManifests.isNotEmpty(),
+                    "source" to "webview_js_player",
+                ),
+            )
+        }.onFailure { throwable ->
+            RuntimeToolkitTelemetry.logExtractionEvent(
+                context = context,
+                operation = "js_bridge_player_detect_event_failed",
+                payload = mapOf("message" to (throwable.message ?: "unknown")),
+            )
+            Log.w("JsWebInterface", "runtimeToolkitPlayerDetectEvent failed: ${throwable.message}")
+        }
+    }
+
+    private fun redactedFields(event: JSONObject): List<String>? {
+        val fields = event.optJSONArray("redactedFields") ?: return null
+        return (0 until fields.length()).mapNotNull { index -> fields.optString(index).ifBlank { null } }
+            .ifEmpty { null }
+    }
+
     private fun jsonToStringMap(obj: JSONObject?): Map<String, String> {
         if (obj == null) return emptyMap()
         val out = linkedMapOf<String, String>()
@@ -410,11 +1236,21 @@ class JsWebInterface(private val webView: EBWebView) :
         return out
     }
 
+    private fun jsonToStringList(array: JSONArray?): List<String> {
+        if (array == null) return emptyList()
+        return (0 until array.length()).map { index -> array.optString(index) }
+    }
+
     private fun optionalInt(obj: JSONObject, key: String): Int? {
         if (!obj.has(key) || obj.isNull(key)) return null
         return runCatching { obj.getInt(key) }.getOrNull()
     }
 
+    private fun optionalLong(obj: JSONObject, key: String): Long? {
+        if (!obj.has(key) || obj.isNull(key)) return null
+        return runCatching { obj.getLong(key) }.getOrNull()
+    }
+
     private fun optionalDouble(obj: JSONObject, key: String): Double? {
         if (!obj.has(key) || obj.isNull(key)) return null
         return runCatching { obj.getDouble(key) }.getOrNull()
@@ -429,29 +1265,54 @@ class JsWebInterface(private val webView: EBWebView) :
             normalized.startsWith("x-")
     }
 
-    private fun resolveBridgeBodyCapturePolicy(url: String, mimeType: String?): String {
-        val lowerUrl = url.lowercase()
-        val lowerMime = (mimeType ?: "").lowercase()
-        val isMediaSegment = lowerUrl.endsWith(".m4s") ||
-            lowerUrl.endsWith(".ts") ||
-            lowerUrl.endsWith(".mp4") ||
-            lowerMime.startsWith("video/") ||
-            lowerMime.startsWith("audio/")
-        if (isMediaSegment) return "skipped_media_segment"
-        if (
-            lowerUrl.contains("graphql") ||
-            lowerUrl.contains(".m3u8") ||
-            lowerUrl.contains(".mpd") ||
-            lowerUrl.contains("manifest") ||
-            lowerUrl.contains("resolver") ||
-            lowerMime.contains("json")
-        ) {
-            return "full_candidate_required"
+    private fun decodeBridgeBody(bodyPreview: String?, bodyEncoding: String): ByteArray? {
+        if (bodyPreview == null) return null
+        if (bodyEncoding != BODY_ENCODING_BASE64) return bodyPreview.toByteArray(Charsets.UTF_8)
+        val decoded = runCatching { Base64.decode(bodyPreview, Base64.NO_WRAP) }.getOrNull() ?: return null
+        return if (decoded.size > MAX_BRIDGE_BINARY_BODY_BYTES) decoded.copyOf(MAX_BRIDGE_BINARY_BODY_BYTES) else decoded
+    }
+
+    private fun bridgeBodyCapturePayload(
+        url: String,
+        mimeType: String?,
+        rawBody: ByteArray?,
+        bodyPreviewTruncated: Boolean,
+        bodyOriginalLength: Int?,
+        responseHeaders: Map<String, String>,
+    ): Map<String, Any?> {
+        val captureLimitBytes = rawBody?.size ?: 0
+        val hasContentLengthHeader = responseHeaders.keys.any { it.equals("content-length", ignoreCase = true) }
+        val contentLengthHeader = if (!hasContentLengthHeader && bodyOriginalLength != null && bodyOriginalLength > 0) {
+            bodyOriginalLength.toString()
+        } else {
+            null
         }
-        if (lowerMime.contains("html") || lowerMime.contains("xml")) return "full_candidate"
-        return "metadata_only"
+        val bodyCapturePolicy = resolveBridgeBodyCapturePolicy(url = url, mimeType = mimeType)
+        val candidateRelevance = candidateRelevanceForPolicy(bodyCapturePolicy)
+        val truncationReason = if (bodyPreviewTruncated) "body_size_limit" else ""
+        val captureFailure = if (bodyPreviewTruncated && bodyCapturePolicy == "full_candidate_required") {
+            "required_body_truncated"
+        } else {
+            ""
+        }
+        return mapOf(
+            "capture_truncated" to bodyPreviewTruncated,
+            "capture_limit_bytes" to if (bodyPreviewTruncated) captureLimitBytes else 0,
+            "stored_size_bytes" to captureLimitBytes,
+            "content_length_header" to contentLengthHeader,
+            "truncation_reason" to truncationReason,
+            "body_capture_policy" to bodyCapturePolicy,
+            "candidate_relevance" to candidateRelevance,
+            "capture_reason" to "js_bridge_capture",
+            "capture_failure" to captureFailure,
+        )
     }
 
+    // frames are reported against the status of the long-lived response that carries them:
+    // the 101 upgrade for websockets, the 200 text/event-stream response for EventSource
+    private fun connectionStatusCode(transport: String): Int =
+        if (transport == "eventsource") 200 else 101
+
     private fun candidateRelevanceForPolicy(policy: String): String {
         return when (policy) {
             "full_candidate_required" -> "required_candidate"
@@ -488,6 +1349,100 @@ class JsWebInterface(private val webView: EBWebView) :
 
     companion object {
         private const val MAX_BRIDGE_BODY_PREVIEW_CHARS = 16 * 1024 * 1024
+        private const val MAX_BRIDGE_BINARY_BODY_BYTES = 16 * 1024 * 1024
+        private const val BODY_ENCODING_TEXT = "text"
+        private const val BODY_ENCODING_BASE64 = "base64"
+        private const val MAX_CONNECTION_FRAME_PREVIEW_CHARS = 16_384
+        private const val MAX_REQUEST_BODY_PREVIEW_CHARS = 16_384
+        private const val MAX_COOKIE_VALUE_PREVIEW_CHARS = 128
+        private const val MAX_STORAGE_VALUE_PREVIEW_CHARS = 512
+        private const val MAX_UI_TEXT_SNIPPET_CHARS = 80
+        private const val MAX_PICK_VALUE_PREVIEW_CHARS = 200
+        private const val MAX_STRUCTURED_DATA_CHARS = 262_144
+        private const val MAX_PLAYER_MANIFESTS = 16
+        private const val MAX_COMPLETED_BRIDGE_REQUESTS = 256
+        private const val MAX_PAGE_SCRIPT_MESSAGE_CHARS = 1024
+        private const val MAX_PAGE_SCRIPT_STACK_CHARS = 4096
+        private const val MAX_PERFORMANCE_BATCH_ENTRIES = 50
+        private val ANALYTICS_INITIATOR_SOURCES = setOf("beacon", "pixel")
+        private val LICENSE_URL_PATTERN = Regex("licen[cs]e|widevine|playready", RegexOption.IGNORE_CASE)
+        private val LOGIN_FORM_AUTOCOMPLETE_HINTS = setOf("username", "current-password", "new-password", "one-time-code")
+        private val UI_TRACE_INTERACTIONS = setOf("click", "input", "change", "scroll")
+        private val STRUCTURED_DATA_KINDS = setOf("json_ld", "opengraph", "microdata", "next_data", "nuxt_state", "apollo_state")
+        private val PLAYER_MANIFEST_KINDS = setOf("hls", "dash", "smooth")
+        private val PERFORMANCE_ENTRY_TYPES = setOf("resource", "navigation", "longtask", "largest-contentful-paint", "paint")
+        private val PAGE_SCRIPT_ERROR_KINDS = setOf("console_error", "console_warn", "uncaught_error", "unhandled_rejection")
+        private val EME_OPERATIONS = setOf("key_system_access", "generate_request", "license_request", "license_update")
+        private val MEDIA_SOURCE_OPERATIONS = setOf(
+            "media_source_attached",
+            "source_buffer_added",
+            "segment_appended",
+            "quality_switch",
+            "end_of_stream",
+        )
+
+        /**
+         * Returns the request id of a bridged connection, logging the request on its first event.
+         * An error is followed by a close for the same connection, so only the close releases it.
+         */
+        internal fun resolveConnectionRequestId(
+            connections: MutableMap<String, String>,
+            connectionId: String,
+            connectionEvent: String,
+            logRequest: () -> String,
+        ): String {
+            val requestId = connections[connectionId] ?: logRequest().also { connections[connectionId] = it }
+            if (connectionEvent == "close") connections.remove(connectionId)
+            return requestId
+        }
+
+        /**
+         * Returns the id the native intercept already logged for a bridged request, so it isn't logged twice.
+         * The native intercept never sees request bodies, so a bodied bridge request is always logged.
+         */
+        internal fun resolveInterceptedRequestId(event: JSONObject, url: String, method: String): String? {
+            if (optionalString(event, "requestBody") != null) return null
+            return RuntimeToolkitTelemetry.resolveRecentRequestId(url = url, method = method)
+        }
+
+        internal fun resolveBridgeBodyCapturePolicy(url: String, mimeType: String?): String {
+            // license payloads are never recorded, whatever their content type
+            if (isLicenseExchangeUrl(url)) return "metadata_only"
+            val lowerUrl = url.lowercase()
+            val lowerMime = (mimeType ?: "").lowercase()
+            val isMediaSegment = lowerUrl.endsWith(".m4s") ||
+                lowerUrl.endsWith(".ts") ||
+                lowerUrl.endsWith(".mp4") ||
+                lowerMime.startsWith("video/") ||
+                lowerMime.startsWith("audio/")
+            if (isMediaSegment) return "skipped_media_segment"
+            val isBinaryApi = lowerMime.contains("protobuf") ||
+                lowerMime.contains("grpc") ||
+                lowerMime.contains("octet-stream") ||
+                lowerMime.contains("cbor") ||
+                lowerMime.contains("msgpack")
+            if (
+                isBinaryApi ||
+                lowerUrl.contains("graphql") ||
+                lowerUrl.contains(".m3u8") ||
+                lowerUrl.contains(".mpd") ||
+                lowerUrl.contains("manifest") ||
+                lowerUrl.contains("resolver") ||
+                lowerMime.contains("json")
+            ) {
+                return "full_candidate_required"
+            }
+            if (lowerMime.contains("html") || lowerMime.contains("xml")) return "full_candidate"
+            return "metadata_only"
+        }
+
+        /** DRM license exchanges, matched like the runtime hook's `isLicenseExchange`. */
+        internal fun isLicenseExchangeUrl(url: String): Boolean = LICENSE_URL_PATTERN.containsMatchIn(url)
+
+        private fun optionalString(obj: JSONObject, key: String): String? {
+            if (!obj.has(key) || obj.isNull(key)) return null
+            return obj.optString(key).ifBlank { null }
+        }
     }
 }
 
@@ -36,6 +36,7 @@ import info.plateaukao.einkbro.view.compose.MyTheme
 import info.plateaukao.einkbro.caption.DualCaptionProcessor
 import info.plateaukao.einkbro.preference.ConfigManager
 import info.plateaukao.einkbro.unit.BrowserUnit
+import info.plateaukao.einkbro.unit.HelperUnit
 import info.plateaukao.einkbro.view.EBToast
 import info.plateaukao.einkbro.view.EBWebView
 import info.plateaukao.einkbro.view.dialog.DialogManager
@@ -61,6 +62,8 @@ class EBWebViewClient(
     private var hasAdBlock: Boolean = true
     private var activePageLoadCorrelation: RuntimeToolkitTelemetry.CorrelationContext? = null
     private var activePageLoadActionName: String = "webview_navigation"
+    // set once the runtime toolkit scripts ran for the current navigation
+    private var runtimeToolkitInjected = false
 
     private val adFilter: AdFilter = AdFilter.get()
 
@@ -84,6 +87,10 @@ class EBWebViewClient(
         ebWebView.innerClientHeight = 0
 
         if (config.adBlock) {
+            // While capturing, rules are matched and recorded but not applied, so the page makes
+            // the same requests as in a browser without ad blocking.
+            adFilter.observeOnly = RuntimeToolkitTelemetry.isCaptureEnabled(context)
+            adFilter.cosmeticMatchReporting = config.adBlockMatchReporting
             adFilter.performScript(view, url)
         }
 
@@ -100,12 +107,12 @@ class EBWebViewClient(
             ),
         )
         RuntimeToolkitTelemetry.recordCookieSnapshot(context, url)
-        view?.let { injectRuntimeToolkitNetworkHook(it) }
+        runtimeToolkitInjected = false
     }
 
     override fun onPageCommitVisible(view: WebView, url: String?) {
         super.onPageCommitVisible(view, url)
-        injectRuntimeToolkitNetworkHook(view)
+        injectRuntimeToolkitNetworkHook(view, trigger = "page_commit_visible")
     }
 
     override fun onPageFinished(view: WebView, url: String) {
@@ -160,7 +167,10 @@ class EBWebViewClient(
         if (url != "about:blank") {
             onPageFinishedAction()
         }
-        injectRuntimeToolkitNetworkHook(view)
+        // fallback for loads that never report a visible commit
+        if (!runtimeToolkitInjected) {
+            injectRuntimeToolkitNetworkHook(view, trigger = "page_finished")
+        }
         captureMainFrameHtmlResponse(view, url)
 
         activePageLoadCorrelation?.let { correlation ->
@@ -413,6 +423,7 @@ class EBWebViewClient(
                         "is_redirect" to request.isRedirect,
                         "intercepted" to true,
                         "blocked" to true,
+                        "adblock_rule" to result.rule,
                         "request_fingerprint" to requestLog.requestFingerprint,
                         "host_class" to requestLog.hostClass,
                         "phase_id" to requestLog.phaseId,
@@ -421,6 +432,23 @@ class EBWebViewClient(
                 //Log.d("EBWebViewClient", "blocked\n rule: ${result.rule}\n url:${result.resourceUrl}")
                 return result.resourceResponse
             }
+            if (result.rule != null) {
+                RuntimeToolkitTelemetry.logCorrelationEvent(
+                    context = context,
+                    operation = "adblock_request_observed",
+                    payload = mapOf(
+                        "request_id" to requestId,
+                        "url" to request.url.toString(),
+                        "method" to request.method,
+                        "adblock_rule" to result.rule,
+                        "decision" to "would_block",
+                        "request_fingerprint" to requestLog.requestFingerprint,
+                        "host_class" to requestLog.hostClass,
+                        "phase_id" to requestLog.phaseId,
+                        "source" to "webview_adfilter",
+                    ),
+                )
+            }
         }
 
         val handled = handleWebRequest(view, request.url)
@@ -480,16 +508,24 @@ class EBWebViewClient(
         return headers.mapKeys { it.key.orEmpty() }.mapValues { it.value.orEmpty() }
     }
 
-    private fun injectRuntimeToolkitNetworkHook(webView: WebView) {
+    private fun injectRuntimeToolkitNetworkHook(webView: WebView, trigger: String) {
+        runtimeToolkitInjected = true
         RuntimeToolkitTelemetry.logCorrelationEvent(
             context = context,
             operation = "js_network_hook_inject_attempt",
             payload = mapOf(
                 "url" to (webView.url ?: ""),
+                "trigger" to trigger,
                 "screen_id" to "browser",
             ),
         )
-        webView.evaluateJavascript(RUNTIME_TOOLKIT_NETWORK_HOOK_JS, null)
+        val redactionRules = RuntimeToolkitTelemetry.redactionRulesJson(context)
+        val redactionKey = RuntimeToolkitTelemetry.redactionHashKey()
+        webView.evaluateJavascript(
+            "window.__mapperToolkitRedactionRules = $redactionRules; window.__mapperToolkitRedactionKey = '$redactionKey';",
+            null,
+        )
+        webView.evaluateJavascript(runtimeToolkitScripts, null)
     }
 
     private fun captureMainFrameHtmlResponse(webView: WebView, url: String) {
@@ -562,331 +598,25 @@ class EBWebViewClient(
         return null
     }
 
-    private val RUNTIME_TOOLKIT_NETWORK_HOOK_JS = """
-            (function() {
-              try {
-                if (window.__mapperToolkitNetworkHookInstalled) { return; }
-                if (!window.androidApp || typeof window.androidApp.runtimeToolkitNetworkEvent !== 'function') { return; }
-                window.__mapperToolkitNetworkHookInstalled = true;
-                var __mapperToolkitReqSeq = 0;
-                function makeRequestId() {
-                  __mapperToolkitReqSeq += 1;
-                  return "jsreq_" + Date.now().toString(36) + "_" + __mapperToolkitReqSeq.toString(36);
-                }
-                function truncate(value, maxLen) {
-                  if (value == null) { return null; }
-                  var text = String(value);
-                  if (text.length <= maxLen) { return text; }
-                  return text.slice(0, maxLen);
-                }
-                function safeHeaders(headers) {
-                  var out = {};
-                  if (!headers) { return out; }
-                  try {
-                    if (typeof headers.forEach === 'function') {
-                      headers.forEach(function(value, key) {
-                        out[String(key)] = truncate(value, 512);
-                      });
-                      return out;
-                    }
-                  } catch (_ignored) {}
-                  try {
-                    if (Array.isArray(headers)) {
-                      headers.forEach(function(item) {
-                        if (Array.isArray(item) && item.length >= 2) {
-                          out[String(item[0])] = truncate(item[1], 512);
-                        }
-                      });
-                      return out;
-                    }
-                  } catch (_ignored2) {}
-                  try {
-                    Object.keys(headers).forEach(function(key) {
-                      out[String(key)] = truncate(headers[key], 512);
-                    });
-                  } catch (_ignored3) {}
-                  return out;
-                }
-                function parseRawHeaders(raw) {
-                  var out = {};
-                  if (!raw) { return out; }
-                  raw.trim().split(/[\r\n]+/).forEach(function(line) {
-                    var idx = line.indexOf(':');
-                    if (idx <= 0) { return; }
-                    var key = line.slice(0, idx).trim();
-                    var value = line.slice(idx + 1).trim();
-                    if (key) { out[key] = truncate(value, 512); }
-                  });
-                  return out;
-                }
-                function shouldCaptureBody(url, mimeType) {
-                  var mime = (mimeType || '').toLowerCase();
-                  var lowerUrl = (url || '').toLowerCase();
-                  return mime.indexOf('json') >= 0 ||
-                    mime.indexOf('text/') === 0 ||
-                    mime.indexOf('xml') >= 0 ||
-                    mime.indexOf('javascript') >= 0 ||
-                    mime.indexOf('html') >= 0 ||
-                    lowerUrl.endsWith('.m3u8') ||
-                    lowerUrl.endsWith('.mpd');
-                }
-                function emitNetworkEvent(event) {
-                  try {
-                    window.androidApp.runtimeToolkitNetworkEvent(JSON.stringify(event));
-                  } catch (_ignored) {}
-                }
-                function emitPlaybackEvent(event) {
-                  try {
-                    if (window.androidApp && typeof window.androidApp.runtimeToolkitPlaybackEvent === 'function') {
-                      window.androidApp.runtimeToolkitPlaybackEvent(JSON.stringify(event));
-                    }
-                  } catch (_ignored) {}
-                }
-                function mediaState(element, signal) {
-                  var mediaUrl = '';
-                  var currentTime = null;
-                  var duration = null;
-                  var playbackRate = null;
-                  var paused = null;
-                  var seeking = null;
-                  var readyState = null;
-                  var networkState = null;
-                  var bufferedEnd = null;
-                  try {
-                    mediaUrl = element.currentSrc || element.src || window.location.href;
-                    currentTime = (typeof element.currentTime === 'number') ? element.currentTime : null;
-                    duration = (typeof element.duration === 'number' && isFinite(element.duration)) ? element.duration : null;
-                    playbackRate = (typeof element.playbackRate === 'number') ? element.playbackRate : null;
-                    paused = !!element.paused;
-                    seeking = !!element.seeking;
-                    readyState = (typeof element.readyState === 'number') ? element.readyState : null;
-                    networkState = (typeof element.networkState === 'number') ? element.networkState : null;
-                    if (element.buffered && element.buffered.length > 0) {
-                      bufferedEnd = element.buffered.end(element.buffered.length - 1);
-                    }
-                  } catch (_ignored) {}
-                  return {
-                    signal: signal,
-                    mediaUrl: mediaUrl,
-                    currentTime: currentTime,
-                    duration: duration,
-                    playbackRate: playbackRate,
-                    paused: paused,
-                    seeking: seeking,
-                    readyState: readyState,
-                    networkState: networkState,
-                    bufferedEnd: bufferedEnd
-                  };
-                }
-                function installPlaybackHooks() {
-                  if (window.__mapperToolkitPlaybackHookInstalled) { return; }
-                  window.__mapperToolkitPlaybackHookInstalled = true;
-                  var watchedSignals = ['play', 'pause', 'seeking', 'seeked', 'waiting', 'ended', 'ratechange', 'loadedmetadata'];
-                  watchedSignals.forEach(function(signal) {
-                    document.addEventListener(signal, function(e) {
-                      var target = e && e.target;
-                      if (!target || typeof target.tagName !== 'string') { return; }
-                      if (String(target.tagName).toLowerCase() !== 'video' && String(target.tagName).toLowerCase() !== 'audio') { return; }
-                      emitPlaybackEvent(mediaState(target, signal));
-                    }, true);
-                  });
-                  document.addEventListener('timeupdate', function(e) {
-                    var target = e && e.target;
-                    if (!target || typeof target.tagName !== 'string') { return; }
-                    var tagName = String(target.tagName).toLowerCase();
-                    if (tagName !== 'video' && tagName !== 'audio') { return; }
-                    var now = Date.now();
-                    var last = Number(target.__mapperToolkitLastTimeUpdateTs || 0);
-                    if ((now - last) < 2000) { return; }
-                    target.__mapperToolkitLastTimeUpdateTs = now;
-                    emitPlaybackEvent(mediaState(target, 'timeupdate'));
-                  }, true);
-                }
-                installPlaybackHooks();
-
-                if (typeof window.fetch === 'function' && !window.__mapperToolkitFetchHookInstalled) {
-                  window.__mapperToolkitFetchHookInstalled = true;
-                  var originalFetch = window.fetch;
-                  window.fetch = function(input, init) {
-                    var requestId = makeRequestId();
-                    var requestUrl = '';
-                    var requestMethod = 'GET';
-                    var requestHeaders = {};
-                    try {
-                      var requestObj = (typeof Request !== 'undefined' && input instanceof Request) ? input : null;
-                      requestUrl = requestObj ? requestObj.url : String(input || '');
-                      requestMethod = ((init && init.method) || (requestObj && requestObj.method) || 'GET').toUpperCase();
-                      requestHeaders = safeHeaders((init && init.headers) || (requestObj && requestObj.headers));
-                    } catch (_ignored) {}
-
-                    emitNetworkEvent({
-                      stage: 'request',
-                      source: 'fetch',
-                      requestId: requestId,
-                      url: requestUrl,
-                      method: requestMethod,
-                      requestHeaders: requestHeaders
-                    });
-
-                    return originalFetch.apply(this, arguments)
-                      .then(function(response) {
-                        var responseUrl = response && response.url ? response.url : requestUrl;
-                        var headers = safeHeaders(response && response.headers ? response.headers : null);
-                        var mimeType = '';
-                        try {
-                          mimeType = (response && response.headers && response.headers.get('content-type')) || '';
-                        } catch (_ignored2) {}
-                        var bodyPromise = Promise.resolve(null);
-                        if (response && shouldCaptureBody(responseUrl, mimeType)) {
-                          bodyPromise = response.clone().text()
-                            .then(function(text) {
-                              var safeText = (text == null) ? '' : String(text);
-                              var preview = truncate(safeText, 16777216);
-                              return {
-                                bodyPreview: preview,
-                                bodyPreviewTruncated: preview.length < safeText.length,
-                                bodyOriginalLength: safeText.length
-                              };
-                            })
-                            .catch(function() {
-                              return {
-                                bodyPreview: null,
-                                bodyPreviewTruncated: false,
-                                bodyOriginalLength: 0
-                              };
-                            });
-                        }
-                        return bodyPromise.then(function(bodyPayload) {
-                          var payload = bodyPayload || {
-                            bodyPreview: null,
-                            bodyPreviewTruncated: false,
-                            bodyOriginalLength: 0
-                          };
-                          emitNetworkEvent({
-                            stage: 'response',
-                            source: 'fetch',
-                            requestId: requestId,
-                            url: responseUrl,
-                            responseUrl: responseUrl,
-                            method: requestMethod,
-                            status: response ? response.status : null,
-                            reason: response ? response.statusText : null,
-                            mimeType: mimeType,
-                            headers: headers,
-                            bodyPreview: payload.bodyPreview,
-                            bodyPreviewTruncated: !!payload.bodyPreviewTruncated,
-                            bodyOriginalLength: payload.bodyOriginalLength || 0
-                          });
-                          return response;
-                        });
-                      })
-                      .catch(function(error) {
-                        emitNetworkEvent({
-                          stage: 'response',
-                          source: 'fetch',
-                          requestId: requestId,
-                          url: requestUrl,
-                          method: requestMethod,
-                          status: null,
-                          reason: (error && error.message) ? String(error.message) : 'fetch_error',
-                          headers: {}
-                        });
-                        throw error;
-                      });
-                  };
-                }
-
-                if (window.XMLHttpRequest && !window.__mapperToolkitXhrHookInstalled) {
-                  window.__mapperToolkitXhrHookInstalled = true;
-                  var originalOpen = XMLHttpRequest.prototype.open;
-                  var originalSend = XMLHttpRequest.prototype.send;
-                  var originalSetRequestHeader = XMLHttpRequest.prototype.setRequestHeader;
-
-                  XMLHttpRequest.prototype.open = function(method, url) {
-                    this.__mapperToolkitMeta = {
-                      requestId: makeRequestId(),
-                      method: String(method || 'GET').toUpperCase(),
-                      url: String(url || ''),
-                      requestHeaders: {}
-                    };
-                    return originalOpen.apply(this, arguments);
-                  };
-
-                  XMLHttpRequest.prototype.setRequestHeader = function(key, value) {
-                    try {
-                      if (this.__mapperToolkitMeta) {
-                        this.__mapperToolkitMeta.requestHeaders[String(key)] = truncate(value, 512);
-                      }
-                    } catch (_ignored) {}
-                    return originalSetRequestHeader.apply(this, arguments);
-                  };
-
-                  XMLHttpRequest.prototype.send = function() {
-                    var meta = this.__mapperToolkitMeta || {
-                      requestId: makeRequestId(),
-                      method: 'GET',
-                      url: this.responseURL || '',
-                      requestHeaders: {}
-                    };
-                    emitNetworkEvent({
-                      stage: 'request',
-                      source: 'xhr',
-                      requestId: meta.requestId,
-                      url: meta.url,
-                      method: meta.method,
-                      requestHeaders: meta.requestHeaders
-                    });
-
-                    var xhr = this;
-                    var onReadyState = function() {
-                      if (xhr.readyState !== 4) { return; }
-                      xhr.removeEventListener('readystatechange', onReadyState);
-                      var responseHeaders = {};
-                      var mimeType = '';
-                      try {
-                        responseHeaders = parseRawHeaders(xhr.getAllResponseHeaders ? xhr.getAllResponseHeaders() : '');
-                        mimeType = (xhr.getResponseHeader && xhr.getResponseHeader('content-type')) || '';
-                      } catch (_ignored2) {}
-                      var responseUrl = xhr.responseURL || meta.url;
-                      var bodyPreview = null;
-                      var bodyPreviewTruncated = false;
-                      var bodyOriginalLength = 0;
-                      try {
-                        if (shouldCaptureBody(responseUrl, mimeType) &&
-                          (xhr.responseType === '' || xhr.responseType === 'text')) {
-                          var responseText = (xhr.responseText == null) ? '' : String(xhr.responseText);
-                          bodyOriginalLength = responseText.length;
-                          bodyPreview = truncate(responseText, 16777216);
-                          bodyPreviewTruncated = bodyPreview.length < responseText.length;
-                        }
-                      } catch (_ignored3) {}
-                      emitNetworkEvent({
-                        stage: 'response',
-                        source: 'xhr',
-                        requestId: meta.requestId,
-                        url: responseUrl,
-                        responseUrl: responseUrl,
-                        method: meta.method,
-                        status: xhr.status || null,
-                        reason: xhr.statusText || null,
-                        mimeType: mimeType,
-                        headers: responseHeaders,
-                        bodyPreview: bodyPreview,
-                        bodyPreviewTruncated: bodyPreviewTruncated,
-                        bodyOriginalLength: bodyOriginalLength
-                      });
-                    };
-                    xhr.addEventListener('readystatechange', onReadyState);
-                    return originalSend.apply(this, arguments);
-                  };
-                }
-              } catch (_ignoredTop) {}
-            })();
-        """.trimIndent()
-
     companion object {
         private const val TAG = "ebWebViewClient"
         private const val MAX_MAIN_FRAME_HTML_CAPTURE_BYTES = 16 * 1024 * 1024
+        private const val RUNTIME_TOOLKIT_NETWORK_HOOK_ASSET = "mapper_runtime_hook.js"
+        private const val RUNTIME_TOOLKIT_UI_TRACE_ASSET = "mapper_ui_trace.js"
+        private const val RUNTIME_TOOLKIT_STRUCTURED_DATA_ASSET = "mapper_structured_data.js"
+        private const val RUNTIME_TOOLKIT_PLAYER_DETECT_ASSET = "mapper_player_detect.js"
+        private const val RUNTIME_TOOLKIT_PERFORMANCE_TIMING_ASSET = "mapper_performance_timing.js"
+
+        // The hook goes first: the other scripts bridge their events through its redaction.
+        private val runtimeToolkitScripts: String by lazy {
+            listOf(
+                RUNTIME_TOOLKIT_NETWORK_HOOK_ASSET,
+                RUNTIME_TOOLKIT_UI_TRACE_ASSET,
+                RUNTIME_TOOLKIT_STRUCTURED_DATA_ASSET,
+                RUNTIME_TOOLKIT_PLAYER_DETECT_ASSET,
+                RUNTIME_TOOLKIT_PERFORMANCE_TIMING_ASSET,
+            ).joinToString(separator = "\n;\n") { HelperUnit.loadAssetFile(it) }
+        }
     }
 
     override fun onFormResubmission(view: WebView, doNotResend: Message, resend: Message) {
@@ -482,6 +482,7 @@ class GuidedCaptureDockController(
             context.getString(R.string.mapper_wizard_overlay_anchor_create),
             context.getString(R.string.mapper_wizard_overlay_anchor_label),
             context.getString(R.string.mapper_wizard_overlay_anchor_remove),
+            context.getString(R.string.mapper_wizard_overlay_field_pick),
             context.getString(R.string.mapper_wizard_overlay_menu_minimize),
         )
         AlertDialog.Builder(context)
@@ -499,7 +500,8 @@ class GuidedCaptureDockController(
                     5 -> host.runAnchorCreate()
                     6 -> host.runAnchorLabel()
                     7 -> host.runAnchorRemove()
-                    8 -> setDockMode(DockMode.Collapsed)
+                    8 -> host.runFieldPick()
+                    9 -> setDockMode(DockMode.Collapsed)
                 }
             }
             .show()
@@ -15,6 +15,7 @@ interface GuidedCaptureDockHost {
     fun runAnchorCreate()
     fun runAnchorLabel()
     fun runAnchorRemove()
+    fun runFieldPick()
 
     fun selectEndpoint(role: String, endpointId: String, score: Double)
     fun excludeEndpoint(endpointId: String, excluded: Boolean)
@@ -66,6 +66,7 @@ class ConfigManager(
     var blackFontStyle by BooleanPreference(sp, K_BLACK_FONT, false)
     var shouldSaveTabs by BooleanPreference(sp, K_SHOULD_SAVE_TABS, true)
     var adBlock by BooleanPreference(sp, K_ADBLOCK, true)
+    var adBlockMatchReporting by BooleanPreference(sp, K_ADBLOCK_MATCH_REPORTING, false)
     var cookies by BooleanPreference(sp, K_COOKIES, true)
     var shareLocation by BooleanPreference(sp, K_SHARE_LOCATION, false)
     var enableTouchTurn by BooleanPreference(sp, K_ENABLE_TOUCH, false)
@@ -909,6 +910,7 @@ class ConfigManager(
         const val K_TRANSLATE_PANEL_SWITCHED = "sp_translate_panel_switched"
         const val K_TRANSLATE_SCROLL_SYNC = "sp_translate_scroll_sync"
         const val K_ADBLOCK_SITES = "sp_adblock_sites"
+        const val K_ADBLOCK_MATCH_REPORTING = "sp_adblock_match_reporting"
         const val K_CUSTOM_USER_AGENT = "userAgent"
         const val K_WHITE_BACKGROUND = "sp_whitebackground"
         const val K_UPDOWN_PAGE_TURN = "sp_useUpDownForPageTurn"
@@ -53,6 +53,7 @@ import info.plateaukao.einkbro.viewmodel.TRANSLATE_API
 import kotlinx.coroutines.DelicateCoroutinesApi
 import kotlinx.coroutines.GlobalScope
 import kotlinx.coroutines.launch
+import org.json.JSONObject
 import org.koin.core.component.KoinComponent
 import org.koin.core.component.inject
 import java.io.ByteArrayOutputStream
@@ -914,6 +915,11 @@ open class EBWebView(
         )
     }
 
+    fun startFieldPick(fieldName: String) {
+        evaluateJavascript("window.__mapperToolkitPickField = ${JSONObject.quote(fieldName)};", null)
+        evaluateJsFile("mapper_field_pick.js", withPrefix = false)
+    }
+
     private fun disableReaderMode(isVertical: Boolean = false) {
         val verticalCssString = if (isVertical) {
             "var style = document.createElement('style');" +
@@ -35,6 +35,15 @@ class RuntimeToolkitMissionWizardTest {
         assertTrue(artifacts.any { it.id == "warnings" && it.relativePath == "mission_export_summary.json" })
     }
 
+    @Test
+    fun field_pick_labels_follow_mission_field_matrix() {
+        val fishitFields = RuntimeToolkitMissionWizard.fieldMatrixFields(RuntimeToolkitMissionWizard.MISSION_FISHIT_PIPELINE)
+        assertEquals(RuntimeToolkitMissionWizard.FIELD_MATRIX_FIELDS, fishitFields)
+        assertTrue(fishitFields.contains("image/poster"))
+        assertTrue(fishitFields.contains("search result mapping"))
+        assertTrue(RuntimeToolkitMissionWizard.fieldMatrixFields(RuntimeToolkitMissionWizard.MISSION_API_MAPPING).isEmpty())
+    }
+
     @Test
     fun mission_implementation_flags_match_current_slice() {
         assertTrue(RuntimeToolkitMissionWizard.isMissionImplemented(RuntimeToolkitMissionWizard.MISSION_FISHIT_PIPELINE))
@@ -739,6 +739,92 @@ class RuntimeToolkitSourcePipelineExporterTest {
         assertTrue("authorization" in tokenInputNames)
     }
 
+    @Test
+    fun exporter_reports_page_side_token_storage_in_auth_draft() {
+        val runtimeRoot = Files.createTempDirectory("rtk_source_bundle_client_storage").toFile()
+        File(runtimeRoot, "events/runtime_events.jsonl").apply {
+            parentFile?.mkdirs()
+            val storageEvents = listOf(
+                clientStorageEvent("storage_event", "local_storage", "set", "zdf_access_token"),
+                clientStorageEvent("storage_event", "local_storage", "set", "player_volume"),
+                clientStorageEvent("storage_event", "session_storage", "delete", "id_token"),
+                clientStorageEvent("storage_event", "indexed_db", "open", "firebaseLocalStorageDb"),
+                clientStorageEvent("cookie_event", "cookie", "set", "xsrf_token"),
+            )
+            writeText(buildRuntimeEventsFixture() + storageEvents.joinToString("\n") + "\n", Charsets.UTF_8)
+        }
+
+        val artifacts = RuntimeToolkitSourcePipelineExporter.ensureSourcePipelineArtifacts(
+            runtimeRoot = runtimeRoot,
+            targetSiteHint = "zdf.de",
+        )
+        val bundle = JSONObject(artifacts.sourcePipelineBundlePath.readText(Charsets.UTF_8))
+        val sessionArtifacts = bundle.getJSONObject("sessionAuth").getJSONObject("sessionArtifacts")
+        assertEquals(listOf("zdf_access_token"), jsonStrings(sessionArtifacts.getJSONArray("localStorage")))
+        assertEquals(emptyList<String>(), jsonStrings(sessionArtifacts.getJSONArray("sessionStorage")))
+        assertEquals(listOf("firebaseLocalStorageDb"), jsonStrings(sessionArtifacts.getJSONArray("indexedDb")))
+        assertEquals(listOf("xsrf_token"), jsonStrings(sessionArtifacts.getJSONArray("scriptCookies")))
+
+        val authDraft = JSONObject(File(runtimeRoot, "auth_draft.json").readText(Charsets.UTF_8))
+        val clientStorage = mutableMapOf<String, String>()
+        forEachObject(authDraft.getJSONArray("session_artifacts")) { artifact ->
+            if (artifact.optString("kind") == "client_storage") {
+                clientStorage[artifact.optString("name")] = artifact.optString("storage_type")
+            }
+        }
+        assertEquals(
+            mapOf(
+                "zdf_access_token" to "local_storage",
+                "firebaseLocalStorageDb" to "indexed_db",
+                "xsrf_token" to "document_cookie",
+            ),
+            clientStorage,
+        )
+    }
+
+    @Test
+    fun exporter_describes_observed_login_form_in_auth_draft() {
+        val runtimeRoot = Files.createTempDirectory("rtk_source_bundle_login_form").toFile()
+        File(runtimeRoot, "events/runtime_events.jsonl").apply {
+            parentFile?.mkdirs()
+            val searchForm = formAuthEvent(
+                eventId = "evt_form_search",
+                actionUrl = "https://www.zdf.de/suche",
+                fields = listOf("q" to "search"),
+                hasPasswordField = false,
+                loginFormCandidate = false,
+            )
+            val loginForm = formAuthEvent(
+                eventId = "evt_form_login",
+                actionUrl = "https://www.zdf.de/mein-zdf/login",
+                fields = listOf("email" to "email", "password" to "password", "_csrf" to "hidden"),
+                hasPasswordField = true,
+                loginFormCandidate = true,
+            )
+            writeText(buildRuntimeEventsFixture() + searchForm + "\n" + loginForm + "\n", Charsets.UTF_8)
+        }
+
+        val artifacts = RuntimeToolkitSourcePipelineExporter.ensureSourcePipelineArtifacts(
+            runtimeRoot = runtimeRoot,
+            targetSiteHint = "zdf.de",
+        )
+        val bundle = JSONObject(artifacts.sourcePipelineBundlePath.readText(Charsets.UTF_8))
+        val bundleLoginForm = bundle.getJSONObject("sessionAuth").getJSONObject("loginForm")
+        assertEquals("evt_form_login", bundleLoginForm.optString("evidenceRef"))
+
+        val authDraft = JSONObject(File(runtimeRoot, "auth_draft.json").readText(Charsets.UTF_8))
+        val loginForm = authDraft.getJSONObject("login_form")
+        assertEquals("https://www.zdf.de/mein-zdf/login", loginForm.optString("action_url"))
+        assertEquals("POST", loginForm.optString("method"))
+        assertTrue(loginForm.optBoolean("has_password_field"))
+        assertEquals(listOf("_csrf"), jsonStrings(loginForm.getJSONArray("csrf_field_names")))
+        val fieldTypes = linkedMapOf<String, String>()
+        forEachObject(loginForm.getJSONArray("fields")) { field ->
+            fieldTypes[field.optString("name")] = field.optString("type")
+        }
+        assertEquals(mapOf("email" to "email", "password" to "password", "_csrf" to "hidden"), fieldTypes)
+    }
+
     @Test
     fun exporter_replay_seed_filters_noise_and_non_get_requests() {
         val runtimeRoot = Files.createTempDirectory("rtk_source_bundle_replay_filter").toFile()
@@ -1745,6 +1831,77 @@ class RuntimeToolkitSourcePipelineExporterTest {
         }.toString()
     }
 
+    private fun clientStorageEvent(
+        eventType: String,
+        storageType: String,
+        operation: String,
+        key: String,
+    ): String {
+        return JSONObject().apply {
+            put("event_id", "evt_${eventType}_${storageType}_$key")
+            put("event_type", eventType)
+            put(
+                "payload",
+                JSONObject().apply {
+                    put("operation", operation)
+                    put("phase_id", "auth_probe")
+                    put("origin", "https://www.zdf.de")
+                    put("source", "webview_js_storage")
+                    if (eventType == "cookie_event") {
+                        put("domain", "www.zdf.de")
+                        put("cookie_name", key)
+                    } else {
+                        put("storage_type", storageType)
+                        put("key", key)
+                    }
+                },
+            )
+        }.toString()
+    }
+
+    private fun formAuthEvent(
+        eventId: String,
+        actionUrl: String,
+        fields: List<Pair<String, String>>,
+        hasPasswordField: Boolean,
+        loginFormCandidate: Boolean,
+    ): String {
+        return JSONObject().apply {
+            put("event_id", eventId)
+            put("event_type", "auth_event")
+            put(
+                "payload",
+                JSONObject().apply {
+                    put("operation", "form_submit")
+                    put("phase_id", "auth_probe")
+                    put("form_action_url", actionUrl)
+                    put("form_method", "POST")
+                    put(
+                        "form_fields",
+                        JSONArray().apply {
+                            fields.forEach { (name, type) ->
+                                put(
+                                    JSONObject().apply {
+                                        put("name", name)
+                                        put("type", type)
+                                    },
+                                )
+                            }
+                        },
+                    )
+                    put("has_password_field", hasPasswordField)
+                    put("csrf_field_names", JSONArray(fields.filter { it.second == "hidden" }.map { it.first }))
+                    put("login_form_candidate", loginFormCandidate)
+                    put("source", "webview_js_form")
+                },
+            )
+        }.toString()
+    }
+
+    private fun jsonStrings(array: JSONArray): List<String> {
+        return (0 until array.length()).map { array.optString(it) }
+    }
+
     private fun keySet(jsonObject: JSONObject): Set<String> {
         val keys = linkedSetOf<String>()
         val iterator = jsonObject.keys()
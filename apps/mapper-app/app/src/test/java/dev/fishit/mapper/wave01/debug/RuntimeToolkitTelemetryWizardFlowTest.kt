@@ -2,14 +2,17 @@ package dev.fishit.mapper.wave01.debug
 
 import android.content.Context
 import androidx.test.core.app.ApplicationProvider
+import org.json.JSONObject
 import org.junit.Assert.assertEquals
 import org.junit.Assert.assertFalse
 import org.junit.Assert.assertNotNull
+import org.junit.Assert.assertNull
 import org.junit.Assert.assertTrue
 import org.junit.Before
 import org.junit.Test
 import org.junit.runner.RunWith
 import org.robolectric.RobolectricTestRunner
+import java.io.File
 
 @RunWith(RobolectricTestRunner::class)
 class RuntimeToolkitTelemetryWizardFlowTest {
@@ -173,6 +176,195 @@ class RuntimeToolkitTelemetryWizardFlowTest {
         assertEquals("tracking_event", tracked.operation)
     }
 
+    @Test
+    fun beacon_initiated_target_request_is_classified_as_analytics_noise() {
+        RuntimeToolkitTelemetry.startMissionSession(
+            context = context,
+            missionId = RuntimeToolkitMissionWizard.MISSION_FISHIT_PIPELINE,
+        )
+        RuntimeToolkitTelemetry.setMissionTarget(context, "https://www.zdf.de")
+        RuntimeToolkitTelemetry.startCaptureSession(context, source = "unit_test")
+        RuntimeToolkitTelemetry.setActivePhaseId(context, "search_probe")
+        RuntimeToolkitTelemetry.rememberAnalyticsInitiator(
+            url = "https://www.zdf.de/api/search/usage?q=heute",
+            initiator = "beacon",
+        )
+
+        val nativeRequest = RuntimeToolkitTelemetry.logNetworkRequest(
+            context = context,
+            source = "webview",
+            url = "https://www.zdf.de/api/search/usage?q=heute",
+            method = "POST",
+            headers = emptyMap(),
+        )
+        val pixelRequest = RuntimeToolkitTelemetry.logNetworkRequest(
+            context = context,
+            source = "webview_js_bridge_pixel",
+            url = "https://www.zdf.de/api/search/p.gif?q=heute",
+            method = "GET",
+            headers = emptyMap(),
+        )
+        val plainRequest = RuntimeToolkitTelemetry.logNetworkRequest(
+            context = context,
+            source = "webview",
+            url = "https://www.zdf.de/api/search?q=heute",
+            method = "GET",
+            headers = emptyMap(),
+        )
+
+        assertEquals("analytics_noise", nativeRequest.hostClass)
+        assertEquals("analytics_noise", pixelRequest.hostClass)
+        assertEquals("target_api", plainRequest.hostClass)
+    }
+
+    @Test
+    fun analytics_initiators_are_forgotten_when_a_new_session_starts() {
+        RuntimeToolkitTelemetry.rememberAnalyticsInitiator(
+            url = "https://www.zdf.de/api/search/track?q=heute",
+            initiator = "beacon",
+        )
+        RuntimeToolkitTelemetry.startMissionSession(
+            context = context,
+            missionId = RuntimeToolkitMissionWizard.MISSION_FISHIT_PIPELINE,
+        )
+        RuntimeToolkitTelemetry.setMissionTarget(context, "https://www.zdf.de")
+        RuntimeToolkitTelemetry.startCaptureSession(context, source = "unit_test")
+        RuntimeToolkitTelemetry.setActivePhaseId(context, "search_probe")
+
+        val request = RuntimeToolkitTelemetry.logNetworkRequest(
+            context = context,
+            source = "webview",
+            url = "https://www.zdf.de/api/search/track?q=heute",
+            method = "POST",
+            headers = emptyMap(),
+        )
+
+        assertEquals("target_api", request.hostClass)
+    }
+
+    @Test
+    fun spa_route_change_moves_active_phase_to_matching_probe() {
+        RuntimeToolkitTelemetry.startMissionSession(
+            context = context,
+            missionId = RuntimeToolkitMissionWizard.MISSION_FISHIT_PIPELINE,
+        )
+        RuntimeToolkitTelemetry.setMissionTarget(context, "https://www.zdf.de")
+        RuntimeToolkitTelemetry.startCaptureSession(context, source = "unit_test")
+        RuntimeToolkitTelemetry.setActivePhaseId(context, "home_probe")
+
+        val searchPhase = RuntimeToolkitTelemetry.logSpaNavigation(
+            context = context,
+            navigationType = "pushState",
+            fromUrl = "https://www.zdf.de/",
+            toUrl = "https://www.zdf.de/suche?q=heute",
+            stateSizeBytes = 12,
+            pageTimestampMs = 1_700_000_000_000,
+        )
+        val repeatedPhase = RuntimeToolkitTelemetry.logSpaNavigation(
+            context = context,
+            navigationType = "replaceState",
+            fromUrl = "https://www.zdf.de/suche?q=heute",
+            toUrl = "https://www.zdf.de/suche?q=heute-journal",
+            stateSizeBytes = 0,
+            pageTimestampMs = 1_700_000_000_500,
+        )
+
+        assertEquals("search_probe", searchPhase)
+        assertNull(repeatedPhase)
+        assertEquals("search_probe", RuntimeToolkitTelemetry.activePhaseId(context))
+    }
+
+    @Test
+    fun initiator_script_provenance_groups_endpoints_by_owning_script() {
+        RuntimeToolkitTelemetry.startMissionSession(
+            context = context,
+            missionId = RuntimeToolkitMissionWizard.MISSION_API_MAPPING,
+        )
+        RuntimeToolkitTelemetry.setMissionTarget(context, "https://www.zdf.de")
+        RuntimeToolkitTelemetry.startCaptureSession(context, source = "unit_test")
+
+        RuntimeToolkitTelemetry.logInitiatorScriptProvenance(
+            context = context,
+            requestId = "req_player_1",
+            url = "https://api.zdf.de/tmd/2/ngplayer_2_4/vod/ptmd/mediathek/123",
+            method = "get",
+            initiatorScript = "https://www.zdf.de/static/player.bundle.js:412",
+        )
+        RuntimeToolkitTelemetry.logInitiatorScriptProvenance(
+            context = context,
+            requestId = "req_player_2",
+            url = "https://api.zdf.de/content/documents/heute-100.json?profile=player",
+            method = "GET",
+            initiatorScript = "https://www.zdf.de/static/player.bundle.js:97",
+        )
+        RuntimeToolkitTelemetry.logInitiatorScriptProvenance(
+            context = context,
+            requestId = "req_widget_1",
+            url = "https://widgets.example.net/v1/recommendations",
+            method = "POST",
+            initiatorScript = "https://cdn.example.net/widget.js:3",
+        )
+        RuntimeToolkitTelemetry.logInitiatorScriptProvenance(
+            context = context,
+            requestId = "req_inline_1",
+            url = "https://api.zdf.de/search",
+            method = "GET",
+            initiatorScript = "inline",
+        )
+
+        val grouped = RuntimeToolkitTelemetry.endpointsByInitiatorScript(context)
+
+        assertEquals(
+            listOf(
+                "GET api.zdf.de/content/documents/heute-100.json",
+                "GET api.zdf.de/tmd/2/ngplayer_2_4/vod/ptmd/mediathek/123",
+            ),
+            grouped["https://www.zdf.de/static/player.bundle.js"],
+        )
+        assertEquals(
+            listOf("POST widgets.example.net/v1/recommendations"),
+            grouped["https://cdn.example.net/widget.js"],
+        )
+        assertEquals(2, grouped.size)
+    }
+
+    @Test
+    fun base64_bridge_body_is_stored_as_raw_bytes_with_encoded_preview() {
+        RuntimeToolkitTelemetry.startMissionSession(
+            context = context,
+            missionId = RuntimeToolkitMissionWizard.MISSION_API_MAPPING,
+        )
+        RuntimeToolkitTelemetry.setMissionTarget(context, "https://www.zdf.de")
+        RuntimeToolkitTelemetry.startCaptureSession(context, source = "unit_test")
+        val protobufBody = byteArrayOf(8, 1, 18, 3, 97, 98, 99, 0, -1)
+
+        val responseId = RuntimeToolkitTelemetry.logNetworkResponse(
+            context = context,
+            source = "webview_js_bridge",
+            url = "https://api.zdf.de/grpc/content.v1.Catalog/Search",
+            method = "POST",
+            statusCode = 200,
+            reason = null,
+            mimeType = "application/grpc-web+proto",
+            headers = emptyMap(),
+            rawBody = protobufBody,
+            payload = mapOf(
+                "body_encoding" to "base64",
+                "body_capture_policy" to "full_candidate_required",
+            ),
+        )
+
+        val responseEvent = File(RuntimeToolkitTelemetry.runtimeRoot(context), "events/runtime_events.jsonl")
+            .readLines()
+            .map { JSONObject(it) }
+            .last { it.optJSONObject("payload")?.optString("response_id") == responseId }
+            .getJSONObject("payload")
+        assertEquals("CAESA2FiYwD/", responseEvent.optString("body_preview"))
+        assertEquals(protobufBody.size, responseEvent.optInt("response_size_bytes"))
+        assertEquals("full_candidate_required", responseEvent.optString("body_capture_policy"))
+        assertEquals("", responseEvent.optString("capture_failure"))
+    }
+
     @Test
     fun german_search_terms_are_resolved_to_search_role_candidates() {
         RuntimeToolkitTelemetry.startMissionSession(
@@ -252,6 +444,70 @@ class RuntimeToolkitTelemetryWizardFlowTest {
         assertEquals("playback_resolver_fetch", playback!!.operation)
     }
 
+    @Test
+    fun detected_player_manifest_alone_does_not_saturate_playback_probe() {
+        RuntimeToolkitTelemetry.startMissionSession(
+            context = context,
+            missionId = RuntimeToolkitMissionWizard.MISSION_FISHIT_PIPELINE,
+        )
+        RuntimeToolkitTelemetry.setMissionTarget(context, "https://www.zdf.de")
+        RuntimeToolkitTelemetry.startCaptureSession(context, source = "unit_test")
+        RuntimeToolkitTelemetry.setActivePhaseId(context, "playback_probe")
+
+        RuntimeToolkitTelemetry.logExtractionEvent(
+            context = context,
+            operation = "playback_draft_hint",
+            payload = mapOf(
+                "player_libraries" to listOf("hls.js@1.5.0"),
+                "manifest_urls" to listOf("https://cdn.zdf.de/vod/master.m3u8"),
+                "stream_manifest_urls" to listOf("https://cdn.zdf.de/vod/master.m3u8"),
+                "media_source_backed" to true,
+                "url" to "https://www.zdf.de/video/123",
+                "extraction_kind" to "playback_draft",
+                "source" to "webview_js_player",
+            ),
+        )
+
+        val hinted = RuntimeToolkitTelemetry.evaluateMissionStepSaturation(
+            context = context,
+            stepId = RuntimeToolkitMissionWizard.STEP_PLAYBACK_PROBE,
+        )
+        assertEquals(RuntimeToolkitMissionWizard.SATURATION_NEEDS_MORE_EVIDENCE, hinted.state)
+        assertEquals("missing_playback_manifest_or_resolver", hinted.reason)
+        assertEquals(1, hinted.metrics["detected_manifest_count"])
+
+        RuntimeToolkitTelemetry.logExtractionEvent(
+            context = context,
+            operation = "playback_draft_hint",
+            payload = mapOf(
+                "manifest_urls" to listOf("https://cdn.zdf.de/vod/manifest.mpd"),
+                "stream_manifest_urls" to listOf("https://cdn.zdf.de/vod/manifest.mpd"),
+                "url" to "https://www.zdf.de/video/456",
+                "extraction_kind" to "playback_draft",
+                "source" to "webview_js_player",
+            ),
+        )
+        RuntimeToolkitTelemetry.setActivePhaseId(context, "detail_probe")
+        RuntimeToolkitTelemetry.logExtractionEvent(
+            context = context,
+            operation = "playback_draft_hint",
+            payload = mapOf(
+                "manifest_urls" to listOf("https://cdn.zdf.de/trailer/master.m3u8"),
+                "stream_manifest_urls" to listOf("https://cdn.zdf.de/trailer/master.m3u8"),
+                "url" to "https://www.zdf.de/serie/789",
+                "extraction_kind" to "playback_draft",
+                "source" to "webview_js_player",
+            ),
+        )
+        RuntimeToolkitTelemetry.setActivePhaseId(context, "playback_probe")
+
+        val appended = RuntimeToolkitTelemetry.evaluateMissionStepSaturation(
+            context = context,
+            stepId = RuntimeToolkitMissionWizard.STEP_PLAYBACK_PROBE,
+        )
+        assertEquals(2, appended.metrics["detected_manifest_count"])
+    }
+
     @Test
     fun german_auth_login_terms_are_classified_as_auth_login() {
         RuntimeToolkitTelemetry.startMissionSession(
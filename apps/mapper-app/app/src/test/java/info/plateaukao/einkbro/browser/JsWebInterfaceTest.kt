@@ -0,0 +1,98 @@
+package info.plateaukao.einkbro.browser
+
+import android.content.Context
+import androidx.test.core.app.ApplicationProvider
+import dev.fishit.mapper.wave01.debug.RuntimeToolkitTelemetry
+import org.json.JSONObject
+import org.junit.Assert.assertEquals
+import org.junit.Assert.assertNull
+import org.junit.Assert.assertTrue
+import org.junit.Before
+import org.junit.Test
+import org.junit.runner.RunWith
+import org.robolectric.RobolectricTestRunner
+
+@RunWith(RobolectricTestRunner::class)
+class JsWebInterfaceTest {
+
+    private lateinit var context: Context
+
+    @Before
+    fun setUp() {
+        context = ApplicationProvider.getApplicationContext()
+        RuntimeToolkitTelemetry.clearRuntimeArtifacts(context)
+    }
+
+    @Test
+    fun bodiless_bridge_request_reuses_intercepted_request_id() {
+        val url = "https://www.zdf.de/api/teaser?profile=bodiless"
+        val intercepted = RuntimeToolkitTelemetry.logNetworkRequest(
+            context = context,
+            source = "webview",
+            url = url,
+            method = "GET",
+            headers = emptyMap(),
+        )
+        val event = JSONObject(
+            """{"stage":"request","url":"$url","method":"GET","requestBody":null,"requestBodyType":null}""",
+        )
+
+        assertEquals(
+            intercepted.requestId,
+            JsWebInterface.resolveInterceptedRequestId(event = event, url = url, method = "GET"),
+        )
+    }
+
+    @Test
+    fun bodied_bridge_request_is_never_deduplicated() {
+        val url = "https://www.zdf.de/api/search?profile=bodied"
+        RuntimeToolkitTelemetry.logNetworkRequest(
+            context = context,
+            source = "webview",
+            url = url,
+            method = "POST",
+            headers = emptyMap(),
+        )
+        val event = JSONObject(
+            """{"stage":"request","url":"$url","method":"POST","requestBody":"{\"q\":\"heute\"}","requestBodyType":"application/json"}""",
+        )
+
+        assertNull(JsWebInterface.resolveInterceptedRequestId(event = event, url = url, method = "POST"))
+    }
+
+    @Test
+    fun connection_error_then_close_logs_a_single_request() {
+        val connections = mutableMapOf<String, String>()
+        var loggedRequests = 0
+        val requestIds = listOf("connect", "open", "error", "close").map { connectionEvent ->
+            JsWebInterface.resolveConnectionRequestId(
+                connections = connections,
+                connectionId = "ws_1",
+                connectionEvent = connectionEvent,
+            ) {
+                loggedRequests += 1
+                "req_$loggedRequests"
+            }
+        }
+
+        assertEquals(1, loggedRequests)
+        assertEquals(listOf("req_1", "req_1", "req_1", "req_1"), requestIds)
+        assertTrue(connections.isEmpty())
+    }
+
+    @Test
+    fun license_exchange_is_never_body_captured() {
+        listOf(
+            "https://lic.drm.zdf.de/widevine/license?token=abc" to "application/octet-stream",
+            "https://playready.example.com/rightsmanager.asmx" to "text/xml",
+            "https://api.example.com/v1/licence" to "application/json",
+        ).forEach { (url, mimeType) ->
+            assertTrue(JsWebInterface.isLicenseExchangeUrl(url))
+            assertEquals("metadata_only", JsWebInterface.resolveBridgeBodyCapturePolicy(url = url, mimeType = mimeType))
+        }
+        assertEquals(
+            "full_candidate_required",
+            JsWebInterface.resolveBridgeBodyCapturePolicy(url = "https://api.zdf.de/graphql", mimeType = "application/json"),
+        )
+    }
+}
@@ -123,6 +123,7 @@ PROVENANCE_TARGET_NAMES = {
     "referer": ("referer",),
     "origin": ("origin",),
 }
+PAGE_REDACTED_VALUE_RE = re.compile(r"sha256:([0-9a-f]{64})")
 
 BODY_ACTION_STORE_FULL = "STORE_FULL"
 BODY_ACTION_STORE_FULL_REQUIRED = "STORE_FULL_REQUIRED"
@@ -296,6 +297,9 @@ PROVIDER_ENDPOINT_ROLES = [
     "auth_or_refresh",
 ]
 
+PERFORMANCE_FETCH_INITIATORS = {"fetch", "xmlhttprequest", "beacon"}
+MAX_NON_FETCH_RESOURCES = 50
+
 PROVIDER_TO_BUNDLE_ROLE = {
     "home": "home",
     "search": "search",
@@ -3296,6 +3300,42 @@ def build_field_matrix(rows: List[Dict[str, Any]], runtime_dir: Optional[pathlib
             return "medium"
         return "high"
 
+    def collect_json_field_hits(event_id: str, loaded: Any, source: str, path_prefix: str = "") -> int:
+        hit_count = 0
+        leaves = list(iter_json_leaf_paths(loaded))
+        for key, value in leaves:
+            lower_key = key.lower()
+            str_value = value if isinstance(value, str) else ""
+            str_value_lower = str(str_value).lower()
+            if any(token in lower_key for token in ("title", "headline", "name")) and str_value:
+                field_hits["title"].append({"event_id": event_id, "path": f"{path_prefix}{key}", "value": str_value[:200], "source": source})
+                hit_count += 1
+            if any(token in lower_key for token in ("subtitle", "sub_title", "teaser_title")) and str_value:
+                field_hits["subtitle"].append({"event_id": event_id, "path": f"{path_prefix}{key}", "value": str_value[:200], "source": source})
+                hit_count += 1
+            if any(token in lower_key for token in ("description", "summary", "teasertext")) and str_value:
+                field_hits["description"].append({"event_id": event_id, "path": f"{path_prefix}{key}", "value": str_value[:300], "source": source})
+                hit_count += 1
+            if any(token in lower_key for token in ("image", "poster", "thumbnail")) and str_value and str_value_lower.startswith("http"):
+                field_hits["image/poster"].append({"event_id": event_id, "path": f"{path_prefix}{key}", "value": str_value[:300], "source": source})
+                hit_count += 1
+            if any(token in lower_key for token in ("canonicalid", "canonical_id", "contentid", "content_id")):
+                field_hits["canonical id"].append({"event_id": event_id, "path": f"{path_prefix}{key}", "value": str(value)[:120], "source": source})
+                hit_count += 1
+            if any(token in lower_key for token in ("collectionid", "collection_id", "seriesid", "series_id", "railid", "rail_id")):
+                field_hits["collection id"].append({"event_id": event_id, "path": f"{path_prefix}{key}", "value": str(value)[:120], "source": source})
+                hit_count += 1
+            if any(token in lower_key for token in ("type", "itemtype", "item_type", "teasertype", "teaser_type")) and str_value:
+                field_hits["teaser/item type"].append({"event_id": event_id, "path": f"{path_prefix}{key}", "value": str_value[:120], "source": source})
+                hit_count += 1
+            if any(token in lower_key for token in ("playback", "manifest", "stream", "drm", "resolver")):
+                field_hits["playback hints"].append({"event_id": event_id, "path": f"{path_prefix}{key}", "value": str(value)[:160], "source": source})
+                hit_count += 1
+            if any(token in lower_key for token in ("section", "rail", "category")) and str_value:
+                field_hits["section/rail names"].append({"event_id": event_id, "path": f"{path_prefix}{key}", "value": str_value[:120], "source": source})
+                hit_count += 1
+        return hit_count
+
     for row in response_events:
         host_class = event_host_class(row)
         explicit_host_class_present = any(
@@ -3399,38 +3439,7 @@ def build_field_matrix(rows: List[Dict[str, Any]], runtime_dir: Optional[pathlib
             for key in flatten_keys(loaded):
                 key_counter[key] += 1
 
-            leaves = list(iter_json_leaf_paths(loaded))
-            for key, value in leaves:
-                lower_key = key.lower()
-                str_value = value if isinstance(value, str) else ""
-                str_value_lower = str(str_value).lower()
-                if any(token in lower_key for token in ("title", "headline", "name")) and str_value:
-                    field_hits["title"].append({"event_id": event_id, "path": key, "value": str_value[:200], "source": "json"})
-                    extracted_field_count += 1
-                if any(token in lower_key for token in ("subtitle", "sub_title", "teaser_title")) and str_value:
-                    field_hits["subtitle"].append({"event_id": event_id, "path": key, "value": str_value[:200], "source": "json"})
-                    extracted_field_count += 1
-                if any(token in lower_key for token in ("description", "summary", "teasertext")) and str_value:
-                    field_hits["description"].append({"event_id": event_id, "path": key, "value": str_value[:300], "source": "json"})
-                    extracted_field_count += 1
-                if any(token in lower_key for token in ("image", "poster", "thumbnail")) and str_value and str_value_lower.startswith("http"):
-                    field_hits["image/poster"].append({"event_id": event_id, "path": key, "value": str_value[:300], "source": "json"})
-                    extracted_field_count += 1
-                if any(token in lower_key for token in ("canonicalid", "canonical_id", "contentid", "content_id")):
-                    field_hits["canonical id"].append({"event_id": event_id, "path": key, "value": str(value)[:120], "source": "json"})
-                    extracted_field_count += 1
-                if any(token in lower_key for token in ("collectionid", "collection_id", "seriesid", "series_id", "railid", "rail_id")):
-                    field_hits["collection id"].append({"event_id": event_id, "path": key, "value": str(value)[:120], "source": "json"})
-                    extracted_field_count += 1
-                if any(token in lower_key for token in ("type", "itemtype", "item_type", "teasertype", "teaser_type")) and str_value:
-                    field_hits["teaser/item type"].append({"event_id": event_id, "path": key, "value": str_value[:120], "source": "json"})
-                    extracted_field_count += 1
-                if any(token in lower_key for token in ("playback", "manifest", "stream", "drm", "resolver")):
-                    field_hits["playback hints"].append({"event_id": event_id, "path": key, "value": str(value)[:160], "source": "json"})
-                    extracted_field_count += 1
-                if any(token in lower_key for token in ("section", "rail", "category")) and str_value:
-                    field_hits["section/rail names"].append({"event_id": event_id, "path": key, "value": str_value[:120], "source": "json"})
-                    extracted_field_count += 1
+            extracted_field_count += collect_json_field_hits(event_id, loaded, "json")
 
             if isinstance(loaded, dict):
                 for root_key in ("results", "items", "hits"):
@@ -3484,6 +3493,46 @@ def build_field_matrix(rows: List[Dict[str, Any]], runtime_dir: Optional[pathlib
             }
         )
 
+    for row in rows:
+        if row.get("event_type") != "extraction_event":
+            continue
+        payload = event_payload(row)
+        if str(payload.get("operation") or "") != "structured_data_harvest":
+            continue
+        body = read_response_store_payload(row, runtime_dir)
+        if not body:
+            continue
+        try:
+            loaded = json.loads(body)
+        except Exception:
+            continue
+        structured_kind = str(payload.get("structured_kind") or "structured_data")
+        collect_json_field_hits(str(row.get("event_id") or ""), loaded, "structured_data", f"{structured_kind}:")
+
+    for row in rows:
+        if row.get("event_type") != "extraction_event":
+            continue
+        payload = event_payload(row)
+        if str(payload.get("operation") or "") != "dom_field_pick":
+            continue
+        field_name = str(payload.get("field_name") or "").strip()
+        selector = str(payload.get("selector") or "").strip()
+        if not field_name or not selector:
+            continue
+        list_selector = str(payload.get("list_selector") or "").strip()
+        field_hits[field_name].append(
+            {
+                "event_id": str(row.get("event_id") or ""),
+                "path": str(payload.get("list_item_selector") or list_selector or selector) if field_name == "search result mapping" else selector,
+                "value": str(payload.get("value_preview") or "")[:200],
+                "source": "dom_selector",
+                "list_selector": list_selector or None,
+                "list_match_count": int(payload.get("list_match_count") or 0),
+                "value_attribute": payload.get("value_attribute"),
+                "page_url": str(payload.get("url") or ""),
+            }
+        )
+
     required_fields = [
         "title",
         "subtitle",
@@ -3501,7 +3550,7 @@ def build_field_matrix(rows: List[Dict[str, Any]], runtime_dir: Optional[pathlib
     for field_name in required_fields:
         hits = field_hits.get(field_name, [])
         if field_name == "search result mapping":
-            mapped_hits = [{"source": "json", **item} for item in search_mapping_samples[:20]]
+            mapped_hits = [{"source": "json", **item} for item in search_mapping_samples[:20]] + hits
             status = field_status_from_hits(mapped_hits, derived=False)
             confidence = field_confidence(len(mapped_hits), derived=False)
             field_matrix_rows.append(
@@ -3510,12 +3559,12 @@ def build_field_matrix(rows: List[Dict[str, Any]], runtime_dir: Optional[pathlib
                     "status": status,
                     "confidence": confidence,
                     "sources": mapped_hits[:20],
-                    "sample_values": [str(item.get("sample_keys") or "") for item in mapped_hits[:5]],
+                    "sample_values": [str(item.get("sample_keys") or item.get("path") or "") for item in mapped_hits[:5]],
                 }
             )
             continue
 
-        direct_hits = [item for item in hits if item.get("source") == "json"]
+        direct_hits = [item for item in hits if item.get("source") in ("json", "structured_data", "dom_selector")]
         derived_hits = [item for item in hits if item.get("source") != "json"]
         derived_only = not direct_hits and bool(derived_hits)
         status = field_status_from_hits(hits, derived=derived_only)
@@ -3951,6 +4000,118 @@ def map_field_matrix_to_provider(field_matrix: Dict[str, Any], rows: List[Dict[s
     }
 
 
+def performance_timing_entries(rows: List[Dict[str, Any]]) -> List[Dict[str, Any]]:
+    entries: List[Dict[str, Any]] = []
+    for row in rows:
+        if row.get("event_type") != "correlation_event":
+            continue
+        payload = event_payload(row)
+        if str(payload.get("operation") or "") != "performance_timing_batch":
+            continue
+        phase_id = event_phase_id(row)
+        for entry in list(payload.get("entries") or []):
+            if isinstance(entry, dict):
+                entries.append({**entry, "phase_id": phase_id})
+    return entries
+
+
+def timing_values(entries: List[Dict[str, Any]], key: str, positive_only: bool = False) -> List[float]:
+    values = [float(entry[key]) for entry in entries if isinstance(entry.get(key), (int, float)) and not isinstance(entry.get(key), bool)]
+    return sorted([value for value in values if value > 0] if positive_only else values)
+
+
+def timing_percentile(values: List[float], fraction: float) -> Optional[float]:
+    if not values:
+        return None
+    return round(values[min(len(values) - 1, int(len(values) * fraction))], 1)
+
+
+def summarize_resource_timing(entries: List[Dict[str, Any]]) -> Dict[str, Any]:
+    durations = timing_values(entries, "duration_ms")
+    # Zero sizes mean a cache hit or a cross-origin resource without Timing-Allow-Origin.
+    transfer_sizes = timing_values(entries, "transfer_size", positive_only=True)
+    encoded_sizes = timing_values(entries, "encoded_body_size", positive_only=True)
+    transfer_median = timing_percentile(transfer_sizes, 0.5)
+    encoded_median = timing_percentile(encoded_sizes, 0.5)
+    return {
+        "sample_count": len(entries),
+        "duration_ms_median": timing_percentile(durations, 0.5),
+        "duration_ms_p95": timing_percentile(durations, 0.95),
+        "ttfb_ms_median": timing_percentile(timing_values(entries, "ttfb_ms"), 0.5),
+        "transfer_size_bytes_median": int(transfer_median) if transfer_median is not None else None,
+        "encoded_body_size_bytes_median": int(encoded_median) if encoded_median is not None else None,
+    }
+
+
+def resource_timing_by_endpoint(entries: List[Dict[str, Any]]) -> Dict[Tuple[str, str], List[Dict[str, Any]]]:
+    by_endpoint: Dict[Tuple[str, str], List[Dict[str, Any]]] = defaultdict(list)
+    for entry in entries:
+        if str(entry.get("entry_type") or "") != "resource":
+            continue
+        if str(entry.get("initiator_type") or "") not in PERFORMANCE_FETCH_INITIATORS:
+            continue
+        _, host, path, _ = normalized_url_components(str(entry.get("url") or ""))
+        if host:
+            by_endpoint[(host, path)].append(entry)
+    return by_endpoint
+
+
+def build_performance_timing(entries: List[Dict[str, Any]]) -> Dict[str, Any]:
+    by_phase: Dict[str, List[Dict[str, Any]]] = defaultdict(list)
+    for entry in entries:
+        by_phase[str(entry.get("phase_id") or PHASE_BACKGROUND)].append(entry)
+    phases: List[Dict[str, Any]] = []
+    for phase_id in sorted(by_phase):
+        items = by_phase[phase_id]
+        resources = [item for item in items if item.get("entry_type") == "resource"]
+        navigation = next((item for item in items if item.get("entry_type") == "navigation"), {})
+        paints = {str(item.get("name") or ""): item.get("start_time_ms") for item in items if item.get("entry_type") == "paint"}
+        lcp_values = timing_values([item for item in items if item.get("entry_type") == "largest-contentful-paint"], "start_time_ms")
+        long_tasks = timing_values([item for item in items if item.get("entry_type") == "longtask"], "duration_ms")
+        initiators = Counter(str(item.get("initiator_type") or "other") for item in resources)
+        phases.append(
+            {
+                "phase_id": phase_id,
+                "resource_count": len(resources),
+                "resource_counts_by_initiator": dict(sorted(initiators.items())),
+                "transfer_size_bytes_total": int(sum(timing_values(resources, "transfer_size", positive_only=True))),
+                "navigation_ttfb_ms": navigation.get("ttfb_ms"),
+                "dom_content_loaded_ms": navigation.get("dom_content_loaded_ms"),
+                "load_event_ms": navigation.get("load_event_ms"),
+                "first_contentful_paint_ms": paints.get("first-contentful-paint"),
+                "largest_contentful_paint_ms": lcp_values[-1] if lcp_values else None,
+                "long_task_count": len(long_tasks),
+                "long_task_total_ms": round(sum(long_tasks), 1),
+            }
+        )
+    # Resources the page loaded without fetch/XHR (stylesheets, images, scripts, iframes) are
+    # invisible to the network hook; list them so they can be checked against captured traffic.
+    non_fetch: Dict[Tuple[str, str], List[Dict[str, Any]]] = defaultdict(list)
+    for entry in entries:
+        if entry.get("entry_type") != "resource" or str(entry.get("initiator_type") or "") in PERFORMANCE_FETCH_INITIATORS:
+            continue
+        url = str(entry.get("url") or "")
+        if url:
+            non_fetch[(str(entry.get("initiator_type") or "other"), url)].append(entry)
+    non_fetch_resources = [
+        {
+            "url": url,
+            "initiator_type": initiator_type,
+            "phase_ids": sorted({str(item.get("phase_id") or "") for item in items if item.get("phase_id")}),
+            "transfer_size_bytes_total": int(sum(timing_values(items, "transfer_size", positive_only=True))),
+            **summarize_resource_timing(items),
+        }
+        for (initiator_type, url), items in non_fetch.items()
+    ]
+    non_fetch_resources.sort(key=lambda item: (-item["transfer_size_bytes_total"], item["url"]))
+    return {
+        "entry_count": len(entries),
+        "phases": phases,
+        "non_fetch_resource_count": len(non_fetch_resources),
+        "non_fetch_resources": non_fetch_resources[:MAX_NON_FETCH_RESOURCES],
+    }
+
+
 def build_provider_draft_export(
     rows: List[Dict[str, Any]],
     endpoint_candidates: Dict[str, Any],
@@ -3989,6 +4150,9 @@ def build_provider_draft_export(
     for role in by_role_candidates:
         by_role_candidates[role].sort(key=lambda item: role_candidate_rank(role, item, export_target_site_id), reverse=True)
 
+    performance_entries = performance_timing_entries(rows)
+    fetch_timing_by_endpoint = resource_timing_by_endpoint(performance_entries)
+
     endpoint_templates: List[Dict[str, Any]] = []
     provider_replay_requirements: List[Dict[str, Any]] = []
     warnings: List[str] = []
@@ -4171,6 +4335,7 @@ def build_provider_draft_export(
             warnings.append(f"{role}: browser-context dependency remains (referer/origin)")
 
         template_id = f"{role}:{method}:{host}{path}"
+        timing_samples = fetch_timing_by_endpoint.get((normalize_host(host), path or "/"), [])
         endpoint_templates.append(
             {
                 "template_id": template_id,
@@ -4186,6 +4351,7 @@ def build_provider_draft_export(
                 "required_phase_relevance": phase_id,
                 "required_provenance_inputs": sorted(list(required_provenance_inputs)),
                 "confidence": endpoint_confidence,
+                "observed_timing": summarize_resource_timing(timing_samples) if timing_samples else None,
                 "source_evidence_refs": {
                     "candidate_type": str((candidate or {}).get("candidate_type") or ""),
                     "target_site_id": role_target_site_id,
@@ -4276,6 +4442,75 @@ def build_provider_draft_export(
             if "dash+xml" in mime:
                 manifest_kind_detected = "dash"
                 break
+    player_libraries: Set[str] = set()
+    player_drm_hinted = False
+    detected_manifest_urls: List[str] = []
+    for row in rows:
+        if row.get("event_type") != "extraction_event":
+            continue
+        payload = event_payload(row)
+        if str(payload.get("operation") or "") != "playback_draft_hint":
+            continue
+        player_libraries.update(str(item) for item in list(payload.get("player_libraries") or []) if str(item).strip())
+        if list(payload.get("drm_hints") or []):
+            player_drm_hinted = True
+        for url in list(payload.get("stream_manifest_urls") or []):
+            url = str(url).strip()
+            if url and url not in detected_manifest_urls:
+                detected_manifest_urls.append(url)
+    mse_mime_types: Set[str] = set()
+    segment_counts: Counter = Counter()
+    bitrate_samples: Dict[str, List[int]] = defaultdict(list)
+    drm_key_systems: Set[str] = set()
+    drm_license_urls: List[str] = []
+    drm_required = False
+    for row in rows:
+        if row.get("event_type") != "correlation_event":
+            continue
+        payload = event_payload(row)
+        operation = str(payload.get("operation") or "")
+        if operation.startswith("eme_"):
+            key_system = str(payload.get("key_system") or "").strip()
+            if operation == "eme_key_system_access" and payload.get("granted") is not True:
+                continue
+            drm_required = True
+            if key_system:
+                drm_key_systems.add(key_system)
+            license_url = str(payload.get("license_url") or "").strip()
+            if operation == "eme_license_request" and license_url and license_url not in drm_license_urls:
+                drm_license_urls.append(license_url)
+        elif operation == "mse_source_buffer_added":
+            mime_type = str(payload.get("mime_type") or "").strip()
+            if mime_type:
+                mse_mime_types.add(mime_type)
+        elif operation == "mse_segment_appended":
+            rendition = str(payload.get("rendition") or "").strip()
+            if not rendition:
+                continue
+            segment_counts[rendition] += 1
+            bitrate = payload.get("estimated_bitrate_bps")
+            if isinstance(bitrate, (int, float)) and bitrate > 0:
+                bitrate_samples[rendition].append(int(bitrate))
+    bitrate_ladder: List[Dict[str, Any]] = []
+    for rendition, segment_count in segment_counts.items():
+        samples = sorted(bitrate_samples.get(rendition, []))
+        bitrate_ladder.append(
+            {
+                "segment_url_prefix": rendition,
+                "segment_count": segment_count,
+                "estimated_bitrate_bps": samples[len(samples) // 2] if samples else None,
+            }
+        )
+    bitrate_ladder.sort(key=lambda item: (item["estimated_bitrate_bps"] or 0, item["segment_url_prefix"]))
+    if manifest_kind_detected == "unknown":
+        for url in detected_manifest_urls:
+            path = urlparse(url).path.lower()
+            if path.endswith(".m3u8"):
+                manifest_kind_detected = "hls"
+                break
+            if path.endswith(".mpd"):
+                manifest_kind_detected = "dash"
+                break
     token_dependencies = sorted(
         list(
             {
@@ -4297,6 +4532,11 @@ def build_provider_draft_export(
     stream_mime_hints = sorted(list({event_mime(response).lower() for response in non_segment_playback_responses if event_mime(response)}))
     drm_suspected = any("drm" in event_body_preview(response).lower() or "widevine" in event_body_preview(response).lower() for response in non_segment_playback_responses)
     playback_browser_context = bool(playback_replay.get("required_referer") or playback_replay.get("required_origin"))
+    if player_drm_hinted:
+        drm_suspected = True
+    if drm_required:
+        drm_suspected = True
+        warnings.append("playback: drm_required")
     if token_dependencies:
         warnings.append("playback: dynamic token dependency detected")
     if playback_browser_context:
@@ -4316,6 +4556,13 @@ def build_provider_draft_export(
         "stream_container_hints": stream_container_hints,
         "stream_mime_hints": stream_mime_hints,
         "drm_suspected": bool(drm_suspected),
+        "drm_required": drm_required,
+        "drm_key_systems": sorted(drm_key_systems),
+        "drm_license_urls": drm_license_urls,
+        "player_libraries": sorted(player_libraries),
+        "detected_manifest_urls": detected_manifest_urls,
+        "mse_mime_types": sorted(mse_mime_types),
+        "bitrate_ladder": bitrate_ladder,
         "playback_confidence": round(max(0.0, min(0.99, playback_confidence)), 4),
         "warnings": sorted(
             list(
@@ -4454,6 +4701,7 @@ def build_provider_draft_export(
         "field_matrix": provider_field_matrix,
         "auth_draft": auth_draft,
         "playback_draft": playback_draft,
+        "performance_timing": build_performance_timing(performance_entries),
         "warnings": sorted(list({item for item in warnings if item})),
         "known_limitations": sorted(
             list(
@@ -6241,6 +6489,10 @@ def build_body_store(rows: List[Dict[str, Any]], runtime_dir: pathlib.Path) -> D
 
 
 def hash_value_repr(value: str) -> str:
+    # Page-side redaction already replaced the secret with "sha256:<hex>" of the same value.
+    redacted = PAGE_REDACTED_VALUE_RE.fullmatch(str(value or "").strip())
+    if redacted:
+        return redacted.group(1)
     return hashlib.sha256(value.encode("utf-8", errors="replace")).hexdigest()
 
 
@@ -8555,6 +8807,59 @@ def detect_triage_alerts(rows: List[Dict[str, Any]], only_rules: Optional[List[s
                 )
                 idx += 1
 
+    if enabled("script_crash_after_auth_failure"):
+        window_s = rule_threshold(rules.get("script_crash_after_auth_failure", {}), "window_seconds", 30)
+        crash_kinds = {"uncaught_error", "unhandled_rejection", "console_error"}
+        auth_failures = sorted(
+            [
+                r
+                for r in rows
+                if r.get("event_type") == "network_response_event" and event_status(r) in {"401", "403"}
+            ],
+            key=lambda r: str(r.get("ts_utc") or ""),
+        )
+        script_errors = sorted(
+            [
+                r
+                for r in rows
+                if r.get("event_type") == "correlation_event"
+                and str(event_payload(r).get("operation") or "") == "page_script_error"
+                and str(event_payload(r).get("error_kind") or "") in crash_kinds
+            ],
+            key=lambda r: str(r.get("ts_utc") or ""),
+        )
+        attributed: Set[str] = set()
+        for failure in auth_failures:
+            failure_ts = ts_to_epoch_seconds(str(failure.get("ts_utc") or ""))
+            crashes = [
+                e
+                for e in script_errors
+                if str(e.get("event_id") or "") not in attributed
+                and 0 <= ts_to_epoch_seconds(str(e.get("ts_utc") or "")) - failure_ts <= window_s
+            ]
+            if not crashes:
+                continue
+            attributed.update(str(e.get("event_id") or "") for e in crashes)
+            first_message = str(event_payload(crashes[0]).get("message") or "")[:160]
+            alerts.append(
+                new_alert(
+                    idx=idx,
+                    run_id=str(failure.get("run_id") or "unknown"),
+                    trace_id=str(failure.get("trace_id") or ""),
+                    action_id=str(failure.get("action_id") or ""),
+                    rule_id="script_crash_after_auth_failure",
+                    title="Page script crash after 401/403",
+                    severity=str(rules.get("script_crash_after_auth_failure", {}).get("severity_default") or "high"),
+                    reason=(
+                        f"{len(crashes)} page script error(s) within {window_s}s after "
+                        f"{event_status(failure)} from {event_url(failure)}: {first_message}"
+                    ),
+                    repro_hint="Replay this action_id and inspect how the page handles the rejected auth response.",
+                    event_ids=[str(e.get("event_id") or "") for e in [failure, *crashes] if e.get("event_id")],
+                )
+            )
+            idx += 1
+
     alerts.sort(
         key=lambda a: (
             SEVERITY_RANK.get(str(a.get("severity") or "").lower(), 99),
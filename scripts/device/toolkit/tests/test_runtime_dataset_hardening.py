@@ -3,6 +3,7 @@
 
 from __future__ import annotations
 
+import hashlib
 import json
 import sys
 import tempfile
@@ -554,6 +555,38 @@ class RuntimeDatasetHardeningTests(unittest.TestCase):
         self.assertIn("referer", names)
         self.assertIn("origin", names)
 
+    def test_provenance_registry_matches_page_redacted_hash_to_raw_value(self) -> None:
+        raw_token = "Bearer eyJhbGciOiJIUzI1NiJ9.payload.signature"
+        redacted_token = "sha256:" + hashlib.sha256(raw_token.encode("utf-8")).hexdigest()
+        rows = []
+        for event_id, token, source in (("req_native", raw_token, "okhttp"), ("req_bridge", redacted_token, "webview_js_bridge")):
+            rows.append(
+                {
+                    "schema_version": 1,
+                    "run_id": "run_1",
+                    "event_id": event_id,
+                    "event_type": "network_request_event",
+                    "ts_utc": "2026-04-01T12:01:00Z",
+                    "trace_id": "trace_1",
+                    "span_id": "",
+                    "action_id": "action_1",
+                    "payload": {
+                        "request_id": event_id,
+                        "phase_id": "auth_probe",
+                        "host_class": "target",
+                        "url": "https://api.example.com/v1/me",
+                        "method": "GET",
+                        "source": source,
+                        "headers": {"authorization": token},
+                    },
+                }
+            )
+        normalized = normalize_runtime_rows(rows)
+        registry = build_provenance_registry(normalized)
+        auth_entries = [entry for entry in registry.get("entries", []) if entry.get("name") == "api-auth"]
+        self.assertEqual(len(auth_entries), 1)
+        self.assertEqual(auth_entries[0].get("value_hash"), redacted_token.split(":", 1)[1])
+
     def test_request_response_linkage_propagates_request_fingerprint(self) -> None:
         rows = [
             {
@@ -1167,6 +1200,94 @@ class RuntimeDatasetHardeningTests(unittest.TestCase):
             keys = {item.get("field") for item in matrix.get("keys", []) if isinstance(item, dict)}
             self.assertIn("data.item.id", keys)
 
+    def test_field_matrix_reads_harvested_structured_data(self) -> None:
+        rows = [
+            {
+                "schema_version": 1,
+                "run_id": "run_1",
+                "event_id": "sd_1",
+                "event_type": "extraction_event",
+                "ts_utc": "2026-04-01T12:00:03Z",
+                "trace_id": "trace_1",
+                "span_id": "",
+                "action_id": "action_1",
+                "payload": {
+                    "operation": "structured_data_harvest",
+                    "structured_kind": "next_data",
+                    "extraction_kind": "structured_data",
+                    "phase_id": "detail_probe",
+                    "response_store_path": "files/runtime-toolkit/response_store/sd_1.bin",
+                    "source": "webview_js_structured_data",
+                },
+            }
+        ]
+        with tempfile.TemporaryDirectory() as tmp:
+            runtime_dir = Path(tmp)
+            (runtime_dir / "response_store").mkdir(parents=True, exist_ok=True)
+            (runtime_dir / "response_store" / "sd_1.bin").write_text(
+                json.dumps({"props": {"pageProps": {"show": {"title": "Example Show", "posterUrl": "https://img.example.com/p.jpg"}}}}),
+                encoding="utf-8",
+            )
+
+            matrix = build_field_matrix(rows, runtime_dir=runtime_dir)
+            fields = {str(item.get("field")): item for item in matrix.get("fields", [])}
+            self.assertEqual(fields["title"]["status"], "directly_observed")
+            self.assertEqual(fields["title"]["sources"][0]["path"], "next_data:props.pageProps.show.title")
+            self.assertEqual(fields["title"]["sources"][0]["source"], "structured_data")
+            self.assertEqual(fields["image/poster"]["sample_values"], ["https://img.example.com/p.jpg"])
+
+    def test_field_matrix_uses_dom_field_picks_for_html_sites(self) -> None:
+        def pick(event_id: str, payload: dict) -> dict:
+            return {
+                "schema_version": 1,
+                "run_id": "run_1",
+                "event_id": event_id,
+                "event_type": "extraction_event",
+                "ts_utc": "2026-04-01T12:00:05Z",
+                "trace_id": "trace_1",
+                "span_id": "",
+                "action_id": "action_1",
+                "payload": {"operation": "dom_field_pick", "source": "webview_js_pick", **payload},
+            }
+
+        rows = [
+            pick(
+                "pick_title",
+                {
+                    "field_name": "title",
+                    "selector": "#detail > h1.title",
+                    "value_preview": "Example Show",
+                    "url": "https://www.example.com/show/1",
+                },
+            ),
+            pick(
+                "pick_results",
+                {
+                    "field_name": "search result mapping",
+                    "selector": "#results > li.card:nth-of-type(1) > a.card-link",
+                    "list_selector": "#results > li.card a.card-link",
+                    "list_item_selector": "#results > li.card",
+                    "list_match_count": 12,
+                    "value_attribute": "href",
+                    "value_preview": "https://www.example.com/show/1",
+                    "url": "https://www.example.com/search?q=show",
+                },
+            ),
+        ]
+
+        matrix = build_field_matrix(rows)
+        fields = {str(item.get("field")): item for item in matrix.get("fields", [])}
+        self.assertEqual(fields["title"]["status"], "directly_observed")
+        self.assertEqual(fields["title"]["sources"][0]["path"], "#detail > h1.title")
+        self.assertEqual(fields["title"]["sources"][0]["source"], "dom_selector")
+        self.assertEqual(fields["title"]["sample_values"], ["Example Show"])
+        results = fields["search result mapping"]
+        self.assertEqual(results["status"], "directly_observed")
+        self.assertEqual(results["sources"][0]["path"], "#results > li.card")
+        self.assertEqual(results["sources"][0]["list_selector"], "#results > li.card a.card-link")
+        self.assertEqual(results["sources"][0]["list_match_count"], 12)
+        self.assertEqual(fields["description"]["status"], "missing")
+
     def test_response_store_index_normalizes_paths(self) -> None:
         rows = [
             {
@@ -2116,6 +2237,207 @@ class RuntimeDatasetHardeningTests(unittest.TestCase):
         descriptor = export.get("fishit_player_contract", {}).get("external_provider_descriptor", {})
         self.assertEqual(descriptor.get("target_site_id"), "zdf.de")
 
+    def test_provider_export_uses_player_detected_manifest_hints(self) -> None:
+        rows = normalize_runtime_rows(
+            [
+                {
+                    "schema_version": 1,
+                    "run_id": "run_player",
+                    "event_id": "ext_player",
+                    "event_type": "extraction_event",
+                    "ts_utc": "2026-04-02T12:00:00Z",
+                    "trace_id": "trace_player",
+                    "span_id": "",
+                    "action_id": "action_player",
+                    "payload": {
+                        "operation": "playback_draft_hint",
+                        "phase_id": "playback_probe",
+                        "url": "https://www.example.com/watch/1",
+                        "player_libraries": ["hls.js@1.5.0"],
+                        "manifest_urls": ["https://cdn.example.com/vod/master.m3u8?token=abc"],
+                        "stream_manifest_urls": ["https://cdn.example.com/vod/master.m3u8?token=abc"],
+                        "media_source_backed": True,
+                        "extraction_kind": "playback_draft",
+                        "source": "webview_js_player",
+                    },
+                }
+            ]
+        )
+        export = build_provider_draft_export(
+            rows,
+            endpoint_candidates={"candidates": []},
+            replay_requirements=build_replay_requirements(rows, prefer_active_replay=False),
+            required_headers_payload={"endpoint_sets": []},
+            field_matrix=build_field_matrix(rows),
+            provenance_registry=build_provenance_registry(rows),
+        )
+        playback = export.get("playback_draft", {})
+        self.assertEqual(playback.get("manifest_kind_detected"), "hls")
+        self.assertEqual(playback.get("player_libraries"), ["hls.js@1.5.0"])
+        self.assertEqual(playback.get("detected_manifest_urls"), ["https://cdn.example.com/vod/master.m3u8?token=abc"])
+
+    def test_provider_export_builds_bitrate_ladder_from_mse_appends(self) -> None:
+        def correlation(event_id: str, payload: dict) -> dict:
+            return {
+                "schema_version": 1,
+                "run_id": "run_mse",
+                "event_id": event_id,
+                "event_type": "correlation_event",
+                "ts_utc": "2026-04-02T12:00:00Z",
+                "trace_id": "trace_mse",
+                "span_id": "",
+                "action_id": "action_mse",
+                "payload": {"phase_id": "playback_probe", "source": "webview_js_mse", **payload},
+            }
+
+        rows = normalize_runtime_rows(
+            [
+                correlation("mse_1", {"operation": "mse_source_buffer_added", "mime_type": 'video/mp4; codecs="avc1.64001f"'}),
+                correlation("mse_2", {"operation": "mse_segment_appended", "rendition": "https://cdn.example.com/v/720p/", "estimated_bitrate_bps": 2400000}),
+                correlation("mse_3", {"operation": "mse_segment_appended", "rendition": "https://cdn.example.com/v/720p/", "estimated_bitrate_bps": 2600000}),
+                correlation("mse_4", {"operation": "mse_segment_appended", "rendition": "https://cdn.example.com/v/360p/", "estimated_bitrate_bps": 800000}),
+                correlation("mse_5", {"operation": "mse_segment_appended", "rendition": "https://cdn.example.com/v/init/"}),
+            ]
+        )
+        export = build_provider_draft_export(
+            rows,
+            endpoint_candidates={"candidates": []},
+            replay_requirements=build_replay_requirements(rows, prefer_active_replay=False),
+            required_headers_payload={"endpoint_sets": []},
+            field_matrix=build_field_matrix(rows),
+            provenance_registry=build_provenance_registry(rows),
+        )
+        playback = export.get("playback_draft", {})
+        self.assertEqual(playback.get("mse_mime_types"), ['video/mp4; codecs="avc1.64001f"'])
+        self.assertEqual(
+            playback.get("bitrate_ladder"),
+            [
+                {"segment_url_prefix": "https://cdn.example.com/v/init/", "segment_count": 1, "estimated_bitrate_bps": None},
+                {"segment_url_prefix": "https://cdn.example.com/v/360p/", "segment_count": 1, "estimated_bitrate_bps": 800000},
+                {"segment_url_prefix": "https://cdn.example.com/v/720p/", "segment_count": 2, "estimated_bitrate_bps": 2600000},
+            ],
+        )
+
+    def test_provider_export_flags_drm_required_from_eme_license_flow(self) -> None:
+        def correlation(event_id: str, payload: dict) -> dict:
+            return {
+                "schema_version": 1,
+                "run_id": "run_eme",
+                "event_id": event_id,
+                "event_type": "correlation_event",
+                "ts_utc": "2026-04-02T12:00:00Z",
+                "trace_id": "trace_eme",
+                "span_id": "",
+                "action_id": "action_eme",
+                "payload": {"phase_id": "playback_probe", "source": "webview_js_eme", **payload},
+            }
+
+        rows = normalize_runtime_rows(
+            [
+                correlation("eme_1", {"operation": "eme_key_system_access", "key_system": "com.microsoft.playready", "granted": False}),
+                correlation("eme_2", {"operation": "eme_key_system_access", "key_system": "com.widevine.alpha", "granted": True}),
+                correlation("eme_3", {"operation": "eme_generate_request", "key_system": "com.widevine.alpha", "init_data_type": "cenc"}),
+                correlation(
+                    "eme_4",
+                    {
+                        "operation": "eme_license_request",
+                        "key_system": "com.widevine.alpha",
+                        "license_url": "https://lic.example.com/proxy",
+                        "request_id": "req_license",
+                    },
+                ),
+            ]
+        )
+        export = build_provider_draft_export(
+            rows,
+            endpoint_candidates={"candidates": []},
+            replay_requirements=build_replay_requirements(rows, prefer_active_replay=False),
+            required_headers_payload={"endpoint_sets": []},
+            field_matrix=build_field_matrix(rows),
+            provenance_registry=build_provenance_registry(rows),
+        )
+        playback = export.get("playback_draft", {})
+        self.assertTrue(playback.get("drm_required"))
+        self.assertTrue(playback.get("drm_suspected"))
+        self.assertEqual(playback.get("drm_key_systems"), ["com.widevine.alpha"])
+        self.assertEqual(playback.get("drm_license_urls"), ["https://lic.example.com/proxy"])
+        self.assertIn("playback: drm_required", playback.get("warnings", []))
+        self.assertIn("playback: drm_required", export.get("warnings", []))
+
+    def test_provider_export_attaches_resource_timing_to_endpoint_templates(self) -> None:
+        def timing_batch(event_id: str, phase_id: str, entries: list) -> dict:
+            return {
+                "schema_version": 1,
+                "run_id": "run_provider",
+                "event_id": event_id,
+                "event_type": "correlation_event",
+                "ts_utc": "2026-04-02T12:00:19Z",
+                "trace_id": "trace_provider",
+                "span_id": "",
+                "action_id": "action_timing",
+                "payload": {
+                    "operation": "performance_timing_batch",
+                    "phase_id": phase_id,
+                    "entries": entries,
+                    "source": "webview_js_performance",
+                },
+            }
+
+        def search_timing(duration_ms: float, transfer_size: int) -> dict:
+            return {
+                "entry_type": "resource",
+                "url": "https://api.zdf.de/v1/search",
+                "initiator_type": "fetch",
+                "duration_ms": duration_ms,
+                "ttfb_ms": duration_ms / 2,
+                "transfer_size": transfer_size,
+                "encoded_body_size": transfer_size - 300,
+            }
+
+        rows = self._provider_export_rows() + [
+            timing_batch(
+                "perf_search",
+                "search_probe",
+                [
+                    search_timing(120.0, 2300),
+                    search_timing(180.0, 2500),
+                    search_timing(150.0, 2400),
+                    {"entry_type": "resource", "url": "https://www.zdf.de/static/app.css", "initiator_type": "link", "duration_ms": 40.0, "transfer_size": 9000},
+                    {"entry_type": "resource", "url": "https://www.zdf.de/img/poster.jpg", "initiator_type": "img", "duration_ms": 60.0, "transfer_size": 0},
+                    {"entry_type": "paint", "name": "first-contentful-paint", "start_time_ms": 812.4},
+                    {"entry_type": "longtask", "duration_ms": 75.0},
+                    {"entry_type": "longtask", "duration_ms": 55.5},
+                ],
+            ),
+        ]
+        normalized = normalize_runtime_rows(rows)
+        export = build_provider_draft_export(
+            normalized,
+            endpoint_candidates=build_endpoint_candidates(normalized),
+            replay_requirements=build_replay_requirements(normalized, prefer_active_replay=False),
+            required_headers_payload={"endpoint_sets": []},
+            field_matrix=build_field_matrix(normalized),
+            provenance_registry=build_provenance_registry(normalized),
+        )
+        templates = {str(item.get("endpoint_role") or ""): item for item in export.get("endpoint_templates", [])}
+        timing = templates["search"].get("observed_timing") or {}
+        self.assertEqual(timing.get("sample_count"), 3)
+        self.assertEqual(timing.get("duration_ms_median"), 150.0)
+        self.assertEqual(timing.get("ttfb_ms_median"), 75.0)
+        self.assertEqual(timing.get("transfer_size_bytes_median"), 2400)
+        self.assertIsNone(templates["detail"].get("observed_timing"))
+
+        performance = export.get("performance_timing", {})
+        phases = {item["phase_id"]: item for item in performance.get("phases", [])}
+        self.assertEqual(phases["search_probe"]["resource_counts_by_initiator"], {"fetch": 3, "img": 1, "link": 1})
+        self.assertEqual(phases["search_probe"]["first_contentful_paint_ms"], 812.4)
+        self.assertEqual(phases["search_probe"]["long_task_count"], 2)
+        self.assertEqual(phases["search_probe"]["long_task_total_ms"], 130.5)
+        self.assertEqual(
+            [(item["initiator_type"], item["url"]) for item in performance.get("non_fetch_resources", [])],
+            [("link", "https://www.zdf.de/static/app.css"), ("img", "https://www.zdf.de/img/poster.jpg")],
+        )
+
     def test_active_replay_minimizes_query_params_and_body_fields(self) -> None:
         rows = normalize_runtime_rows(
             [
@@ -92,6 +92,43 @@ class TriageDatasetCliTests(unittest.TestCase):
         rule_ids = {str(alert.get("rule_id") or "") for alert in alerts}
         self.assertIn("auth_loop", rule_ids)
 
+    def test_detect_triage_alerts_script_crash_after_auth_failure(self) -> None:
+        def script_error(event_id: str, ts_utc: str, error_kind: str) -> dict:
+            return {
+                "schema_version": 1,
+                "run_id": "mapper_test_run",
+                "event_id": event_id,
+                "event_type": "correlation_event",
+                "ts_utc": ts_utc,
+                "trace_id": "trace_1",
+                "span_id": "",
+                "action_id": "action_login",
+                "payload": {
+                    "operation": "page_script_error",
+                    "error_kind": error_kind,
+                    "message": "TypeError: Cannot read properties of undefined (reading 'token')",
+                    "source": "webview_js_console",
+                },
+            }
+
+        rows = self._sample_rows() + [
+            script_error("console_warn_1", "2026-04-01T10:00:01Z", "console_warn"),
+            script_error("script_error_1", "2026-04-01T10:00:02Z", "unhandled_rejection"),
+            script_error("script_error_late", "2026-04-01T10:05:00Z", "uncaught_error"),
+        ]
+        alerts = [
+            alert
+            for alert in detect_triage_alerts(rows, only_rules=["script_crash_after_auth_failure"])
+            if alert.get("rule_id") == "script_crash_after_auth_failure"
+        ]
+        self.assertEqual(len(alerts), 1)
+        self.assertEqual(alerts[0]["chain"]["event_ids"], ["resp_401", "script_error_1"])
+        self.assertEqual(alerts[0]["action_id"], "action_login")
+        self.assertIn("401", alerts[0]["reason"])
+
+        without_failure = [row for row in rows if row.get("event_id") != "resp_401"]
+        self.assertEqual(detect_triage_alerts(without_failure, only_rules=["script_crash_after_auth_failure"]), [])
+
     def test_apply_preset_filters_resolves_known_preset(self) -> None:
         filtered, preset = apply_preset_filters(self._sample_rows(), "auth-loop")
         self.assertEqual(preset.get("id"), "auth-loop")